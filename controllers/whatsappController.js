@@ -1,18 +1,37 @@
 import axios from "axios";
 import dotenv from "dotenv";
+import { prepareTemplate } from "../services/templateRegistry.js";
+import { getSuppression, suppressedResponse } from "../services/suppression.js";
+import { tryNormalizePhone } from "../utils/phone.js";
 dotenv.config();
 
 const WHATSAPP_API_URL = `https://graph.facebook.com/v24.0/${process.env.PHONE_NUMBER_ID}/messages`;
 
 export const sendWhatsAppMessage = async (req, res) => {
   try {
-    const { phone } = req.body;
+    const { phone, language } = req.body; // language: optional preferred template language
 
     if (!phone) {
       return res.status(400).json({ error: "User phone number is required" });
     }
 
-    const formattedUserPhone = phone.replace(/\s+/g, "");
+    // E.164 digits (country code added for bare 10-digit numbers)
+    const normalizedPhone = tryNormalizePhone(phone);
+    if (!normalizedPhone) {
+      return res.status(400).json({ error: `Invalid phone number: ${phone}` });
+    }
+    const formattedUserPhone = normalizedPhone.digits;
+
+    // Players who replied STOP don't get the greeting
+    const suppression = await getSuppression(normalizedPhone);
+    if (suppression) {
+      return res.status(409).json(suppressedResponse(normalizedPhone, suppression));
+    }
+
+    // Validated against the approved template (header type, params, language)
+    const { language: templateLanguage, components } = await prepareTemplate("game_greeting", {
+      imageUrl: "https://res.cloudinary.com/dlmcpmdpn/image/upload/v1765266071/Prize_Pool_2.0_1_bdcuna.jpg", // 👈 Public URL of your image
+    }, language);
 
     const payload = {
   messaging_product: "whatsapp",
@@ -20,20 +39,8 @@ export const sendWhatsAppMessage = async (req, res) => {
   type: "template",
   template: {
     name: "game_greeting", // Must match your approved template name
-    language: { code: "en" }, // Use exact language (check in WhatsApp Manager)
-    components: [
-      {
-        type: "header",
-        parameters: [
-          {
-            type: "image",
-            image: {
-              link: "https://res.cloudinary.com/dlmcpmdpn/image/upload/v1765266071/Prize_Pool_2.0_1_bdcuna.jpg" // 👈 Public URL of your image
-            }
-          }
-        ]
-      }
-    ]
+    language: { code: templateLanguage }, // Approved language picked by the template registry
+    ...(components.length > 0 ? { components } : {}),
   }
 };
 
@@ -52,6 +59,9 @@ export const sendWhatsAppMessage = async (req, res) => {
     });
   } catch (error) {
     console.error("❌ Error sending WhatsApp message:", error.response?.data || error);
+    if (error.validationErrors) {
+      return res.status(400).json({ error: error.validationErrors });
+    }
     res.status(500).json({ error: error.response?.data || error.message });
   }
 };
\ No newline at end of file
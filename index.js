@@ -1,23 +1,104 @@
 import express from "express";
 import dotenv from "dotenv";
 import { sendWhatsAppMessage } from "./controllers/whatsappController.js";
+import {
+  buildTemplateComponents,
+  getApprovedTemplates,
+  getTemplateLanguages,
+  getTemplateSchema,
+  prepareTemplate,
+  startTemplateSync,
+  WABA_ID,
+} from "./services/templateRegistry.js";
+import {
+  buildAutoReplyContext,
+  DEFAULT_AUTO_REPLY_RULES,
+  findMatchingRule,
+  renderAutoReply,
+  validateAutoReplyRule,
+} from "./services/autoReplies.js";
+import {
+  buildInteractive,
+  findInteractiveAction,
+  parseInteractiveReply,
+  pickWritableRegistrationFields,
+  renderInteractiveAction,
+  validateInteractiveAction,
+} from "./services/interactiveMessages.js";
+import {
+  getOptCommand,
+  getSuppression,
+  suppressedResponse,
+  suppressNumber,
+  unsuppressNumber,
+} from "./services/suppression.js";
+import {
+  collectPlaceholders,
+  getTeamVariables,
+  personalizeParams,
+} from "./utils/personalize.js";
+import {
+  isLegacyPhoneKey,
+  normalizePhone,
+  phoneLookupValues,
+  tryNormalizePhone,
+} from "./utils/phone.js";
+import {
+  buildMessageMatcher,
+  buildSearchTokens,
+} from "./utils/messageSearch.js";
+import {
+  configureMediaStorage,
+  getMediaStorage,
+  resolveMediaUrl,
+  storedMediaUrl,
+  verifyMediaRequest,
+} from "./services/mediaStorage.js";
+import {
+  compareFingerprints,
+  computePhash,
+  normalizePhash,
+  PHASH_ALGORITHM,
+  phashBands,
+} from "./services/imageFingerprints.js";
+import {
+  allowedVerificationTransitions,
+  validateVerificationTransition,
+  VERIFICATION_TEMPLATES,
+} from "./services/verification.js";
+import {
+  EVENT_TYPES,
+  eventsSince,
+  formatServerSentEvent,
+  publishEvent,
+  subscribe,
+  subscriberCount,
+} from "./services/realtimeEvents.js";
+import { createBulkJobsRouter } from "./routes/bulkJobs.js";
+import { createInboxRouter } from "./routes/inbox.js";
+import { createMessageHistoryRouter } from "./routes/messageHistory.js";
+import { createRetentionRouter } from "./routes/retention.js";
+import { createVerificationRouter } from "./routes/verification.js";
 import cors from "cors";
 import axios from "axios";
 import fs from "fs";
+import multer from "multer";
 import path from "path";
 import { fileURLToPath } from "url";
-import { v2 as cloudinary } from "cloudinary";
 import admin from "firebase-admin";
+import crypto from "crypto";
+import os from "os";
 
 // 🔹 Load environment variables
 dotenv.config();
 const app = express();
 
 // REQUIRED for WhatsApp Cloud API
+// Keep the exact bytes Meta signed - X-Hub-Signature-256 is computed over them
 app.use(
   express.json({
     verify: (req, res, buf) => {
-      req.rawBody = buf.toString("utf8");
+      req.rawBody = buf;
     },
   })
 );
@@ -27,16 +108,17 @@ app.use(
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// 🔹 Ensure uploads folder exists (optional)
+// 🔹 Ensure uploads folder exists (staging for admin attachments)
 const uploadDir = path.join(__dirname, "uploads");
 if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir);
 
-// 🔹 Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+// 🔹 Media storage (Cloudinary or local disk, see services/mediaStorage.js)
+try {
+  configureMediaStorage();
+} catch (error) {
+  console.error("❌ Media storage:", error.message);
+  process.exit(1);
+}
 
 // 🔹 Firebase Admin Initialization
 const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
@@ -118,686 +200,3462 @@ const WHATSAPP_PHONE_ID = process.env.PHONE_NUMBER_ID;
 const WHATSAPP_TOKEN = process.env.WHATSAPP_TOKEN;
 
 // ================================================================
-// ✅ CHAT MESSAGE LIMIT CONFIGURATION
+// ✅ CHAT RETENTION (count and/or age) & ARCHIVING
+//     - Per collection, from env:
+//         CHAT_RETENTION_MAX_MESSAGES / CHAT_RETENTION_MAX_AGE_DAYS          → whatsappChats
+//         SUPPORT_RETENTION_MAX_MESSAGES / SUPPORT_RETENTION_MAX_AGE_DAYS    → supportChats
+//       (max messages defaults to 10, "0" turns a limit off)
+//     - Messages over the limit are MOVED to <collection>Archive/{chatKey}/messages
+//       (same ids), never deleted
+//     - messageCount on the chat doc is kept at write time, so the count
+//       check is one doc read instead of reading the whole subcollection
+//     - Age limits are applied by an hourly sweep
 // ================================================================
 const MAX_CHAT_MESSAGES = 10;
+const RETENTION_SWEEP_INTERVAL = 60 * 60 * 1000; // 1 hour
 
-/**
- * Maintains chat message limit by deleting oldest messages (for registered users)
- * @param {string} shortPhone - 10-digit phone number
- */
-async function maintainChatLimit(shortPhone) {
-  try {
-    const messagesRef = db
-      .collection("whatsappChats")
-      .doc(shortPhone)
-      .collection("messages");
+// Each moved message is up to 3 writes (copy, delete, status link)
+const ARCHIVE_BATCH_SIZE = 150;
 
-    // Get total message count
-    const snapshot = await messagesRef.get();
-    const totalMessages = snapshot.size;
+function readRetentionPolicy(prefix) {
+  const maxMessages = process.env[`${prefix}_RETENTION_MAX_MESSAGES`];
+  const maxAgeDays = Number(process.env[`${prefix}_RETENTION_MAX_AGE_DAYS`]);
+  let messageLimit = MAX_CHAT_MESSAGES;
+  if (maxMessages !== undefined && maxMessages !== "") {
+    messageLimit = Number(maxMessages) > 0 ? Number(maxMessages) : null;
+  }
 
-    if (totalMessages > MAX_CHAT_MESSAGES) {
-      const excessCount = totalMessages - MAX_CHAT_MESSAGES;
-      console.log(`🗑️ Deleting ${excessCount} old messages for ${shortPhone}`);
+  return { maxMessages: messageLimit, maxAgeDays: maxAgeDays > 0 ? maxAgeDays : null };
+}
 
-      // Get oldest messages to delete
-      const oldMessagesSnapshot = await messagesRef
-        .orderBy("timestamp", "asc")
-        .limit(excessCount)
-        .get();
+const RETENTION_POLICIES = {
+  whatsappChats: readRetentionPolicy("CHAT"),
+  supportChats: readRetentionPolicy("SUPPORT"),
+};
 
-      // Delete in batch
-      const batch = db.batch();
-      oldMessagesSnapshot.docs.forEach((doc) => {
-        batch.delete(doc.ref);
-      });
-      await batch.commit();
+const archiveCollectionName = (collectionName) => `${collectionName}Archive`;
 
-      console.log(`✅ Deleted ${excessCount} old messages for ${shortPhone}`);
-    }
-  } catch (error) {
-    console.error(`❌ Error maintaining chat limit for ${shortPhone}:`, error.message);
+/**
+ * Moves message docs into another messages subcollection (same ids) and
+ * re-points their delivery status links, so late statuses land on the moved copy
+ * @param {FirebaseFirestore.QueryDocumentSnapshot[]} messageDocs
+ * @param {FirebaseFirestore.DocumentReference} targetChatRef - Chat doc to move them under
+ * @param {object} [options]
+ * @param {object} [options.extraFields] - Added to every moved message
+ * @param {function} [options.onChunk] - (batch, chunk) → extra writes committed with each chunk
+ */
+async function moveMessageDocs(messageDocs, targetChatRef, { extraFields = {}, onChunk } = {}) {
+  for (let i = 0; i < messageDocs.length; i += ARCHIVE_BATCH_SIZE) {
+    const chunk = messageDocs.slice(i, i + ARCHIVE_BATCH_SIZE);
+    const batch = db.batch();
+
+    chunk.forEach((doc) => {
+      const message = doc.data();
+      batch.set(targetChatRef.collection("messages").doc(doc.id), { ...message, ...extraFields });
+      batch.delete(doc.ref);
+      if (message.messageId) {
+        batch.set(
+          db.collection("messageStatuses").doc(message.messageId),
+          { chatCollection: targetChatRef.parent.id, chatId: targetChatRef.id },
+          { merge: true }
+        );
+      }
+    });
+
+    if (onChunk) onChunk(batch, chunk);
+    await batch.commit();
   }
 }
 
 /**
- * Maintains support chat message limit by deleting oldest messages (for unknown users)
- * @param {string} shortPhone - 10-digit phone number
+ * Moves messages to the archive collection
+ * @param {string} collectionName - "whatsappChats" or "supportChats"
+ * @param {string} chatKey - Chat doc id
+ * @param {FirebaseFirestore.QueryDocumentSnapshot[]} messageDocs
+ * @returns {Promise<number>} - Messages archived
  */
-async function maintainSupportChatLimit(shortPhone) {
-  try {
-    const messagesRef = db
-      .collection("supportChats")
-      .doc(shortPhone)
-      .collection("messages");
+async function archiveChatMessages(collectionName, chatKey, messageDocs) {
+  if (messageDocs.length === 0) return 0;
+
+  const chatRef = db.collection(collectionName).doc(chatKey);
+  const archiveRef = db.collection(archiveCollectionName(collectionName)).doc(chatKey);
+  const archivedAt = new Date().toISOString();
+
+  await moveMessageDocs(messageDocs, archiveRef, {
+    extraFields: { archivedAt },
+    onChunk: (batch, chunk) => {
+      batch.set(
+        archiveRef,
+        {
+          lastArchivedAt: archivedAt,
+          archivedCount: admin.firestore.FieldValue.increment(chunk.length),
+        },
+        { merge: true }
+      );
+      batch.set(
+        chatRef,
+        { messageCount: admin.firestore.FieldValue.increment(-chunk.length) },
+        { merge: true }
+      );
+    },
+  });
 
-    // Get total message count
-    const snapshot = await messagesRef.get();
-    const totalMessages = snapshot.size;
+  return messageDocs.length;
+}
 
-    if (totalMessages > MAX_CHAT_MESSAGES) {
-      const excessCount = totalMessages - MAX_CHAT_MESSAGES;
-      console.log(`🗑️ Deleting ${excessCount} old support messages for ${shortPhone}`);
+/**
+ * Applies the collection's retention policy to one conversation
+ * @param {string} collectionName - "whatsappChats" or "supportChats"
+ * @param {string} chatKey - Chat doc id (E.164, see utils/phone.js)
+ * @param {object} [options]
+ * @param {boolean} [options.byAge] - Also archive messages older than maxAgeDays (sweep)
+ * @returns {Promise<number>} - Messages archived
+ */
+async function applyRetentionPolicy(collectionName, chatKey, { byAge = false } = {}) {
+  const policy = RETENTION_POLICIES[collectionName];
+  const chatRef = db.collection(collectionName).doc(chatKey);
+  const messagesRef = chatRef.collection("messages");
+  let archived = 0;
+
+  if (policy.maxMessages) {
+    const chatDoc = await chatRef.get();
+    const storedCount = chatDoc.exists ? chatDoc.data().messageCount : undefined;
+
+    // The counter is only a cheap gate; the aggregation (no documents read)
+    // gives the exact number and repairs the counter on chats that predate it
+    if (storedCount === undefined || storedCount > policy.maxMessages) {
+      const total = (await messagesRef.count().get()).data().count;
+      const excessCount = total - policy.maxMessages;
+
+      if (excessCount > 0) {
+        const oldest = await messagesRef.orderBy("timestamp", "asc").limit(excessCount).get();
+        archived += await archiveChatMessages(collectionName, chatKey, oldest.docs);
+      }
+      await chatRef.set({ messageCount: total - archived }, { merge: true });
+    }
+  }
 
-      // Get oldest messages to delete
-      const oldMessagesSnapshot = await messagesRef
+  if (byAge && policy.maxAgeDays) {
+    const cutoff = new Date(Date.now() - policy.maxAgeDays * 24 * 60 * 60 * 1000).toISOString();
+    for (;;) {
+      const expired = await messagesRef
+        .where("timestamp", "<", cutoff)
         .orderBy("timestamp", "asc")
-        .limit(excessCount)
+        .limit(ARCHIVE_BATCH_SIZE)
         .get();
+      if (expired.empty) break;
+      archived += await archiveChatMessages(collectionName, chatKey, expired.docs);
+    }
+  }
 
-      // Delete in batch
-      const batch = db.batch();
-      oldMessagesSnapshot.docs.forEach((doc) => {
-        batch.delete(doc.ref);
-      });
-      await batch.commit();
+  if (archived > 0) {
+    console.log(`🗄️ Archived ${archived} old messages for ${collectionName}/${chatKey}`);
+  }
+  return archived;
+}
 
-      console.log(`✅ Deleted ${excessCount} old support messages for ${shortPhone}`);
-    }
+/**
+ * Keeps a registered user's chat within its retention policy (archives the overflow)
+ * @param {string} chatKey - Chat doc id (E.164, see utils/phone.js)
+ * @returns {Promise<number>} - Messages archived
+ */
+async function maintainChatLimit(chatKey) {
+  try {
+    return await applyRetentionPolicy("whatsappChats", chatKey);
   } catch (error) {
-    console.error(`❌ Error maintaining support chat limit for ${shortPhone}:`, error.message);
+    console.error(`❌ Error maintaining chat limit for ${chatKey}:`, error.message);
+    return 0;
   }
 }
 
-// ================================================================
-// ✅ STEP 2: RECEIVE INCOMING WHATSAPP MESSAGES
-// ================================================================
-app.post("/webhook", async (req, res) => {
+/**
+ * Keeps an unknown user's support chat within its retention policy (archives the overflow)
+ * @param {string} chatKey - Chat doc id (E.164, see utils/phone.js)
+ * @returns {Promise<number>} - Messages archived
+ */
+async function maintainSupportChatLimit(chatKey) {
   try {
-    const body = req.body;
+    return await applyRetentionPolicy("supportChats", chatKey);
+  } catch (error) {
+    console.error(`❌ Error maintaining support chat limit for ${chatKey}:`, error.message);
+    return 0;
+  }
+}
 
-    if (!(body.object && body.entry)) {
-      return res.status(404).json({ error: "Invalid payload" });
-    }
+/**
+ * Archives messages past maxAgeDays in every conversation (runs hourly)
+ */
+async function sweepRetention() {
+  for (const [collectionName, policy] of Object.entries(RETENTION_POLICIES)) {
+    if (!policy.maxAgeDays) continue;
 
-    const change = body.entry?.[0]?.changes?.[0]?.value;
+    try {
+      const chats = await db.collection(collectionName).select().get();
+      let archived = 0;
+      for (const chatDoc of chats.docs) {
+        archived += await applyRetentionPolicy(collectionName, chatDoc.id, { byAge: true });
+      }
+      if (archived > 0) {
+        console.log(`🗄️ Retention sweep archived ${archived} messages in ${collectionName}`);
+      }
+    } catch (error) {
+      console.error(`❌ Retention sweep failed for ${collectionName}:`, error.message);
+    }
+  }
+}
 
+// ================================================================
+// ✅ PHONE KEYS & LEGACY CHAT MIGRATION
+//     - Chat docs are keyed by E.164 ("+919876543210"), see utils/phone.js
+//     - Docs created before that used the last 10 digits; they are moved
+//       to the new key the first time the number is touched (or in bulk
+//       via /api/admin/migrate-phone-keys)
+// ================================================================
+const FIRESTORE_BATCH_LIMIT = 450;
 
+// Keys already checked by this instance - avoids a read per message
+const migratedChatKeys = new Set();
 
-     // 🔥 DELIVERY TRACKING BLOCK (your requested output here)
-    // ============================================================
-    if (change?.statuses) {
-      change.statuses.forEach((status) => {
+/**
+ * Finds the team registration of a phone number, whatever format the form stored it in
+ * @param {object} phone - From normalizePhone
+ * @returns {Promise<FirebaseFirestore.QueryDocumentSnapshot|null>}
+ */
+async function findRegistrationByPhone(phone) {
+  const snapshot = await db
+    .collection("teamRegistrations")
+    .where("phoneNumber", "in", phoneLookupValues(phone))
+    .limit(1)
+    .get();
+
+  return snapshot.empty ? null : snapshot.docs[0];
+}
 
-        const statusLog = {
-          statuses: [
-            {
-              status: status.status,
-              errors: status.errors
-                ? status.errors.map(err => ({
-                    code: err.code,
-                    title: err.title,
-                    message: err.message
-                  }))
-                : undefined
-            }
-          ]
-        };
+/**
+ * Moves a chat stored under the legacy 10-digit id to its E.164 id
+ * @param {string} collectionName - "whatsappChats" or "supportChats"
+ * @param {object} phone - From normalizePhone
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Only report what would move
+ * @returns {Promise<{ migrated: boolean, messages: number }>}
+ */
+async function migrateLegacyChat(collectionName, phone, { dryRun = false } = {}) {
+  const cacheKey = `${collectionName}/${phone.key}`;
+  if (!phone.legacyKey || migratedChatKeys.has(cacheKey)) {
+    return { migrated: false, messages: 0 };
+  }
 
-        console.log("📦 DELIVERY STATUS UPDATE:\n" + JSON.stringify(statusLog, null, 2));
-      });
-    }
+  const legacyRef = db.collection(collectionName).doc(phone.legacyKey);
+  const newRef = db.collection(collectionName).doc(phone.key);
 
+  const [legacyDoc, legacyMessages] = await Promise.all([
+    legacyRef.get(),
+    legacyRef.collection("messages").get(),
+  ]);
 
+  if (!legacyDoc.exists && legacyMessages.empty) {
+    if (!dryRun) migratedChatKeys.add(cacheKey);
+    return { migrated: false, messages: 0 };
+  }
 
+  if (dryRun) {
+    return { migrated: true, messages: legacyMessages.size };
+  }
 
+  // Copy messages (same ids, so messageStatuses links stay valid), then delete the old ones
+  for (let i = 0; i < legacyMessages.docs.length; i += FIRESTORE_BATCH_LIMIT) {
+    const batch = db.batch();
+    legacyMessages.docs.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach((doc) => {
+      batch.set(newRef.collection("messages").doc(doc.id), doc.data());
+      batch.delete(doc.ref);
+    });
+    await batch.commit();
+  }
 
-    const messages = change?.messages;
-    if (!messages) return res.status(200).json({ status: "no messages" });
+  // Re-point delivery status links at the new chat id
+  const statusLinks = await db
+    .collection("messageStatuses")
+    .where("chatCollection", "==", collectionName)
+    .where("chatId", "==", phone.legacyKey)
+    .get();
+
+  for (let i = 0; i < statusLinks.docs.length; i += FIRESTORE_BATCH_LIMIT) {
+    const batch = db.batch();
+    statusLinks.docs.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach((doc) => {
+      batch.update(doc.ref, { chatId: phone.key });
+    });
+    await batch.commit();
+  }
 
-    for (const msg of messages) {
-      const from = msg.from;               // e.g., 91987xxxxxxx
-      const shortPhone = from.slice(-10);  // use 10-digit doc id
-      const timestamp = new Date().toISOString();
+  await newRef.set(
+    {
+      ...(legacyDoc.exists ? legacyDoc.data() : {}),
+      phoneNumber: phone.digits,
+      migratedFrom: phone.legacyKey,
+    },
+    { merge: true }
+  );
+  await legacyRef.delete();
 
-      // ✅ TEXT MESSAGE: Check if user is registered and save accordingly
-      if (msg.text?.body) {
-        const text = msg.text.body;
-        console.log(`📩 Text from ${from}: ${text}`);
-        receivedMessagesStore.push({ from, text, timestamp });
-
-        // Check if user is registered in teamRegistrations
-        const teamSnapshot = await db
-          .collection("teamRegistrations")
-          .where("phoneNumber", "==", shortPhone)
-          .limit(1)
-          .get();
-
-        const isRegistered = !teamSnapshot.empty;
-
-        if (isRegistered) {
-          // ✅ REGISTERED USER: Save to whatsappChats
-          console.log(`💬 Registered user message: ${shortPhone}`);
-          await db
-            .collection("whatsappChats")
-            .doc(shortPhone)
-            .collection("messages")
-            .add({
-              from: "user",
-              text,
-              timestamp,
-              read: false,
-              type: "text",
-            });
-
-          await db
-            .collection("whatsappChats")
-            .doc(shortPhone)
-            .set({ lastUpdated: timestamp }, { merge: true });
-
-          // Maintain chat message limit
-          await maintainChatLimit(shortPhone);
-        } else {
-          // ✅ UNKNOWN USER: Save to supportChats
-          console.log(`🆘 Unknown user message: ${shortPhone}`);
-          await db
-            .collection("supportChats")
-            .doc(shortPhone)
-            .collection("messages")
-            .add({
-              from: "user",
-              text,
-              timestamp,
-              read: false,
-              type: "text",
-            });
-
-          await db
-            .collection("supportChats")
-            .doc(shortPhone)
-            .set({ lastUpdated: timestamp }, { merge: true });
-
-          // Maintain chat message limit for support chats
-          await maintainSupportChatLimit(shortPhone);
-        }
-      }
+  // Both docs may have had a retention counter - recount the merged chat
+  const merged = await newRef.collection("messages").count().get();
+  await newRef.set({ messageCount: merged.data().count }, { merge: true });
 
-      // ✅ IMAGE MESSAGE: DO NOT store in whatsappChats; save to teamRegistrations only
-      if (msg.image?.id) {
-        const mediaId = msg.image.id;
-        console.log(`🖼 Received image from ${shortPhone} (Media ID: ${mediaId})`);
-        try {
-          // 1) Get media URL
-          const mediaRes = await axios.get(
-            `https://graph.facebook.com/v24.0/${mediaId}`,
-            {
-              headers: { Authorization: `Bearer ${WHATSAPP_TOKEN}` },
-            }
-          );
-          const mediaUrl = mediaRes.data.url;
+  migratedChatKeys.add(cacheKey);
+  console.log(
+    `🔀 Migrated ${collectionName}/${phone.legacyKey} → ${phone.key} (${legacyMessages.size} messages)`
+  );
 
-          // 2) Download the image
-          const imageResponse = await axios.get(mediaUrl, {
-            responseType: "arraybuffer",
-            headers: { Authorization: `Bearer ${WHATSAPP_TOKEN}` },
-          });
+  return { migrated: true, messages: legacyMessages.size };
+}
 
-          // 3) Upload to Cloudinary
-          const uploadedImage = await new Promise((resolve, reject) => {
-            const uploadStream = cloudinary.uploader.upload_stream(
-              { folder: `whatsapp_media/${shortPhone}` },
-              (error, result) => {
-                if (error) reject(error);
-                else resolve(result);
-              }
-            );
-            uploadStream.end(imageResponse.data);
-          });
+// Migrate every legacy chat doc in one go (?dryRun=true to preview)
+app.post("/api/admin/migrate-phone-keys", async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === "true";
+    const report = {};
 
-          console.log(`✅ Uploaded to Cloudinary: ${uploadedImage.secure_url}`);
-
-          // 4) Save URL into teamRegistrations only (no whatsappChats write)
-          const querySnapshot = await db
-            .collection("teamRegistrations")
-            .where("phoneNumber", "==", shortPhone)
-            .get();
-
-          if (!querySnapshot.empty) {
-            const docRef = querySnapshot.docs[0].ref;
-            await docRef.update({
-              images: admin.firestore.FieldValue.arrayUnion(
-                uploadedImage.secure_url
-              ),
-              verificationStatus: "image_uploaded",
-              updatedAt: timestamp,
-            });
-            console.log(`🔥 Image URL saved in teamRegistrations for ${shortPhone}`);
-          } else {
-            console.log(
-              `⚠️ No matching teamRegistrations record for ${shortPhone}.`
-            );
-          }
+    for (const collectionName of ["whatsappChats", "supportChats"]) {
+      const snapshot = await db.collection(collectionName).get();
+      const legacyDocs = snapshot.docs.filter((doc) => isLegacyPhoneKey(doc.id));
+      report[collectionName] = { migrated: 0, messages: 0, errors: [] };
 
-          // (Optional) Keep a debug copy in memory, but NOT in whatsappChats
-          receivedMessagesStore.push({
-            from,
-            text: `[Image] ${uploadedImage.secure_url}`,
-            timestamp,
-            mediaId,
-            cloudinary_id: uploadedImage.public_id,
+      for (const doc of legacyDocs) {
+        try {
+          const result = await migrateLegacyChat(collectionName, normalizePhone(doc.id), {
+            dryRun,
           });
-        } catch (err) {
-          console.error("❌ Error handling image:", err?.response?.data || err.message);
+          if (result.migrated) {
+            report[collectionName].migrated++;
+            report[collectionName].messages += result.messages;
+          }
+        } catch (error) {
+          report[collectionName].errors.push({ id: doc.id, error: error.message });
         }
       }
     }
 
-    res.status(200).json({ status: "received" });
-  } catch (err) {
-    console.error("❌ Webhook error:", err.message);
-    res.status(500).json({ error: "Internal Server Error" });
+    res.json({ success: true, dryRun, report });
+  } catch (error) {
+    console.error("❌ Error migrating phone keys:", error.message);
+    res.status(500).json({ error: error.message });
   }
 });
 
 // ================================================================
-// ✅ GET ALL RECEIVED MESSAGES (DEBUGGING)
+// ✅ MESSAGE STATUS TRACKING (sent → delivered → read / failed)
+//     - messageStatuses/{wamid} is the lookup from a WhatsApp message id
+//       to whatever record sent it (e.g. a bulkMessageHistory document)
+//     - Webhook status callbacks can arrive out of order, so a status only
+//       ever moves forward according to MESSAGE_STATUS_RANK
+//     - Bulk campaigns keep one doc per recipient in
+//       bulkMessageHistory/{id}/recipients/{wamid}; a callback updates that doc
+//       and bumps the record's counters with FieldValue.increment, so callbacks
+//       for the same campaign don't contend on one document
 // ================================================================
-app.get("/api/messages", (req, res) => {
-  res.status(200).json({ messages: receivedMessagesStore });
-});
+const MESSAGE_STATUS_RANK = {
+  sent: 1,
+  delivered: 2,
+  read: 3,
+  failed: 4,
+};
 
-// ================================================================
-// ✅ TEMPLATE MESSAGE HELPERS
-// ================================================================
-async function sendTemplateMessage(to, templateName) {
-  const url = `${WHATSAPP_API_URL}/${WHATSAPP_PHONE_ID}/messages`;
-  const payload = {
-    messaging_product: "whatsapp",
-    to,
-    type: "template",
-    template: {
-      name: templateName,
-      language: { code: "en" },
-    },
+/**
+ * Returns true if nextStatus should replace currentStatus
+ * @param {string|undefined} currentStatus
+ * @param {string} nextStatus
+ */
+function isStatusAdvance(currentStatus, nextStatus) {
+  const nextRank = MESSAGE_STATUS_RANK[nextStatus] || 0;
+  const currentRank = MESSAGE_STATUS_RANK[currentStatus] || 0;
+  return nextRank > currentRank;
+}
+
+/**
+ * Extracts the first Meta error from a webhook status (if any)
+ * @param {object} status - Entry of change.statuses
+ * @returns {{ code: number, title: string, message: string } | null}
+ */
+function getStatusError(status) {
+  const err = status.errors?.[0];
+  if (!err) return null;
+  return {
+    code: err.code,
+    title: err.title || "",
+    message: err.message || err.error_data?.details || "",
   };
+}
 
-  try {
-    const response = await axios.post(url, payload, {
-      headers: {
-        Authorization: `Bearer ${WHATSAPP_TOKEN}`,
-        "Content-Type": "application/json",
-      },
-    });
-    console.log(`✅ Template message sent: ${templateName} → ${to}`);
-    return response.data;
-  } catch (error) {
-    console.error(
-      "❌ WhatsApp template send error:",
-      error.response?.data || error.message
-    );
-    throw new Error(JSON.stringify(error.response?.data || error.message));
+/**
+ * Applies a status update to a tracked outgoing message
+ * @param {object} result - Bulk history recipient or an admin chat message
+ * @param {object} update - { status, timestamp, error }
+ * @returns {object} - Updated copy (or the same object if the status didn't advance)
+ */
+function applyStatusUpdate(result, update) {
+  if (!isStatusAdvance(result.status, update.status)) return result;
+
+  const next = {
+    ...result,
+    status: update.status,
+    [`${update.status}At`]: update.timestamp,
+  };
+
+  if (update.status === "failed" && update.error) {
+    next.error = `WhatsApp delivery error (${update.error.code}): ${update.error.title}`;
+    next.errorCode = update.error.code;
+    next.errorTitle = update.error.title;
   }
-}
 
-async function handleVerify(req, res, statusText) {
-  try {
-    const { phoneNumber } = req.body;
-    if (!phoneNumber)
-      return res.status(400).json({ error: "Phone number is required" });
+  return next;
+}
 
-    console.log(`📨 Sending WhatsApp message to: ${phoneNumber}`);
-    const result = await sendTemplateMessage(phoneNumber, statusText);
+// Delivery counters of a bulkMessageHistory record and the statuses each one counts.
+// successfulCount / failedCount keep their meaning ("accepted by API" / "rejected by API").
+const DELIVERY_COUNTERS = {
+  deliveredCount: ["delivered", "read"],
+  readCount: ["read"],
+  deliveryFailedCount: ["failed"],
+};
 
-    res.status(200).json({
-      success: true,
-      status: statusText,
-      message: `Message sent successfully: ${statusText}`,
-      result,
-    });
-  } catch (error) {
-    console.error("❌ Error sending verification message:", error.message);
-    res.status(500).json({
-      error: "Failed to send WhatsApp message",
-      details: error.message,
-    });
+/**
+ * Counter increments for one recipient moving between statuses
+ * @param {string} fromStatus
+ * @param {string} toStatus
+ * @returns {object} - field → FieldValue.increment (empty when nothing changes)
+ */
+function deliveryCountChanges(fromStatus, toStatus) {
+  const changes = {};
+  for (const [field, statuses] of Object.entries(DELIVERY_COUNTERS)) {
+    const delta = Number(statuses.includes(toStatus)) - Number(statuses.includes(fromStatus));
+    if (delta !== 0) changes[field] = admin.firestore.FieldValue.increment(delta);
   }
+  return changes;
 }
 
-// ✅ Verification routes
-app.post("/api/verify/verified", (req, res) =>
-  handleVerify(req, res, "verified")
-);
-app.post("/api/verify/not-verified", (req, res) =>
-  handleVerify(req, res, "not_eligible")
-);
-app.post("/api/verify/pending", (req, res) =>
-  handleVerify(req, res, "pending")
-);
+/**
+ * Stores a webhook status callback and propagates it to the record that sent the message
+ * @param {object} status - Entry of change.statuses ({ id, status, timestamp, recipient_id, errors })
+ */
+async function recordMessageStatus(status) {
+  if (!status?.id || !MESSAGE_STATUS_RANK[status.status]) return;
+
+  const statusRef = db.collection("messageStatuses").doc(status.id);
+  const timestamp = status.timestamp
+    ? new Date(Number(status.timestamp) * 1000).toISOString()
+    : new Date().toISOString();
+  const update = {
+    status: status.status,
+    timestamp,
+    error: getStatusError(status),
+  };
 
-// ================================================================
-// ✅ ADMIN → USER CHAT API (SEND TEXT MESSAGE ONLY)
-//     - Sends via WhatsApp API
-//     - Stores TEXT in whatsappChats (no images here)
-// ================================================================
-app.post("/api/chat/send", async (req, res) => {
-  try {
-    const { phoneNumber, message } = req.body;
-    if (!phoneNumber || !message)
-      return res
-        .status(400)
-        .json({ error: "phoneNumber and message are required" });
-
-    // Send via WhatsApp
-    const url = `${WHATSAPP_API_URL}/${WHATSAPP_PHONE_ID}/messages`;
-    const payload = {
-      messaging_product: "whatsapp",
-      to: phoneNumber, // keep full number with country code for Meta
-      type: "text",
-      text: { body: message },
-    };
+  // Resolves to the status link when the update was applied, null when it was stale
+  const link = await db.runTransaction(async (tx) => {
+    const statusDoc = await tx.get(statusRef);
+    const current = statusDoc.exists ? statusDoc.data() : {};
 
-    await axios.post(url, payload, {
-      headers: {
-        Authorization: `Bearer ${WHATSAPP_TOKEN}`,
-        "Content-Type": "application/json",
+    if (!isStatusAdvance(current.status, update.status)) return null;
+
+    // Firestore transactions need every read before the first write
+    let historyRef = null;
+    let historyRecipientDoc = null;
+    if (current.historyId) {
+      historyRef = db.collection("bulkMessageHistory").doc(current.historyId);
+      historyRecipientDoc = await tx.get(historyRef.collection("recipients").doc(status.id));
+    }
+
+    let chatMessageRef = null;
+    let chatMessageDoc = null;
+    if (current.chatCollection && current.chatId && current.chatMessageId) {
+      chatMessageRef = db
+        .collection(current.chatCollection)
+        .doc(current.chatId)
+        .collection("messages")
+        .doc(current.chatMessageId);
+      chatMessageDoc = await tx.get(chatMessageRef);
+    }
+
+    tx.set(
+      statusRef,
+      {
+        status: update.status,
+        [`${update.status}At`]: update.timestamp,
+        recipient: status.recipient_id || current.recipient || null,
+        ...(update.error ? { error: update.error } : {}),
+        updatedAt: new Date().toISOString(),
       },
-    });
+      { merge: true }
+    );
 
-    // Save TEXT to whatsappChats ONLY
-    const timestamp = new Date().toISOString();
-    const shortPhone = phoneNumber.slice(-10);
+    if (chatMessageDoc?.exists) {
+      // Ticks live in status / readAt only - `read` means read by an admin
+      tx.update(chatMessageRef, applyStatusUpdate(chatMessageDoc.data(), update));
+    }
 
-    await db
-      .collection("whatsappChats")
-      .doc(shortPhone)
-      .collection("messages")
-      .add({
-        from: "admin",
-        text: message,
-        timestamp,
-        read: false,
-        type: "text",
-      });
+    // Recipient not stored yet → saveBulkRecipientResult folds this status in
+    if (!historyRecipientDoc?.exists) return current;
 
-    await db
-      .collection("whatsappChats")
-      .doc(shortPhone)
-      .set({ lastUpdated: timestamp }, { merge: true });
+    const result = historyRecipientDoc.data();
+    const next = applyStatusUpdate(result, update);
+    tx.update(historyRecipientDoc.ref, next);
 
-    // Maintain chat message limit (delete old messages if > 10)
-    await maintainChatLimit(shortPhone);
+    // Increments only: the record itself is never read here
+    const changes = deliveryCountChanges(result.status, next.status);
+    if (Object.keys(changes).length > 0) tx.set(historyRef, changes, { merge: true });
+    return current;
+  });
 
-    res
-      .status(200)
-      .json({ success: true, message: "Message sent successfully" });
-  } catch (err) {
-    console.error("❌ Admin send error:", err.response?.data || err.message);
-    res.status(500).json({ error: "Failed to send WhatsApp message" });
-  }
-});
+  if (!link) return;
+  const recipient = status.recipient_id || link.recipient || null;
+  publishEvent(
+    "message.status",
+    {
+      messageId: status.id,
+      ...update,
+      recipient,
+      collection: link.chatCollection || null,
+      chatMessageId: link.chatMessageId || null,
+      historyId: link.historyId || null,
+    },
+    { conversation: link.chatId || tryNormalizePhone(recipient)?.key || null }
+  );
+}
 
-// ================================================================
-// ✅ MANUAL CLEANUP ENDPOINT (Optional - for maintenance)
-// ================================================================
-app.post("/api/chat/cleanup/:phoneNumber", async (req, res) => {
-  try {
-    const { phoneNumber } = req.params;
-    const shortPhone = phoneNumber.slice(-10);
+/**
+ * Saves an admin message sent through the WhatsApp API into a chat collection
+ * and links its wamid so webhook statuses update the stored message.
+ * Also bumps lastUpdated and the inbox preview of the chat doc.
+ * @param {string} collectionName - "whatsappChats" | "supportChats"
+ * @param {string} chatKey - Chat document id
+ * @param {object} message - Message document (from, text, timestamp, type, ...)
+ * @param {object} apiResponse - Response body of the /messages call
+ * @returns {Promise<string>} - Id of the stored message document
+ */
+async function saveOutgoingChatMessage(collectionName, chatKey, message, apiResponse) {
+  const messageId = apiResponse?.messages?.[0]?.id || null;
+  const messageRef = db
+    .collection(collectionName)
+    .doc(chatKey)
+    .collection("messages")
+    .doc();
+  const stored = {
+    ...message,
+    messageId,
+    status: "sent",
+    sentAt: message.timestamp,
+  };
+  const chatFields = {
+    lastUpdated: message.timestamp,
+    ...inboxPreviewFields(message),
+    messageCount: admin.firestore.FieldValue.increment(1),
+  };
+  const searchTokens = buildSearchTokens(message);
 
-    await maintainChatLimit(shortPhone);
+  const announce = (saved) =>
+    publishEvent(
+      "message.outbound",
+      { collection: collectionName, message: { id: messageRef.id, ...toApiMessage(saved) } },
+      { conversation: chatKey }
+    );
 
-    res.status(200).json({
-      success: true,
-      message: `Chat cleanup completed for ${shortPhone}`,
-    });
-  } catch (err) {
-    console.error("❌ Error during manual cleanup:", err.message);
-    res.status(500).json({ error: "Failed to cleanup chat history" });
+  if (!messageId) {
+    const batch = db.batch();
+    batch.set(messageRef, { ...stored, searchTokens });
+    batch.set(db.collection(collectionName).doc(chatKey), chatFields, { merge: true });
+    await batch.commit();
+    announce(stored);
+    return messageRef.id;
   }
-});
+
+  const statusRef = db.collection("messageStatuses").doc(messageId);
+
+  // A status callback can beat us here, so fold in whatever is already stored
+  const saved = await db.runTransaction(async (tx) => {
+    const statusDoc = await tx.get(statusRef);
+    const existing = statusDoc.exists ? statusDoc.data() : {};
+    const tracked = existing.status
+      ? applyStatusUpdate(stored, {
+          status: existing.status,
+          timestamp: existing[`${existing.status}At`],
+          error: existing.error,
+        })
+      : stored;
+
+    tx.set(messageRef, { ...tracked, searchTokens });
+    tx.set(db.collection(collectionName).doc(chatKey), chatFields, { merge: true });
+    tx.set(
+      statusRef,
+      {
+        chatCollection: collectionName,
+        chatId: chatKey,
+        chatMessageId: messageRef.id,
+        createdAt: message.timestamp,
+      },
+      { merge: true }
+    );
+    return tracked;
+  });
+
+  announce(saved);
+  return messageRef.id;
+}
 
 // ================================================================
-// ✅ CLEANUP ALL CHATS (Admin endpoint - use with caution)
+// ✅ WEBHOOK SIGNATURE VERIFICATION (X-Hub-Signature-256)
+//     - Meta signs every POST with HMAC-SHA256 of the raw body using the App Secret
+//     - WHATSAPP_APP_SECRET_PREVIOUS is also accepted while rotating secrets
+//     - SKIP_WEBHOOK_SIGNATURE=true disables the check (tests / local only)
 // ================================================================
-app.post("/api/chat/cleanup-all", async (req, res) => {
-  try {
-    const chatsSnapshot = await db.collection("whatsappChats").get();
-    let cleanedCount = 0;
-
-    for (const chatDoc of chatsSnapshot.docs) {
-      await maintainChatLimit(chatDoc.id);
-      cleanedCount++;
-    }
+const WEBHOOK_APP_SECRETS = [
+  process.env.WHATSAPP_APP_SECRET,
+  process.env.WHATSAPP_APP_SECRET_PREVIOUS,
+].filter(Boolean);
+const SKIP_WEBHOOK_SIGNATURE = process.env.SKIP_WEBHOOK_SIGNATURE === "true";
+
+if (SKIP_WEBHOOK_SIGNATURE) {
+  console.warn("⚠️ Webhook signature verification is DISABLED (SKIP_WEBHOOK_SIGNATURE=true)");
+} else if (WEBHOOK_APP_SECRETS.length === 0) {
+  console.error("❌ WHATSAPP_APP_SECRET not configured - all webhook POSTs will be rejected");
+}
 
-    res.status(200).json({
-      success: true,
-      message: `Cleaned up ${cleanedCount} chat conversations`,
-    });
-  } catch (err) {
-    console.error("❌ Error during bulk cleanup:", err.message);
-    res.status(500).json({ error: "Failed to cleanup all chats" });
+/**
+ * Checks a "sha256=<hex>" signature header against the raw request body
+ * @param {Buffer} rawBody - Exact request body bytes
+ * @param {string} signatureHeader - Value of the X-Hub-Signature-256 header
+ * @param {string[]} secrets - App secrets to try (current first, then previous)
+ * @returns {boolean} - true if any secret produces a matching signature
+ */
+function isValidWebhookSignature(rawBody, signatureHeader, secrets) {
+  if (!rawBody || !signatureHeader || !signatureHeader.startsWith("sha256=")) {
+    return false;
   }
-});
 
-// ================================================================
-// ✅ FETCH LAST 10 CHAT MESSAGES (TEXT-ONLY HISTORY)
-//     - Reads from whatsappChats (since we store only text there)
-// ================================================================
-app.get("/api/chat/history/:phoneNumber", async (req, res) => {
-  try {
-    const { phoneNumber } = req.params;
-    const shortPhone = phoneNumber.slice(-10);
+  const received = Buffer.from(signatureHeader.slice("sha256=".length), "hex");
 
-    // Check if the chat document exists
-    const chatDoc = await db
-      .collection("whatsappChats")
-      .doc(shortPhone)
+  return secrets.some((secret) => {
+    const expected = crypto
+      .createHmac("sha256", secret)
+      .update(rawBody)
+      .digest();
+
+    // timingSafeEqual throws on length mismatch, so check length first
+    return (
+      received.length === expected.length &&
+      crypto.timingSafeEqual(received, expected)
+    );
+  });
+}
+
+/**
+ * Express middleware: rejects webhook POSTs whose signature doesn't match
+ */
+function verifyWebhookSignature(req, res, next) {
+  if (SKIP_WEBHOOK_SIGNATURE) return next();
+
+  const signature = req.get("X-Hub-Signature-256");
+
+  if (!isValidWebhookSignature(req.rawBody, signature, WEBHOOK_APP_SECRETS)) {
+    console.warn(
+      `🚫 Rejected webhook with ${signature ? "invalid" : "missing"} signature from ${req.ip}`
+    );
+    return res.status(401).json({ error: "Invalid webhook signature" });
+  }
+
+  next();
+}
+
+// ================================================================
+// ✅ CONVERSATIONS (one thread per player across both collections)
+//     - A conversation lives in whatsappChats when the number has a team
+//       registration (registered: true), otherwise in supportChats
+//     - When a registration appears, the support thread is PROMOTED: its
+//       messages, archive and counters move to whatsappChats (same ids)
+//     - Promotion runs when the number is next touched and in a 5-minute sweep
+// ================================================================
+const CONVERSATION_PROMOTION_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+// Keys already checked by this instance (a registered number never gets a new support thread)
+const promotedChatKeys = new Set();
+
+/**
+ * Moves a support thread (messages, archive, counters) into whatsappChats
+ * @param {object} phone - From normalizePhone
+ * @param {FirebaseFirestore.QueryDocumentSnapshot} registrationDoc - The new registration
+ * @returns {Promise<{ promoted: boolean, messages: number }>}
+ */
+async function promoteSupportConversation(phone, registrationDoc) {
+  if (promotedChatKeys.has(phone.key)) return { promoted: false, messages: 0 };
+
+  await migrateLegacyChat("supportChats", phone);
+  await migrateLegacyChat("whatsappChats", phone);
+
+  const supportRef = db.collection("supportChats").doc(phone.key);
+  const chatRef = db.collection("whatsappChats").doc(phone.key);
+  const supportArchiveRef = db.collection(archiveCollectionName("supportChats")).doc(phone.key);
+  const chatArchiveRef = db.collection(archiveCollectionName("whatsappChats")).doc(phone.key);
+
+  const [supportDoc, supportMessages, supportArchived, chatDoc] = await Promise.all([
+    supportRef.get(),
+    supportRef.collection("messages").get(),
+    supportArchiveRef.collection("messages").get(),
+    chatRef.get(),
+  ]);
+
+  if (!supportDoc.exists && supportMessages.empty && supportArchived.empty) {
+    promotedChatKeys.add(phone.key);
+    return { promoted: false, messages: 0 };
+  }
+
+  await moveMessageDocs(supportMessages.docs, chatRef);
+  await moveMessageDocs(supportArchived.docs, chatArchiveRef);
+
+  // Settings of the support thread (language, ...) fill gaps; counters are combined
+  const support = supportDoc.exists ? supportDoc.data() : {};
+  const chat = chatDoc.exists ? chatDoc.data() : {};
+  const latest = (field) => [support[field], chat[field]].filter(Boolean).sort().pop() || null;
+  const now = new Date().toISOString();
+  const newest = (support.lastMessageAt || "") > (chat.lastMessageAt || "") ? support : chat;
+  const unreadCount = (support.unreadCount || 0) + (chat.unreadCount || 0);
+
+  await chatRef.set(
+    {
+      ...support,
+      ...chat,
+      registered: true,
+      registrationId: registrationDoc.id,
+      lastUpdated: latest("lastUpdated") || now,
+      lastInboundAt: latest("lastInboundAt"),
+      ...pickInboxPreviewFields(newest),
+      unreadCount,
+      hasUnread: unreadCount > 0,
+      messageCount: (await chatRef.collection("messages").count().get()).data().count,
+      promotedFrom: "supportChats",
+      promotedAt: now,
+    },
+    { merge: true }
+  );
+  if (!supportArchived.empty) {
+    await chatArchiveRef.set(
+      {
+        lastArchivedAt: now,
+        archivedCount: admin.firestore.FieldValue.increment(supportArchived.size),
+      },
+      { merge: true }
+    );
+  }
+
+  await supportRef.delete();
+  await supportArchiveRef.delete();
+
+  promotedChatKeys.add(phone.key);
+  console.log(
+    `⬆️ Promoted support thread ${phone.key} to whatsappChats (${supportMessages.size} messages, ${supportArchived.size} archived)`
+  );
+  return { promoted: true, messages: supportMessages.size + supportArchived.size };
+}
+
+/**
+ * Finds where a player's conversation lives, promoting a stranded support thread first
+ * @param {object} phone - From normalizePhone
+ * @param {object} [options]
+ * @param {object|null} [options.registrationDoc] - Pass when already looked up
+ * @returns {Promise<{ collectionName: string, registered: boolean, registrationDoc: object|null }>}
+ */
+async function resolveConversation(phone, { registrationDoc } = {}) {
+  const registration =
+    registrationDoc === undefined ? await findRegistrationByPhone(phone) : registrationDoc;
+
+  if (!registration) {
+    await migrateLegacyChat("supportChats", phone);
+    return { collectionName: "supportChats", registered: false, registrationDoc: null };
+  }
+
+  await promoteSupportConversation(phone, registration);
+  return { collectionName: "whatsappChats", registered: true, registrationDoc: registration };
+}
+
+/**
+ * Promotes every support thread whose number now has a team registration
+ * @returns {Promise<{ checked: number, promoted: string[], errors: object[] }>}
+ */
+async function promoteRegisteredSupportChats() {
+  const report = { checked: 0, promoted: [], errors: [] };
+  const supportDocs = await db.collection("supportChats").select().get();
+  const phones = supportDocs.docs.map((doc) => tryNormalizePhone(doc.id)).filter(Boolean);
+  report.checked = phones.length;
+
+  // `in` takes at most 30 values and each number has up to 3 stored formats
+  for (let start = 0; start < phones.length; start += 10) {
+    const chunk = phones.slice(start, start + 10);
+    const registrations = await db
+      .collection("teamRegistrations")
+      .where("phoneNumber", "in", chunk.flatMap(phoneLookupValues))
       .get();
 
-    // If no chat document exists, return empty messages array (not 404)
-    if (!chatDoc.exists) {
-      console.log(`ℹ️ No chat history found for ${shortPhone}, returning empty array`);
-      return res.status(200).json({ phoneNumber: shortPhone, messages: [] });
+    for (const phone of chunk) {
+      const values = phoneLookupValues(phone);
+      const registrationDoc = registrations.docs.find((doc) =>
+        values.includes(String(doc.data().phoneNumber))
+      );
+      if (!registrationDoc) continue;
+
+      try {
+        promotedChatKeys.delete(phone.key);
+        const result = await promoteSupportConversation(phone, registrationDoc);
+        if (result.promoted) report.promoted.push(phone.key);
+      } catch (error) {
+        report.errors.push({ phoneNumber: phone.key, error: error.message });
+      }
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Shapes a chat doc for the conversation list
+ * @param {FirebaseFirestore.QueryDocumentSnapshot} chatDoc
+ * @param {object|null} [lastMessage] - Only for chats without the inbox preview fields
+ */
+function formatConversation(chatDoc, lastMessage = null) {
+  const chatData = chatDoc.data();
+  const registered = chatDoc.ref.parent.id === "whatsappChats";
+  return {
+    phoneNumber: chatDoc.id,
+    registered,
+    collection: chatDoc.ref.parent.id,
+    registrationId: chatData.registrationId || null,
+    lastMessage: chatData.lastMessagePreview ?? lastMessage?.text ?? "No messages",
+    lastMessageFrom: chatData.lastMessageFrom || lastMessage?.from || null,
+    lastMessageType: chatData.lastMessageType || lastMessage?.type || null,
+    lastMessageTime:
+      chatData.lastMessageAt || lastMessage?.timestamp || chatData.lastUpdated || null,
+    unreadCount: chatData.unreadCount || 0,
+    serviceWindow: describeServiceWindow(chatData.lastInboundAt || null),
+    promotedFrom: chatData.promotedFrom || null,
+  };
+}
+
+// Every conversation, registered and unknown (?registered=true|false, ?unread=true, ?sort=unread)
+app.get("/api/conversations", async (req, res) => {
+  try {
+    const collections = { true: ["whatsappChats"], false: ["supportChats"] }[
+      req.query.registered
+    ] || ["whatsappChats", "supportChats"];
+
+    const conversations = [];
+    for (const collectionName of collections) {
+      const chatsSnapshot = await db.collection(collectionName).get();
+      for (const chatDoc of chatsSnapshot.docs) {
+        conversations.push(await describeConversation(chatDoc));
+      }
+    }
+
+    const byRecent = (a, b) => new Date(b.lastMessageTime || 0) - new Date(a.lastMessageTime || 0);
+    if (req.query.sort === "unread") {
+      conversations.sort((a, b) => b.unreadCount - a.unreadCount || byRecent(a, b));
+    } else {
+      conversations.sort(byRecent);
+    }
+
+    const result =
+      req.query.unread === "true" ? conversations.filter((c) => c.unreadCount > 0) : conversations;
+
+    res.status(200).json({ success: true, count: result.length, conversations: result });
+  } catch (err) {
+    console.error("❌ Error fetching conversations:", err.message);
+    res.status(500).json({ error: "Failed to fetch conversations" });
+  }
+});
+
+// One player's thread, wherever it lives (promotes it first if they registered since)
+// Same ?before / ?after / ?from / ?type / ?q as the history endpoints, 50 messages per page
+app.get("/api/conversations/:phoneNumber", async (req, res) => {
+  try {
+    const { phoneNumber } = req.params;
+    const phone = tryNormalizePhone(phoneNumber);
+    if (!phone) {
+      return res.status(400).json({ error: `Invalid phone number: ${phoneNumber}` });
+    }
+    const { error, options } = parseHistoryQuery(req.query, 50);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { collectionName, registered, registrationDoc } = await resolveConversation(phone);
+    const chatRef = db.collection(collectionName).doc(phone.key);
+
+    const [chatDoc, page, serviceWindow] = await Promise.all([
+      chatRef.get(),
+      fetchMessagePage(collectionName, phone.key, options),
+      getServiceWindow(phone),
+    ]);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    res.status(200).json({
+      phoneNumber: phone.key,
+      registered,
+      collection: collectionName,
+      registrationId: registrationDoc?.id || null,
+      ...page,
+      unreadCount: chatDoc.exists ? chatDoc.data().unreadCount || 0 : 0,
+      serviceWindow,
+    });
+  } catch (err) {
+    console.error("❌ Error fetching conversation:", err.message);
+    res.status(500).json({ error: "Failed to fetch conversation" });
+  }
+});
+
+// Promote every support thread that has a registration now (the sweep does this every 5 min)
+app.post("/api/admin/promote-conversations", async (req, res) => {
+  try {
+    const report = await promoteRegisteredSupportChats();
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error("❌ Error promoting conversations:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ================================================================
+// ✅ INBOX (denormalized conversation list)
+//     - Every message write keeps lastUpdated + the preview fields below and
+//       unreadCount / hasUnread on the chat doc, so listing chats is one query
+//       instead of one per chat
+//     - The list is served by routes/inbox.js (GET /api/inbox, GET /api/support/users)
+//     - Chats written before this: POST /api/admin/backfill-inbox
+// ================================================================
+const INBOX_PREVIEW_LENGTH = 120;
+const INBOX_PREVIEW_FIELDS = ["lastMessagePreview", "lastMessageFrom", "lastMessageType", "lastMessageAt"];
+
+/**
+ * Chat doc fields describing its newest message
+ * @param {object} message - Stored chat message
+ * @returns {object}
+ */
+function inboxPreviewFields(message) {
+  const text = String(message.text || describeChatMessage(message.type, message) || "");
+  return {
+    lastMessagePreview:
+      text.length > INBOX_PREVIEW_LENGTH ? `${text.slice(0, INBOX_PREVIEW_LENGTH - 1)}…` : text,
+    lastMessageFrom: message.from || null,
+    lastMessageType: message.type || null,
+    lastMessageAt: message.timestamp || null,
+  };
+}
+
+/**
+ * Copies the preview fields of a chat doc (when moving a conversation)
+ * @param {object} chatData
+ * @returns {object}
+ */
+function pickInboxPreviewFields(chatData) {
+  return Object.fromEntries(
+    INBOX_PREVIEW_FIELDS.filter((field) => chatData[field] !== undefined).map((field) => [
+      field,
+      chatData[field],
+    ])
+  );
+}
+
+/**
+ * formatConversation, reading the newest message only for chats that predate the preview fields
+ * @param {FirebaseFirestore.QueryDocumentSnapshot} chatDoc
+ */
+async function describeConversation(chatDoc) {
+  if (chatDoc.data().lastMessageAt !== undefined) return formatConversation(chatDoc);
+
+  const lastMessageSnapshot = await chatDoc.ref
+    .collection("messages")
+    .orderBy("timestamp", "desc")
+    .limit(1)
+    .get();
+  return formatConversation(
+    chatDoc,
+    lastMessageSnapshot.empty ? null : lastMessageSnapshot.docs[0].data()
+  );
+}
+
+/**
+ * Fills the inbox fields of chat docs written before they existed
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Only count what would change
+ * @returns {Promise<{ checked: number, updated: number }>}
+ */
+async function backfillInboxFields({ dryRun = false } = {}) {
+  const report = { checked: 0, updated: 0 };
+
+  for (const collectionName of ["whatsappChats", "supportChats"]) {
+    const chatsSnapshot = await db.collection(collectionName).get();
+    for (const chatDoc of chatsSnapshot.docs) {
+      report.checked++;
+      const chatData = chatDoc.data();
+      if (chatData.lastMessageAt !== undefined && chatData.hasUnread !== undefined) continue;
+
+      const lastMessageSnapshot = await chatDoc.ref
+        .collection("messages")
+        .orderBy("timestamp", "desc")
+        .limit(1)
+        .get();
+      const lastMessage = lastMessageSnapshot.empty ? null : lastMessageSnapshot.docs[0].data();
+
+      report.updated++;
+      if (dryRun) continue;
+      await chatDoc.ref.set(
+        {
+          ...(lastMessage
+            ? inboxPreviewFields(lastMessage)
+            : Object.fromEntries(INBOX_PREVIEW_FIELDS.map((field) => [field, null]))),
+          // Chats without it would drop out of the inbox query
+          lastUpdated: chatData.lastUpdated || lastMessage?.timestamp || new Date(0).toISOString(),
+          hasUnread: (chatData.unreadCount || 0) > 0,
+        },
+        { merge: true }
+      );
+    }
+  }
+
+  return report;
+}
+
+// Conversation list routes: routes/inbox.js
+app.use(createInboxRouter({ db, describeConversation, backfillInboxFields }));
+
+// ================================================================
+// ✅ REAL-TIME EVENT STREAM (Server-Sent Events)
+//     - GET /api/events                           → everything (global channel)
+//     - GET /api/events/conversations/:phoneNumber → one conversation
+//     - ?types=message.inbound,message.status limits the event types
+//     - Reconnects send Last-Event-ID (EventSource does it for you, or
+//       ?lastEventId=) and get the missed events replayed; when they can't
+//       be (restart, too old) a "resync" event tells the client to reload
+//       over the REST endpoints
+// ================================================================
+const SSE_HEARTBEAT_MS = 25 * 1000; // keeps proxies (Render, nginx) from closing idle streams
+const SSE_RETRY_MS = 3000;
+
+/**
+ * Streams events to one dashboard connection
+ * @param {string|null} conversation - phone.key, or null for the global channel
+ */
+function handleEventStream(req, res, conversation) {
+  const types = req.query.types ? String(req.query.types).split(",").filter(Boolean) : null;
+  const unknownTypes = (types || []).filter((type) => !EVENT_TYPES.includes(type));
+  if (unknownTypes.length > 0) {
+    return res.status(400).json({
+      error: `Unknown event types: ${unknownTypes.join(", ")}. Valid: ${EVENT_TYPES.join(", ")}`,
+    });
+  }
+  const filter = { conversation, types };
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+  // Replay and subscribe in the same tick so no event falls in between
+  const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+  if (lastEventId) {
+    const { events, complete } = eventsSince(lastEventId, filter);
+    if (!complete) {
+      res.write(`event: resync\ndata: ${JSON.stringify({ lastEventId })}\n\n`);
+    }
+    events.forEach((event) => res.write(formatServerSentEvent(event)));
+  }
+  const unsubscribe = subscribe(filter, (event) => res.write(formatServerSentEvent(event)));
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), SSE_HEARTBEAT_MS);
+  console.log(`📡 Event stream opened (${conversation || "all"}), ${subscriberCount()} connected`);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    console.log(`📡 Event stream closed (${conversation || "all"}), ${subscriberCount()} connected`);
+  });
+}
+
+app.get("/api/events", (req, res) => handleEventStream(req, res, null));
+
+app.get("/api/events/conversations/:phoneNumber", (req, res) => {
+  const { phoneNumber } = req.params;
+  const phone = tryNormalizePhone(phoneNumber);
+  if (!phone) {
+    return res.status(400).json({ error: `Invalid phone number: ${phoneNumber}` });
+  }
+  handleEventStream(req, res, phone.key);
+});
+
+// ================================================================
+// ✅ INBOUND MESSAGE TYPES (text, media, location, contacts, ...)
+//     - Media is downloaded from Meta and rehosted on our media storage
+//       (Meta's media URLs expire and need our token)
+//     - Captions are kept; every type gets a readable `text` for the chat list
+//     - Types we don't understand are stored as placeholders, never dropped
+// ================================================================
+
+// WhatsApp message types that carry a downloadable file
+const INBOUND_MEDIA_TYPES = ["image", "sticker", "video", "audio", "document"];
+
+/**
+ * Downloads a media object a player sent us
+ * @param {string} mediaId - WhatsApp media id from the webhook
+ * @returns {Promise<{ buffer: Buffer, mimeType: string, fileSize: number }>}
+ */
+async function downloadWhatsAppMedia(mediaId) {
+  // 1) Get media URL
+  const mediaRes = await axios.get(`${WHATSAPP_API_URL}/${mediaId}`, {
+    headers: { Authorization: `Bearer ${WHATSAPP_TOKEN}` },
+  });
+
+  // 2) Download the file
+  const fileResponse = await axios.get(mediaRes.data.url, {
+    responseType: "arraybuffer",
+    headers: { Authorization: `Bearer ${WHATSAPP_TOKEN}` },
+  });
+
+  return {
+    buffer: Buffer.from(fileResponse.data),
+    mimeType: mediaRes.data.mime_type,
+    fileSize: mediaRes.data.file_size,
+  };
+}
+
+/**
+ * Downloads a WhatsApp media object and rehosts it on the media storage
+ * @param {object} media - msg.image / msg.video / msg.document / ... from the webhook
+ * @param {string} type - WhatsApp message type
+ * @param {object} phone - Sender, from normalizePhone
+ * @returns {Promise<object>} - { url, storageId, publicId?, mediaId, mimeType, fileSize, sha256, phash?, filename? }
+ *   (url is null for backends with expiring links - see toApiMessage)
+ */
+async function rehostInboundMedia(media, type, phone) {
+  const { buffer, mimeType, fileSize } = await downloadWhatsAppMedia(media.id);
+
+  const storage = getMediaStorage();
+  const stored = await storage.save(buffer, {
+    folder: `whatsapp_media/${phone.digits}`,
+    kind: type,
+    filename: media.filename,
+    mimeType: media.mime_type || mimeType,
+  });
+
+  console.log(`✅ Stored ${type} (${storage.name}): ${stored.storageId}`);
+
+  // Perceptual hash for duplicate screenshot detection
+  let phash = null;
+  if (type === "image") {
+    try {
+      phash = computePhash(buffer);
+    } catch (err) {
+      console.error("⚠️ Could not hash image:", err.message);
+    }
+  }
+
+  return {
+    url: storedMediaUrl(stored.storageId, stored.url),
+    storageId: stored.storageId,
+    ...(stored.publicId ? { publicId: stored.publicId } : {}),
+    mediaId: media.id,
+    mimeType: media.mime_type || mimeType || null,
+    fileSize: fileSize || stored.bytes || null,
+    sha256: crypto.createHash("sha256").update(buffer).digest("hex"),
+    ...(phash ? { phash } : {}),
+    ...(media.filename ? { filename: media.filename } : {}),
+  };
+}
+
+/**
+ * Stored message as the API returns it: with a usable media URL (signed local
+ * links expire, see resolveMediaUrl) and without the searchTokens index
+ * @param {object} message - Stored chat message
+ * @returns {object}
+ */
+function toApiMessage({ searchTokens, ...message }) {
+  if (!message.media?.storageId) return message;
+  return {
+    ...message,
+    media: { ...message.media, url: resolveMediaUrl(message.media.storageId, message.media.url) },
+  };
+}
+
+/**
+ * Readable one-line version of a chat message (chat list preview / debug store)
+ * @param {string} type - Stored message type
+ * @param {object} message - Stored message fields
+ * @returns {string}
+ */
+function describeChatMessage(type, message) {
+  switch (type) {
+    case "text":
+      return message.text;
+    case "image":
+      return message.caption || "[Image]";
+    case "video":
+      return message.caption || "[Video]";
+    case "document":
+      return message.caption || `[Document] ${message.media?.filename || ""}`.trim();
+    case "audio":
+      return message.voice ? "[Voice note]" : "[Audio]";
+    case "sticker":
+      return "[Sticker]";
+    case "location": {
+      const { name, address, latitude, longitude } = message.location;
+      return `[Location] ${name || address || `${latitude}, ${longitude}`}`;
+    }
+    case "contacts":
+      return `[Contact] ${message.contacts.map((contact) => contact.name).join(", ")}`;
+    case "interactive":
+      return message.interactive?.body?.text || "[Interactive message]";
+    case "interactive_reply":
+      return message.reply.title || message.reply.id;
+    case "reaction":
+      return message.reaction.emoji
+        ? `[Reaction] ${message.reaction.emoji}`
+        : "[Reaction removed]";
+    default:
+      return `[Unsupported message: ${message.originalType}]`;
+  }
+}
+
+/**
+ * Converts a webhook message into the chat message we store
+ * @param {object} msg - Entry of value.messages from the webhook
+ * @param {object} phone - Sender, from normalizePhone
+ * @returns {Promise<object>} - Message fields (without timestamp)
+ */
+async function buildInboundMessage(msg, phone) {
+  const type = msg.type || (msg.text ? "text" : "unknown");
+  const message = { from: "user", read: false, type, waMessageId: msg.id || null };
+
+  if (type === "text") {
+    message.text = msg.text?.body || "";
+  } else if (INBOUND_MEDIA_TYPES.includes(type) && msg[type]?.id) {
+    const media = msg[type];
+    if (media.caption) message.caption = media.caption;
+    if (type === "audio") message.voice = Boolean(media.voice);
+    if (type === "sticker") message.animated = Boolean(media.animated);
+
+    try {
+      message.media = await rehostInboundMedia(media, type, phone);
+    } catch (err) {
+      // Keep the message (and Meta's media id) so an admin still sees something arrived
+      console.error(`❌ Error rehosting ${type}:`, err?.response?.data || err.message);
+      message.media = {
+        mediaId: media.id,
+        mimeType: media.mime_type || null,
+        ...(media.filename ? { filename: media.filename } : {}),
+      };
+      message.mediaError = err.message;
+    }
+  } else if (type === "location" && msg.location) {
+    const { latitude, longitude, name, address, url } = msg.location;
+    message.location = {
+      latitude,
+      longitude,
+      ...(name ? { name } : {}),
+      ...(address ? { address } : {}),
+      ...(url ? { url } : {}),
+    };
+  } else if (type === "contacts" && Array.isArray(msg.contacts)) {
+    message.contacts = msg.contacts.map((contact) => ({
+      name: contact.name?.formatted_name || contact.name?.first_name || "Unknown",
+      phones: (contact.phones || []).map((entry) => entry.wa_id || entry.phone).filter(Boolean),
+    }));
+  } else if (type === "reaction" && msg.reaction) {
+    message.reaction = {
+      messageId: msg.reaction.message_id,
+      emoji: msg.reaction.emoji || null,
+    };
+  } else if ((type === "interactive" || type === "button") && parseInteractiveReply(msg)) {
+    // Tap on a reply button / list row / template quick-reply button
+    message.type = "interactive_reply";
+    message.reply = parseInteractiveReply(msg);
+    if (msg.context?.id) message.context = { messageId: msg.context.id };
+  } else {
+    // order, system, unsupported, ... → placeholder
+    message.type = "unsupported";
+    message.originalType = type;
+    if (msg.errors) {
+      message.errors = msg.errors.map((err) => ({ code: err.code, title: err.title }));
+    }
+  }
+
+  message.text = message.text ?? describeChatMessage(message.type, message);
+  return message;
+}
+
+/**
+ * Stores an inbound message in whatsappChats (registered player) or supportChats (unknown number)
+ * @param {object} phone - Sender, from normalizePhone
+ * @param {object} message - From buildInboundMessage, plus timestamp
+ * @param {object} [options]
+ * @param {object|null} [options.registrationDoc] - Pass when already looked up
+ * @param {string} [options.inboundAt] - When the player sent it (opens the 24h window)
+ * @returns {Promise<string>} - Collection the message went to
+ */
+async function saveInboundChatMessage(phone, message, { registrationDoc, inboundAt } = {}) {
+  // Promotes an earlier support thread if the player has registered since
+  const { collectionName, registered } = await resolveConversation(phone, { registrationDoc });
+  const chatKey = phone.key;
+
+  console.log(
+    registered
+      ? `💬 Registered user ${message.type} message: ${chatKey}`
+      : `🆘 Unknown user ${message.type} message: ${chatKey}`
+  );
+
+  // Used to pick the template language when we message this player
+  const detectedLanguage = detectLanguage(message.type === "text" ? message.text : message.caption);
+
+  const messageRef = await db
+    .collection(collectionName)
+    .doc(chatKey)
+    .collection("messages")
+    .add({ ...message, searchTokens: buildSearchTokens(message) });
+
+  await db
+    .collection(collectionName)
+    .doc(chatKey)
+    .set(
+      {
+        lastUpdated: message.timestamp,
+        lastInboundAt: inboundAt || message.timestamp,
+        registered,
+        ...inboxPreviewFields(message),
+        // Reset by POST /api/chat|support/read/:phoneNumber
+        unreadCount: admin.firestore.FieldValue.increment(1),
+        hasUnread: true,
+        // Retention count check (see applyRetentionPolicy)
+        messageCount: admin.firestore.FieldValue.increment(1),
+        ...(detectedLanguage ? { detectedLanguage } : {}),
+      },
+      { merge: true }
+    );
+
+  publishEvent(
+    "message.inbound",
+    {
+      collection: collectionName,
+      registered,
+      message: { id: messageRef.id, ...toApiMessage(message) },
+    },
+    { conversation: chatKey }
+  );
+
+  // Apply the collection's retention policy (overflow is moved to the archive)
+  if (registered) await maintainChatLimit(chatKey);
+  else await maintainSupportChatLimit(chatKey);
+
+  return collectionName;
+}
+
+// ================================================================
+// ✅ STEP 2: RECEIVE INCOMING WHATSAPP MESSAGES
+// ================================================================
+app.post("/webhook", verifyWebhookSignature, async (req, res) => {
+  try {
+    const body = req.body;
+
+    if (!(body.object && body.entry)) {
+      return res.status(404).json({ error: "Invalid payload" });
+    }
+
+    const change = body.entry?.[0]?.changes?.[0]?.value;
+
+
+
+     // 🔥 DELIVERY TRACKING BLOCK (your requested output here)
+    // ============================================================
+    if (change?.statuses) {
+      for (const status of change.statuses) {
+
+        const statusLog = {
+          statuses: [
+            {
+              status: status.status,
+              errors: status.errors
+                ? status.errors.map(err => ({
+                    code: err.code,
+                    title: err.title,
+                    message: err.message
+                  }))
+                : undefined
+            }
+          ]
+        };
+
+        console.log("📦 DELIVERY STATUS UPDATE:\n" + JSON.stringify(statusLog, null, 2));
+
+        try {
+          await recordMessageStatus(status);
+        } catch (statusErr) {
+          console.error(`❌ Error recording status for ${status.id}:`, statusErr.message);
+        }
+      }
+    }
+
+
+
+
+
+    const messages = change?.messages;
+    if (!messages) return res.status(200).json({ status: "no messages" });
+
+    for (const msg of messages) {
+      const from = msg.from;               // e.g., 91987xxxxxxx
+      const phone = tryNormalizePhone(from);
+      if (!phone) {
+        console.warn(`⚠️ Skipping message from invalid number: ${from}`);
+        continue;
+      }
+      const chatKey = phone.key;           // E.164 doc id, e.g. +91987xxxxxxx
+      const timestamp = new Date().toISOString();
+      // Meta's send time (webhooks can be retried late) - the 24h window counts from it
+      const inboundAt = msg.timestamp
+        ? new Date(Number(msg.timestamp) * 1000).toISOString()
+        : timestamp;
+      const registrationDoc = await findRegistrationByPhone(phone);
+
+      // ✅ IMAGE FROM A REGISTERED TEAM: chat message in whatsappChats + verification screenshot
+      //    in teamRegistrations (images from unknown numbers are chat messages in supportChats)
+      if (msg.image?.id && registrationDoc) {
+        const mediaId = msg.image.id;
+        console.log(`🖼 Received image from ${chatKey} (Media ID: ${mediaId})`);
+        try {
+          // Rehosts the file once - the chat message and the registration share it
+          const message = { ...(await buildInboundMessage(msg, phone)), timestamp };
+          receivedMessagesStore.push({ from, text: message.text, timestamp, mediaId });
+          await saveInboundChatMessage(phone, message, { registrationDoc, inboundAt });
+
+          if (message.mediaError) {
+            console.warn(`⚠️ Screenshot from ${chatKey} not stored, skipping verification`);
+            continue;
+          }
+          const uploadedImage = message.media;
+          const verificationStatus = await recordVerificationUpload(registrationDoc, uploadedImage);
+          console.log(
+            `🔥 Image URL saved in teamRegistrations for ${chatKey} (status: ${verificationStatus || "none"})`
+          );
+
+          // Reused screenshot check - never blocks the upload itself
+          try {
+            await fingerprintVerificationImage(registrationDoc, uploadedImage);
+          } catch (fingerprintErr) {
+            console.error("❌ Error fingerprinting screenshot:", fingerprintErr.message);
+          }
+        } catch (err) {
+          console.error("❌ Error handling image:", err?.response?.data || err.message);
+        }
+        continue;
+      }
+
+      // ✅ EVERY OTHER MESSAGE: typed chat message in whatsappChats / supportChats
+      try {
+        const message = { ...(await buildInboundMessage(msg, phone)), timestamp };
+        console.log(`📩 ${message.type} from ${from}: ${message.text}`);
+        receivedMessagesStore.push({ from, text: message.text, timestamp });
+
+        const collectionName = await saveInboundChatMessage(phone, message, {
+          registrationDoc,
+          inboundAt,
+        });
+
+        // ✅ STOP / UNSUBSCRIBE / START (typed, or a template's "Stop promotions" button)
+        let optKeyword = null;
+        if (message.type === "text") optKeyword = message.text;
+        if (message.type === "interactive_reply") optKeyword = message.reply.title;
+        const optCommand = getOptCommand(optKeyword);
+
+        if (optCommand) {
+          await handleOptCommand(phone, optCommand, optKeyword, { collectionName });
+        } else if (message.type === "text") {
+          // ✅ STATUS / HELP / RULES ... answered without an admin
+          await handleAutoReply(phone, message.text, { collectionName, registrationDoc });
+        } else if (message.type === "interactive_reply") {
+          // ✅ BUTTON / LIST REPLIES → configured action (e.g. update the registration)
+          await handleInteractiveReply(phone, message, { collectionName, registrationDoc });
+        }
+      } catch (err) {
+        console.error(`❌ Error handling ${msg.type} message from ${from}:`, err.message);
+      }
+    }
+
+    res.status(200).json({ status: "received" });
+  } catch (err) {
+    console.error("❌ Webhook error:", err.message);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// ================================================================
+// ✅ GET ALL RECEIVED MESSAGES (DEBUGGING)
+// ================================================================
+app.get("/api/messages", (req, res) => {
+  res.status(200).json({ messages: receivedMessagesStore });
+});
+
+// ================================================================
+// ✅ RECIPIENT LANGUAGE (which template translation a player gets)
+//     Preference order:
+//       1) preferredLanguage on the team registration
+//       2) preferredLanguage on the chat document (set by an admin)
+//       3) detectedLanguage on the chat document (script of their messages)
+//     then TEMPLATE_FALLBACK_LANGUAGES in the template registry
+// ================================================================
+
+// Unicode blocks of Indian scripts → WhatsApp template language codes
+const SCRIPT_LANGUAGES = [
+  [/[\u0900-\u097F]/, "hi"], // Devanagari (Hindi / Marathi → Hindi templates)
+  [/[\u0B80-\u0BFF]/, "ta"], // Tamil
+  [/[\u0C00-\u0C7F]/, "te"], // Telugu
+  [/[\u0C80-\u0CFF]/, "kn"], // Kannada
+  [/[\u0D00-\u0D7F]/, "ml"], // Malayalam
+  [/[\u0980-\u09FF]/, "bn"], // Bengali
+  [/[\u0A80-\u0AFF]/, "gu"], // Gujarati
+  [/[\u0A00-\u0A7F]/, "pa"], // Gurmukhi
+];
+
+/**
+ * Guesses a language from the script a message is written in.
+ * Latin text returns null (could be English or romanized Hindi).
+ * @param {string} text
+ * @returns {string|null}
+ */
+function detectLanguage(text) {
+  if (!text) return null;
+  const match = SCRIPT_LANGUAGES.find(([pattern]) => pattern.test(text));
+  return match ? match[1] : null;
+}
+
+/**
+ * Collects a player's language preferences (most preferred first)
+ * @param {object} sources - { registration, chat, supportChat } document data (any may be missing)
+ * @returns {string[]}
+ */
+function collectLanguagePreferences({ registration, chat, supportChat } = {}) {
+  return [
+    registration?.preferredLanguage,
+    chat?.preferredLanguage,
+    supportChat?.preferredLanguage,
+    chat?.detectedLanguage,
+    supportChat?.detectedLanguage,
+  ].filter((code, i, all) => code && all.indexOf(code) === i);
+}
+
+/**
+ * Looks up the language preferences of a single phone number
+ * @param {string} phoneNumber - Any format accepted by normalizePhone
+ * @returns {Promise<string[]>}
+ */
+async function getRecipientLanguages(phoneNumber) {
+  const phone = tryNormalizePhone(phoneNumber);
+  if (!phone) return [];
+
+  const [registrationDoc, chatDoc, supportDoc] = await Promise.all([
+    findRegistrationByPhone(phone),
+    db.collection("whatsappChats").doc(phone.key).get(),
+    db.collection("supportChats").doc(phone.key).get(),
+  ]);
+
+  return collectLanguagePreferences({
+    registration: registrationDoc ? registrationDoc.data() : null,
+    chat: chatDoc.exists ? chatDoc.data() : null,
+    supportChat: supportDoc.exists ? supportDoc.data() : null,
+  });
+}
+
+/**
+ * PUT /api/contacts/:phoneNumber/language
+ * Set a player's preferred template language, e.g. { "language": "ta" }
+ * Stored on the registration if the player is registered, else on their support chat
+ */
+app.put("/api/contacts/:phoneNumber/language", async (req, res) => {
+  try {
+    const phone = tryNormalizePhone(req.params.phoneNumber);
+    if (!phone) {
+      return res.status(400).json({ error: `Invalid phone number: ${req.params.phoneNumber}` });
+    }
+    const chatKey = phone.key;
+    const { language } = req.body;
+
+    if (language !== null && (typeof language !== "string" || !/^[a-z]{2,3}(_[A-Z]{2})?$/.test(language))) {
+      return res.status(400).json({
+        error: "language must be a WhatsApp language code (e.g. en, hi, ta, en_US) or null",
+      });
+    }
+
+    const registrationDoc = await findRegistrationByPhone(phone);
+
+    const timestamp = new Date().toISOString();
+    if (registrationDoc) {
+      await registrationDoc.ref.update({ preferredLanguage: language, updatedAt: timestamp });
+    } else {
+      await migrateLegacyChat("supportChats", phone);
+      await db
+        .collection("supportChats")
+        .doc(chatKey)
+        .set({ preferredLanguage: language }, { merge: true });
+    }
+
+    console.log(`🌐 Preferred language for ${chatKey} set to ${language}`);
+    res.status(200).json({
+      success: true,
+      phoneNumber: chatKey,
+      language,
+      storedOn: registrationDoc ? "teamRegistrations" : "supportChats",
+    });
+  } catch (err) {
+    console.error("❌ Error setting preferred language:", err.message);
+    res.status(500).json({ error: "Failed to set preferred language" });
+  }
+});
+
+// ================================================================
+// ✅ TEMPLATE MESSAGE HELPERS
+// ================================================================
+async function sendTemplateMessage(to, templateName, language) {
+  const url = `${WHATSAPP_API_URL}/${WHATSAPP_PHONE_ID}/messages`;
+
+  // Throws (with validationErrors) if the template needs params we don't have.
+  // `language` may be a list of preferences; the first approved one wins.
+  const { language: languageCode, components } = await prepareTemplate(
+    templateName,
+    {},
+    language
+  );
+
+  const payload = {
+    messaging_product: "whatsapp",
+    to,
+    type: "template",
+    template: {
+      name: templateName,
+      language: { code: languageCode },
+      ...(components.length > 0 ? { components } : {}),
+    },
+  };
+
+  try {
+    const response = await axios.post(url, payload, {
+      headers: {
+        Authorization: `Bearer ${WHATSAPP_TOKEN}`,
+        "Content-Type": "application/json",
+      },
+    });
+    console.log(`✅ Template message sent: ${templateName} (${languageCode}) → ${to}`);
+    return { ...response.data, language: languageCode };
+  } catch (error) {
+    console.error(
+      "❌ WhatsApp template send error:",
+      error.response?.data || error.message
+    );
+    throw new Error(JSON.stringify(error.response?.data || error.message));
+  }
+}
+
+// ================================================================
+// ✅ VERIFICATION WORKFLOW
+//     - One call moves a team to a new status: validates the transition
+//       (services/verification.js), updates teamRegistrations, writes a
+//       verificationEvents audit entry (who, why, from → to) and sends the
+//       matching template
+//     - The admin routes (transition, legacy /api/verify/*, queue, audit
+//       trail) are in routes/verification.js
+// ================================================================
+/**
+ * Applies a verification transition and records it, atomically
+ * @param {FirebaseFirestore.DocumentReference} registrationRef
+ * @param {string} toStatus
+ * @param {object} details
+ * @param {string} details.actor - Admin name / email, or "player" for uploads
+ * @param {string|null} [details.reason]
+ * @param {boolean} [details.requireReason] - See validateVerificationTransition
+ * @param {"admin"|"webhook"|"interactive_action"} [details.source]
+ * @param {object} [details.extraUpdates] - More registration fields to write in the same update
+ * @returns {Promise<{ error: string, code: string, allowed?: string[] } | { registration: object, event: object }>}
+ */
+async function transitionVerification(
+  registrationRef,
+  toStatus,
+  {
+    actor,
+    reason = null,
+    requireReason = true,
+    source = "admin",
+    extraUpdates = {},
+  }
+) {
+  const eventRef = db.collection("verificationEvents").doc();
+
+  return db.runTransaction(async (tx) => {
+    const registrationDoc = await tx.get(registrationRef);
+    if (!registrationDoc.exists) {
+      return { error: `Registration not found: ${registrationRef.id}`, code: "NOT_FOUND" };
+    }
+
+    const registration = registrationDoc.data();
+    const check = validateVerificationTransition(registration.verificationStatus, toStatus, {
+      reason,
+      requireReason,
+    });
+    if (check.error) return check;
+
+    const now = new Date().toISOString();
+    const updates = {
+      ...extraUpdates,
+      verificationStatus: toStatus,
+      verificationUpdatedAt: now,
+      verificationUpdatedBy: actor,
+      verificationReason: reason ? reason.trim() : null,
+      ...(toStatus === "verified" ? { verifiedAt: now } : {}),
+      updatedAt: now,
+    };
+    const event = {
+      registrationId: registrationRef.id,
+      teamName: registration.teamName || null,
+      phoneNumber: registration.phoneNumber || null,
+      from: check.transition.from,
+      to: toStatus,
+      actor,
+      reason: updates.verificationReason,
+      source,
+      createdAt: now,
+    };
+
+    tx.update(registrationRef, updates);
+    tx.set(eventRef, event);
+    return {
+      registration: { id: registrationRef.id, ...registration, ...updates },
+      event: { id: eventRef.id, ...event },
+    };
+  });
+}
+
+/**
+ * Current URLs of a registration's screenshots: imageFiles (storage ids) first,
+ * then `images` entries from before imageFiles existed
+ * @param {object} registration - teamRegistrations data
+ * @returns {string[]}
+ */
+function registrationImageUrls(registration) {
+  const files = registration.imageFiles || [];
+  const covered = new Set(files.map((file) => file.url).filter(Boolean));
+  return [
+    ...files.map((file) => resolveMediaUrl(file.storageId, file.url || null)),
+    ...(registration.images || []).filter((url) => !covered.has(url)),
+  ].filter(Boolean);
+}
+
+/**
+ * Logs a transition and pushes it to the dashboard
+ * @param {object} registration - From transitionVerification
+ * @param {object} event - From transitionVerification
+ */
+function announceVerificationChange(registration, event) {
+  console.log(
+    `🏷 ${registration.teamName || registration.id}: ${event.from || "no status"} → ${event.to} by ${event.actor}`
+  );
+  publishEvent(
+    "verification.changed",
+    {
+      registrationId: registration.id,
+      teamName: event.teamName,
+      from: event.from,
+      to: event.to,
+      actor: event.actor,
+      reason: event.reason,
+    },
+    { conversation: tryNormalizePhone(registration.phoneNumber)?.key || null }
+  );
+}
+
+/**
+ * Stores a screenshot from a registered player and moves the team to image_uploaded
+ * when the state machine allows it (pending / verified teams keep their status)
+ * @param {FirebaseFirestore.QueryDocumentSnapshot} registrationDoc
+ * @param {object} image - From rehostInboundMedia
+ * @returns {Promise<string|null>} - verificationStatus afterwards
+ */
+async function recordVerificationUpload(registrationDoc, image) {
+  const now = new Date().toISOString();
+  const imageUpdates = {
+    // Source of truth: storage ids, signed into links when served (registrationImageUrls)
+    imageFiles: admin.firestore.FieldValue.arrayUnion({
+      storageId: image.storageId,
+      url: image.url,
+      uploadedAt: now,
+    }),
+    // Permanent links only, for readers of the old `images` array
+    ...(image.url ? { images: admin.firestore.FieldValue.arrayUnion(image.url) } : {}),
+    lastImageUploadedAt: now,
+  };
+  const currentStatus = registrationDoc.data().verificationStatus || null;
+
+  if (
+    currentStatus !== "image_uploaded" &&
+    allowedVerificationTransitions(currentStatus).includes("image_uploaded")
+  ) {
+    const outcome = await transitionVerification(registrationDoc.ref, "image_uploaded", {
+      actor: "player",
+      source: "webhook",
+      extraUpdates: imageUpdates,
+    });
+    if (!outcome.error) {
+      announceVerificationChange(outcome.registration, outcome.event);
+      return "image_uploaded";
+    }
+    // Status changed since we read it - just keep the screenshot
+  }
+
+  await registrationDoc.ref.update({ ...imageUpdates, updatedAt: now });
+  return currentStatus;
+}
+
+/**
+ * Sends the template of the team's new status and stores the outcome on the audit entry
+ * @param {object} registration - From transitionVerification
+ * @param {object} event - From transitionVerification
+ * @param {object} [options]
+ * @param {string} [options.language] - Overrides the player's language
+ * @returns {Promise<object>} - { sent, template, skipped?, error?, result? }
+ */
+async function notifyVerificationChange(registration, event, { language } = {}) {
+  const template = VERIFICATION_TEMPLATES[event.to] || null;
+  const phone = tryNormalizePhone(registration.phoneNumber);
+  let notification;
+
+  if (!template) {
+    notification = { sent: false, template, skipped: "no_template" };
+  } else if (!phone) {
+    notification = { sent: false, template, error: `Invalid phone number: ${registration.phoneNumber}` };
+  } else if (await getSuppression(phone)) {
+    // Opted-out players are skipped, not failed
+    console.log(`🚫 Skipping ${template} message to suppressed ${phone.e164}`);
+    notification = { sent: false, template, skipped: "suppressed" };
+  } else {
+    try {
+      const languages = language ? [language] : await getRecipientLanguages(phone.e164);
+      const result = await sendTemplateMessage(phone.digits, template, languages);
+      notification = {
+        sent: true,
+        template,
+        language: result.language,
+        messageId: result.messages?.[0]?.id || null,
+        result,
+      };
+    } catch (error) {
+      console.error(`❌ Error sending ${template} template:`, error.message);
+      notification = {
+        sent: false,
+        template,
+        error: error.message,
+        ...(error.validationErrors ? { details: error.validationErrors } : {}),
+      };
+    }
+  }
+
+  const { result, ...stored } = notification;
+  await db.collection("verificationEvents").doc(event.id).update({ notification: stored });
+  return notification;
+}
+
+// Verification admin routes: routes/verification.js
+app.use(
+  createVerificationRouter({
+    db,
+    transitionVerification,
+    announceVerificationChange,
+    notifyVerificationChange,
+    findRegistrationByPhone,
+    registrationImageUrls,
+    getRecipientLanguages,
+    sendTemplateMessage,
+  })
+);
+
+// ================================================================
+// ✅ DUPLICATE SCREENSHOT DETECTION
+//     - Every verification screenshot gets an imageFingerprints doc
+//       (sha256 + perceptual hash of the JPEG / PNG pixels, with any media
+//       storage backend - see services/imageFingerprints.js)
+//     - A match with another team's screenshot creates a duplicateImageMatches
+//       doc (score 1 = identical bytes) and flags both registrations:
+//       duplicateImageSuspected: true, duplicateImageMatches.{matchId}: {...}
+//     - GET /api/duplicates lists them for review, PUT /api/duplicates/:id
+//       confirms or dismisses one
+// ================================================================
+const DUPLICATE_MATCH_STATUSES = ["open", "confirmed", "dismissed"];
+
+/**
+ * Fingerprints a screenshot and flags matches with other registrations
+ * @param {FirebaseFirestore.QueryDocumentSnapshot} registrationDoc
+ * @param {object} image - From rehostInboundMedia ({ url, storageId, sha256, phash })
+ * @returns {Promise<object[]>} - New matches
+ */
+async function fingerprintVerificationImage(registrationDoc, image) {
+  const phash = normalizePhash(image.phash);
+  if (!image.sha256 && !phash) return [];
+
+  const registration = registrationDoc.data();
+  const fingerprintsRef = db.collection("imageFingerprints");
+  const fingerprintRef = fingerprintsRef.doc();
+  const now = new Date().toISOString();
+  const fingerprint = {
+    registrationId: registrationDoc.id,
+    teamName: registration.teamName || null,
+    phoneNumber: registration.phoneNumber || null,
+    url: image.url,
+    storageId: image.storageId || null,
+    sha256: image.sha256 || null,
+    phash,
+    phashAlgorithm: phash ? PHASH_ALGORITHM : null,
+    phashBands: phash ? phashBands(phash) : [],
+    uploadedAt: now,
+  };
+
+  const [exact, similar] = await Promise.all([
+    fingerprint.sha256 ? fingerprintsRef.where("sha256", "==", fingerprint.sha256).get() : null,
+    phash
+      ? fingerprintsRef.where("phashBands", "array-contains-any", fingerprint.phashBands).get()
+      : null,
+  ]);
+  await fingerprintRef.set(fingerprint);
+
+  // Best match per other team (a team re-sending its own screenshot is fine)
+  const bestByRegistration = new Map();
+  for (const candidate of [...(exact?.docs || []), ...(similar?.docs || [])]) {
+    const other = candidate.data();
+    if (other.registrationId === registrationDoc.id) continue;
+
+    const comparison = compareFingerprints(fingerprint, other);
+    if (!comparison) continue;
+    const best = bestByRegistration.get(other.registrationId);
+    if (!best || comparison.score > best.comparison.score) {
+      bestByRegistration.set(other.registrationId, { candidate, other, comparison });
+    }
+  }
+  if (bestByRegistration.size === 0) return [];
+
+  const otherRegistrations = await db.getAll(
+    ...[...bestByRegistration.keys()].map((id) => db.collection("teamRegistrations").doc(id))
+  );
+
+  const matches = [];
+  const batch = db.batch();
+  for (const otherRegistration of otherRegistrations) {
+    if (!otherRegistration.exists) continue;
+    const { candidate, other, comparison } = bestByRegistration.get(otherRegistration.id);
+    const matchId = [fingerprintRef.id, candidate.id].sort().join("_");
+    const match = {
+      registrationIds: [registrationDoc.id, otherRegistration.id],
+      fingerprintIds: [fingerprintRef.id, candidate.id],
+      images: [
+        {
+          registrationId: registrationDoc.id,
+          teamName: fingerprint.teamName,
+          url: fingerprint.url,
+          storageId: fingerprint.storageId,
+        },
+        {
+          registrationId: otherRegistration.id,
+          teamName: other.teamName,
+          url: other.url,
+          storageId: other.storageId || null,
+        },
+      ],
+      ...comparison,
+      status: "open",
+      detectedAt: now,
+    };
+
+    batch.set(db.collection("duplicateImageMatches").doc(matchId), match);
+    const flag = (otherId, otherTeamName) => ({
+      otherRegistrationId: otherId,
+      otherTeamName: otherTeamName || null,
+      ...comparison,
+      status: "open",
+      detectedAt: now,
+    });
+    batch.update(
+      registrationDoc.ref,
+      new admin.firestore.FieldPath("duplicateImageMatches", matchId),
+      flag(otherRegistration.id, other.teamName),
+      "duplicateImageSuspected",
+      true
+    );
+    batch.update(
+      otherRegistration.ref,
+      new admin.firestore.FieldPath("duplicateImageMatches", matchId),
+      flag(registrationDoc.id, fingerprint.teamName),
+      "duplicateImageSuspected",
+      true
+    );
+    matches.push({ id: matchId, ...match });
+  }
+  await batch.commit();
+
+  matches.forEach((match) =>
+    console.log(
+      `🚩 Possible reused screenshot: ${match.images[0].teamName || match.registrationIds[0]} ↔ ${
+        match.images[1].teamName || match.registrationIds[1]
+      } (${match.matchType}, score ${match.score})`
+    )
+  );
+  return matches;
+}
+
+// Suspected duplicates (?status=open|confirmed|dismissed, ?registrationId, ?minScore, ?limit)
+app.get("/api/duplicates", async (req, res) => {
+  try {
+    const { status = "open", registrationId } = req.query;
+    if (status !== "all" && !DUPLICATE_MATCH_STATUSES.includes(status)) {
+      return res
+        .status(400)
+        .json({ error: `status must be all or one of: ${DUPLICATE_MATCH_STATUSES.join(", ")}` });
+    }
+    const minScore = Number(req.query.minScore) || 0;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+    // One filter per query (no composite index); the rest is applied here
+    let query = db.collection("duplicateImageMatches");
+    if (registrationId) query = query.where("registrationIds", "array-contains", registrationId);
+    else if (status !== "all") query = query.where("status", "==", status);
+
+    const snapshot = await query.get();
+    const matches = snapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .filter((match) => status === "all" || match.status === status)
+      .filter((match) => match.score >= minScore)
+      .sort((a, b) => b.score - a.score || b.detectedAt.localeCompare(a.detectedAt));
+
+    res.status(200).json({
+      success: true,
+      total: matches.length,
+      matches: matches.slice(0, limit).map((match) => ({
+        ...match,
+        images: match.images.map((image) => ({
+          ...image,
+          url: resolveMediaUrl(image.storageId, image.url),
+        })),
+      })),
+    });
+  } catch (error) {
+    console.error("❌ Error fetching duplicate screenshots:", error.message);
+    res.status(500).json({ error: "Failed to fetch duplicate screenshots" });
+  }
+});
+
+// Review a match: { status: "confirmed" | "dismissed" | "open", actor, note }
+app.put("/api/duplicates/:id", async (req, res) => {
+  try {
+    const { status, note = null } = req.body;
+    const actor = req.body.actor || req.get("X-Admin-User");
+    if (!DUPLICATE_MATCH_STATUSES.includes(status)) {
+      return res
+        .status(400)
+        .json({ error: `status must be one of: ${DUPLICATE_MATCH_STATUSES.join(", ")}` });
+    }
+    if (!actor) {
+      return res.status(400).json({ error: "actor is required (who is reviewing this match)" });
+    }
+
+    const matchRef = db.collection("duplicateImageMatches").doc(req.params.id);
+    const reviewedAt = new Date().toISOString();
+
+    const match = await db.runTransaction(async (tx) => {
+      const matchDoc = await tx.get(matchRef);
+      if (!matchDoc.exists) return null;
+
+      const registrationRefs = matchDoc
+        .data()
+        .registrationIds.map((id) => db.collection("teamRegistrations").doc(id));
+      const registrationDocs = await Promise.all(registrationRefs.map((ref) => tx.get(ref)));
+
+      const review = { status, reviewedBy: actor, reviewedAt, reviewNote: note };
+      tx.update(matchRef, review);
+
+      for (const registrationDoc of registrationDocs) {
+        if (!registrationDoc.exists) continue;
+        const flags = {
+          ...(registrationDoc.data().duplicateImageMatches || {}),
+          [matchRef.id]: {
+            ...(registrationDoc.data().duplicateImageMatches?.[matchRef.id] || {}),
+            status,
+          },
+        };
+        // Dismissed matches stop flagging the team
+        tx.update(
+          registrationDoc.ref,
+          new admin.firestore.FieldPath("duplicateImageMatches", matchRef.id),
+          flags[matchRef.id],
+          "duplicateImageSuspected",
+          Object.values(flags).some((flag) => flag.status !== "dismissed")
+        );
+      }
+
+      return { id: matchRef.id, ...matchDoc.data(), ...review };
+    });
+
+    if (!match) {
+      return res.status(404).json({ error: `Duplicate match not found: ${req.params.id}` });
+    }
+    console.log(`🚩 Duplicate match ${match.id} marked ${status} by ${actor}`);
+    res.status(200).json({ success: true, match });
+  } catch (error) {
+    console.error("❌ Error reviewing duplicate screenshot:", error.message);
+    res.status(500).json({ error: "Failed to review duplicate screenshot" });
+  }
+});
+
+// ================================================================
+// ✅ 24-HOUR CUSTOMER SERVICE WINDOW
+//     - Free-form messages (text, media, buttons) are only allowed within
+//       24h of the player's last message; outside it Meta only accepts templates
+//     - lastInboundAt is kept on the chat doc by the webhook
+//     - Send routes refuse with code SERVICE_WINDOW_CLOSED, or send the
+//       `reengagementTemplate` given in the request instead
+// ================================================================
+const SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Graph API error for a free-form message outside the window
+const SERVICE_WINDOW_ERROR_CODE = 131047;
+
+/**
+ * Window state from the time of the player's last message
+ * @param {string|null} lastInboundAt - ISO timestamp
+ * @returns {{ open: boolean, lastInboundAt: string|null, expiresAt: string|null }}
+ */
+function describeServiceWindow(lastInboundAt) {
+  if (!lastInboundAt) return { open: false, lastInboundAt: null, expiresAt: null };
+
+  const expiresAt = Date.parse(lastInboundAt) + SERVICE_WINDOW_MS;
+  return {
+    open: Date.now() < expiresAt,
+    lastInboundAt,
+    expiresAt: new Date(expiresAt).toISOString(),
+  };
+}
+
+/**
+ * Window state of a player (the window is per number, whichever collection they wrote to)
+ * @param {object} phone - From normalizePhone
+ * @returns {Promise<{ open: boolean, lastInboundAt: string|null, expiresAt: string|null }>}
+ */
+async function getServiceWindow(phone) {
+  const docs = await db.getAll(
+    db.collection("whatsappChats").doc(phone.key),
+    db.collection("supportChats").doc(phone.key)
+  );
+
+  const inboundTimes = await Promise.all(
+    docs.map(async (doc) => {
+      if (!doc.exists) return null;
+      if (doc.data().lastInboundAt) return doc.data().lastInboundAt;
+
+      // Chats from before lastInboundAt was tracked: newest user message (chats are capped)
+      const recent = await doc.ref
+        .collection("messages")
+        .orderBy("timestamp", "desc")
+        .limit(MAX_CHAT_MESSAGES)
+        .get();
+      const lastUserMessage = recent.docs.find((message) => message.data().from === "user");
+      return lastUserMessage ? lastUserMessage.data().timestamp : null;
+    })
+  );
+  const lastInboundAt = inboundTimes.filter(Boolean).sort().pop() || null;
+
+  return describeServiceWindow(lastInboundAt);
+}
+
+/**
+ * Response body when a free-form message can't be sent
+ * @param {object|null} [serviceWindow] - From getServiceWindow (null when Meta reported it)
+ */
+function serviceWindowClosedResponse(serviceWindow = null) {
+  return {
+    error:
+      "The 24-hour customer service window is closed - only a template message can be sent. " +
+      "Pass reengagementTemplate to send one instead.",
+    code: "SERVICE_WINDOW_CLOSED",
+    serviceWindow,
+  };
+}
+
+/**
+ * True if the Graph API rejected a send because the window is closed
+ * @param {Error} error - axios error
+ */
+function isServiceWindowError(error) {
+  return error.response?.data?.error?.code === SERVICE_WINDOW_ERROR_CODE;
+}
+
+/**
+ * Sends a template instead of a free-form message and stores it in the conversation
+ * @param {string} collectionName - "whatsappChats" or "supportChats"
+ * @param {object} phone - Recipient, from normalizePhone
+ * @param {object} request - { reengagementTemplate, templateParams, language }
+ * @returns {Promise<object>} - Stored message
+ */
+async function sendReengagementTemplate(collectionName, phone, request) {
+  const { reengagementTemplate, templateParams = {}, language } = request;
+  const languages = language ? [language] : await getRecipientLanguages(phone.e164);
+
+  const response = await sendTemplateMessageWithParams(
+    phone.digits,
+    reengagementTemplate,
+    templateParams,
+    languages
+  );
+
+  const timestamp = new Date().toISOString();
+  await migrateLegacyChat(collectionName, phone);
+
+  const message = {
+    from: "admin",
+    timestamp,
+    read: false,
+    type: "template",
+    templateName: reengagementTemplate,
+    language: response.language,
+    text: `[Template] ${reengagementTemplate}`,
+  };
+  await saveOutgoingChatMessage(collectionName, phone.key, message, response);
+
+  if (collectionName === "whatsappChats") await maintainChatLimit(phone.key);
+  else await maintainSupportChatLimit(phone.key);
+
+  return message;
+}
+
+/**
+ * Checks the window before a free-form admin send. When it's closed, answers the request
+ * (error, or the re-engagement template) and returns true - the route must stop there.
+ * @param {object} req
+ * @param {object} res
+ * @param {string} collectionName
+ * @param {object} phone - From normalizePhone
+ * @returns {Promise<boolean>}
+ */
+async function handleClosedServiceWindow(req, res, collectionName, phone) {
+  const serviceWindow = await getServiceWindow(phone);
+  if (serviceWindow.open) return false;
+
+  if (!req.body.reengagementTemplate) {
+    console.log(`⏰ Service window closed for ${phone.e164}, free-form message refused`);
+    res.status(422).json(serviceWindowClosedResponse(serviceWindow));
+    return true;
+  }
+
+  // A template is a business-initiated message - opted-out players don't get one
+  const suppression = await getSuppression(phone);
+  if (suppression) {
+    res.status(409).json(suppressedResponse(phone, suppression));
+    return true;
+  }
+
+  try {
+    const sent = await sendReengagementTemplate(collectionName, phone, req.body);
+    console.log(`📨 Re-engagement template ${sent.templateName} sent to ${phone.e164}`);
+    res.status(200).json({
+      success: true,
+      message: "Service window closed - re-engagement template sent instead",
+      type: "template",
+      templateName: sent.templateName,
+      language: sent.language,
+      serviceWindow,
+    });
+  } catch (error) {
+    if (!error.validationErrors) throw error;
+    res.status(400).json({ error: "Invalid template message", details: error.validationErrors });
+  }
+  return true;
+}
+
+// ================================================================
+// ✅ LOCAL MEDIA (files stored by the "local" media storage backend)
+//     - GET /api/media/<key>?expires=...&signature=... (links come from
+//       resolveMediaUrl; anything unsigned or expired gets a 403)
+// ================================================================
+app.get("/api/media/*key", (req, res) => {
+  const key = [].concat(req.params.key).join("/");
+  const { error, filePath } = verifyMediaRequest(key, req.query.expires, req.query.signature);
+  if (error) {
+    return res.status(403).json({ error });
+  }
+
+  const maxAge = Math.max(0, Number(req.query.expires) - Math.floor(Date.now() / 1000));
+  res.sendFile(
+    filePath,
+    { headers: { "Cache-Control": `private, max-age=${maxAge}` }, dotfiles: "deny" },
+    (err) => {
+      if (!err || res.headersSent) return;
+      if (err.code === "ENOENT") {
+        return res.status(404).json({ error: "Media not found" });
+      }
+      console.error("❌ Error serving media:", err.message);
+      res.status(500).json({ error: "Failed to serve media" });
+    }
+  );
+});
+
+// ================================================================
+// ✅ ADMIN ATTACHMENTS (image / document / video)
+//     - multipart upload (field "file") → uploads/ → media storage
+//     - or an existing public URL in `mediaUrl`
+//     - sent as a WhatsApp media message with `message` as caption
+// ================================================================
+
+// WhatsApp Cloud API media limits
+const ADMIN_MEDIA_TYPES = {
+  image: { mimeTypes: ["image/jpeg", "image/png"], maxBytes: 5 * 1024 * 1024 },
+  video: { mimeTypes: ["video/mp4", "video/3gpp"], maxBytes: 16 * 1024 * 1024 },
+  document: { mimeTypes: null, maxBytes: 100 * 1024 * 1024 },
+};
+
+const MEDIA_EXTENSION_TYPES = {
+  ".jpg": "image",
+  ".jpeg": "image",
+  ".png": "image",
+  ".mp4": "video",
+  ".3gp": "video",
+};
+
+const adminUpload = multer({
+  dest: uploadDir,
+  limits: { fileSize: ADMIN_MEDIA_TYPES.document.maxBytes, files: 1 },
+});
+
+/**
+ * Accepts an optional multipart "file" field; JSON requests pass straight through
+ */
+function acceptAdminAttachment(req, res, next) {
+  adminUpload.single("file")(req, res, (err) => {
+    // uploads/ is only a staging area - drop the file once the response is out
+    if (req.file) {
+      res.on("finish", () => fs.promises.unlink(req.file.path).catch(() => {}));
+    }
+    if (err) {
+      return res.status(400).json({ error: `Invalid attachment: ${err.message}` });
+    }
+    next();
+  });
+}
+
+/**
+ * Guesses the WhatsApp media type from a mime type or file name
+ * @param {string} [mimeType]
+ * @param {string} [filename]
+ * @returns {"image"|"video"|"document"}
+ */
+function inferMediaType(mimeType, filename) {
+  for (const [type, { mimeTypes }] of Object.entries(ADMIN_MEDIA_TYPES)) {
+    if (mimeTypes?.includes(mimeType)) return type;
+  }
+  return MEDIA_EXTENSION_TYPES[path.extname(filename || "").toLowerCase()] || "document";
+}
+
+/**
+ * Resolves the attachment of an admin send request (uploading it when needed)
+ * @param {object} req - Request after acceptAdminAttachment
+ * @param {object} phone - Recipient, from normalizePhone
+ * @returns {Promise<{ error: string } | { attachment: object|null }>}
+ */
+async function resolveAdminAttachment(req, phone) {
+  const { mediaUrl, mediaType, filename } = req.body;
+
+  if (mediaType && !ADMIN_MEDIA_TYPES[mediaType]) {
+    return { error: `mediaType must be one of: ${Object.keys(ADMIN_MEDIA_TYPES).join(", ")}` };
+  }
+
+  if (req.file) {
+    const file = req.file;
+    const type = mediaType || inferMediaType(file.mimetype, file.originalname);
+    const { mimeTypes, maxBytes } = ADMIN_MEDIA_TYPES[type];
+
+    if (mimeTypes && !mimeTypes.includes(file.mimetype)) {
+      return { error: `WhatsApp ${type} messages only support ${mimeTypes.join(", ")}` };
+    }
+    if (file.size > maxBytes) {
+      return { error: `WhatsApp ${type} messages are limited to ${maxBytes / 1024 / 1024}MB` };
+    }
+
+    const storage = getMediaStorage();
+    const stored = await storage.save(file.path, {
+      folder: `whatsapp_media/${phone.digits}`,
+      kind: type,
+      filename: file.originalname,
+      mimeType: file.mimetype,
+    });
+    console.log(`✅ Stored admin ${type} (${storage.name}): ${stored.storageId}`);
+
+    return {
+      attachment: {
+        type,
+        url: stored.url,
+        storageId: stored.storageId,
+        ...(stored.publicId ? { publicId: stored.publicId } : {}),
+        mimeType: file.mimetype,
+        fileSize: file.size,
+        filename: filename || file.originalname,
+      },
+    };
+  }
+
+  if (mediaUrl) {
+    let url;
+    try {
+      url = new URL(mediaUrl);
+    } catch {
+      return { error: "mediaUrl must be a valid URL" };
+    }
+    if (url.protocol !== "https:" && url.protocol !== "http:") {
+      return { error: "mediaUrl must be an http(s) URL" };
+    }
+
+    const urlFilename = filename || path.basename(url.pathname) || undefined;
+    return {
+      attachment: {
+        type: mediaType || inferMediaType(null, urlFilename),
+        url: url.toString(),
+        ...(urlFilename ? { filename: urlFilename } : {}),
+      },
+    };
+  }
+
+  return { attachment: null };
+}
+
+/**
+ * Sends an admin message (text, media with caption, or buttons / list) and stores it in the conversation
+ * @param {string} collectionName - "whatsappChats" or "supportChats"
+ * @param {object} phone - Recipient, from normalizePhone
+ * @param {object} content
+ * @param {string} [content.text] - Message text, or caption when there is an attachment
+ * @param {object|null} [content.attachment] - From resolveAdminAttachment
+ * @param {object} [content.interactive] - From buildInteractive (services/interactiveMessages.js)
+ * @param {object} [fields] - Extra stored fields, e.g. { from: "bot", autoReplyRuleId }
+ * @returns {Promise<object>} - Stored message
+ */
+async function sendChatMessage(collectionName, phone, { text, attachment, interactive }, fields = {}) {
+  const url = `${WHATSAPP_API_URL}/${WHATSAPP_PHONE_ID}/messages`;
+  const payload = {
+    messaging_product: "whatsapp",
+    to: phone.digits, // full number with country code for Meta
+  };
+
+  if (interactive) {
+    payload.type = "interactive";
+    payload.interactive = interactive;
+  } else if (attachment) {
+    payload.type = attachment.type;
+    payload[attachment.type] = {
+      link: attachment.url,
+      ...(text ? { caption: text } : {}),
+      ...(attachment.type === "document" && attachment.filename
+        ? { filename: attachment.filename }
+        : {}),
+    };
+  } else {
+    payload.type = "text";
+    payload.text = { body: text };
+  }
+
+  const sendResponse = await axios.post(url, payload, {
+    headers: {
+      Authorization: `Bearer ${WHATSAPP_TOKEN}`,
+      "Content-Type": "application/json",
+    },
+  });
+
+  const timestamp = new Date().toISOString();
+  const chatKey = phone.key;
+  await migrateLegacyChat(collectionName, phone);
+
+  const message = {
+    from: "admin",
+    timestamp,
+    read: false,
+    type: payload.type,
+    ...fields,
+  };
+  if (interactive) {
+    message.interactive = interactive;
+    message.text = interactive.body.text;
+  } else if (attachment) {
+    const { type, ...media } = attachment;
+    // Signed links go to WhatsApp only - the record keeps the storageId
+    message.media = { ...media, url: storedMediaUrl(media.storageId, media.url) };
+    if (text) message.caption = text;
+  }
+  message.text = message.text || text || describeChatMessage(message.type, message);
+
+  await saveOutgoingChatMessage(collectionName, chatKey, message, sendResponse.data);
+
+  // Apply the collection's retention policy (overflow is moved to the archive)
+  if (collectionName === "whatsappChats") await maintainChatLimit(chatKey);
+  else await maintainSupportChatLimit(chatKey);
+
+  return toApiMessage(message);
+}
+
+// ================================================================
+// ✅ ADMIN → USER CHAT API (TEXT, OR MEDIA WITH CAPTION)
+//     - Sends via WhatsApp API
+//     - Stores in the player's conversation - whatsappChats once they are
+//       registered, supportChats before (media as its stored / given URL)
+// ================================================================
+app.post("/api/chat/send", acceptAdminAttachment, async (req, res) => {
+  try {
+    const { phoneNumber, message, mediaUrl } = req.body;
+    if (!phoneNumber || !(message || mediaUrl || req.file))
+      return res
+        .status(400)
+        .json({ error: "phoneNumber and message (or an attachment) are required" });
+
+    const phone = tryNormalizePhone(phoneNumber);
+    if (!phone) {
+      return res.status(400).json({ error: `Invalid phone number: ${phoneNumber}` });
+    }
+
+    // The player's thread may have moved (support → registered), see resolveConversation
+    const { collectionName } = await resolveConversation(phone);
+
+    // Outside the 24h window only a template can go out
+    if (await handleClosedServiceWindow(req, res, collectionName, phone)) return;
+
+    const { error, attachment } = await resolveAdminAttachment(req, phone);
+    if (error) return res.status(400).json({ error });
+
+    // Send via WhatsApp and save to the conversation
+    const sent = await sendChatMessage(collectionName, phone, { text: message, attachment });
+
+    res.status(200).json({
+      success: true,
+      message: "Message sent successfully",
+      type: sent.type,
+      mediaUrl: sent.media?.url || null,
+    });
+  } catch (err) {
+    if (isServiceWindowError(err)) {
+      return res.status(422).json(serviceWindowClosedResponse());
+    }
+    console.error("❌ Admin send error:", err.response?.data || err.message);
+    res.status(500).json({ error: "Failed to send WhatsApp message" });
+  }
+});
+
+// ================================================================
+// ✅ MESSAGE HISTORY (cursor pagination, filters, search)
+//     - Newest page first; ?before=<message id> pages back, ?after=<message id>
+//       pages forward (polling). Pages continue into the archive collection
+//       once the live thread runs out.
+//     - ?from=user|admin|bot, ?type=image, ?q=hacker are applied while
+//       scanning (no composite indexes needed), HISTORY_MAX_SCAN docs per request
+//     - nextCursor is the id to pass as before / after for the next page
+// ================================================================
+const HISTORY_DEFAULT_LIMIT = 10;
+const HISTORY_MAX_LIMIT = 200;
+const HISTORY_SCAN_BATCH = 100;
+const HISTORY_MAX_SCAN = 2000;
+
+/**
+ * Reads ?limit / ?before / ?after / ?from / ?type / ?q
+ * @param {object} query - req.query
+ * @param {number} [defaultLimit]
+ * @returns {{ error: string } | { options: object }}
+ */
+function parseHistoryQuery(query, defaultLimit = HISTORY_DEFAULT_LIMIT) {
+  const { before, after, from, type, q } = query;
+  if (before && after) {
+    return { error: "Use either before or after, not both" };
+  }
+
+  const { error, matcher } = buildMessageMatcher({ from, type, q });
+  if (error) return { error };
+
+  return {
+    options: {
+      before: before || null,
+      after: after || null,
+      limit: Math.min(parseInt(query.limit, 10) || defaultLimit, HISTORY_MAX_LIMIT),
+      matcher,
+    },
+  };
+}
+
+/**
+ * One page of a conversation, live messages first and then its archive
+ * @param {string} collectionName - whatsappChats | supportChats
+ * @param {string} chatKey - phone.key
+ * @param {object} options - From parseHistoryQuery
+ * @returns {Promise<{ error: string } | { messages: object[], hasMore: boolean, nextCursor: string|null, scanned: number }>}
+ */
+async function fetchMessagePage(collectionName, chatKey, { before, after, limit, matcher }) {
+  const direction = after ? "asc" : "desc";
+  const live = db.collection(collectionName).doc(chatKey).collection("messages");
+  const archive = db
+    .collection(archiveCollectionName(collectionName))
+    .doc(chatKey)
+    .collection("messages");
+  // Archived messages are always older than the live ones
+  const sources = direction === "desc" ? [live, archive] : [archive, live];
+
+  let sourceIndex = 0;
+  let cursorDoc = null;
+  const cursorId = before || after;
+  if (cursorId) {
+    const candidates = await Promise.all(sources.map((source) => source.doc(cursorId).get()));
+    sourceIndex = candidates.findIndex((doc) => doc.exists);
+    if (sourceIndex === -1) {
+      return { error: `Unknown cursor: ${cursorId}` };
+    }
+    cursorDoc = candidates[sourceIndex];
+  }
+
+  const matched = [];
+  let scanned = 0;
+  let lastScanned = cursorDoc;
+
+  while (matched.length < limit && scanned < HISTORY_MAX_SCAN && sourceIndex < sources.length) {
+    let query = sources[sourceIndex].orderBy("timestamp", direction);
+    if (cursorDoc) query = query.startAfter(cursorDoc);
+    const batchSize = matcher ? HISTORY_SCAN_BATCH : limit - matched.length;
+    const snapshot = await query.limit(batchSize).get();
+
+    let stoppedEarly = false;
+    for (const doc of snapshot.docs) {
+      scanned++;
+      cursorDoc = doc;
+      lastScanned = doc;
+      if (!matcher || matcher(doc.data())) matched.push(doc);
+      if (matched.length === limit) {
+        stoppedEarly = doc !== snapshot.docs[snapshot.docs.length - 1];
+        break;
+      }
+    }
+
+    if (!stoppedEarly && snapshot.size < batchSize) {
+      sourceIndex++;
+      cursorDoc = null;
+    }
+  }
+
+  // Anything left to scan in the direction we were going?
+  let hasMore = false;
+  for (let i = sourceIndex; i < sources.length && !hasMore; i++) {
+    let query = sources[i].orderBy("timestamp", direction);
+    if (i === sourceIndex && cursorDoc) query = query.startAfter(cursorDoc);
+    hasMore = !(await query.limit(1).get()).empty;
+  }
+
+  const messages = matched.map((doc) => ({
+    id: doc.id,
+    ...toApiMessage(doc.data()),
+    ...(doc.ref.parent.parent.parent.id === collectionName ? {} : { archived: true }),
+  }));
+  if (direction === "desc") messages.reverse();
+
+  return {
+    messages,
+    hasMore,
+    // With filters the last scanned doc may not be in the page - continue from it anyway
+    nextCursor: hasMore ? lastScanned?.id || null : null,
+    scanned,
+  };
+}
+
+// History pages and search across conversations: routes/messageHistory.js
+app.use(
+  createMessageHistoryRouter({
+    db,
+    archiveCollectionName,
+    parseHistoryQuery,
+    fetchMessagePage,
+    migrateLegacyChat,
+    getServiceWindow,
+    toApiMessage,
+  })
+);
+
+// ================================================================
+// ✅ ARCHIVED MESSAGES & CLEANUP (routes/retention.js)
+// ================================================================
+app.use(
+  createRetentionRouter({
+    db,
+    retentionPolicies: RETENTION_POLICIES,
+    archiveCollectionName,
+    maintainChatLimit,
+    migrateLegacyChat,
+    toApiMessage,
+  })
+);
+
+// ================================================================
+// ✅ ADMIN → SUPPORT USER CHAT API (SEND MESSAGE TO UNKNOWN USER)
+//     - Sends via WhatsApp API
+//     - Stores in supportChats, or whatsappChats if the player has registered since
+// ================================================================
+app.post("/api/support/send", acceptAdminAttachment, async (req, res) => {
+  try {
+    const { phoneNumber, message, mediaUrl } = req.body;
+    if (!phoneNumber || !(message || mediaUrl || req.file))
+      return res
+        .status(400)
+        .json({ error: "phoneNumber and message (or an attachment) are required" });
+
+    const phone = tryNormalizePhone(phoneNumber);
+    if (!phone) {
+      return res.status(400).json({ error: `Invalid phone number: ${phoneNumber}` });
+    }
+
+    // The player's thread may have moved (support → registered), see resolveConversation
+    const { collectionName } = await resolveConversation(phone);
+
+    // Outside the 24h window only a template can go out
+    if (await handleClosedServiceWindow(req, res, collectionName, phone)) return;
+
+    const { error, attachment } = await resolveAdminAttachment(req, phone);
+    if (error) return res.status(400).json({ error });
+
+    // Send via WhatsApp and save to the conversation
+    const sent = await sendChatMessage(collectionName, phone, { text: message, attachment });
+
+    res.status(200).json({
+      success: true,
+      message: "Support message sent successfully",
+      type: sent.type,
+      mediaUrl: sent.media?.url || null,
+    });
+  } catch (err) {
+    if (isServiceWindowError(err)) {
+      return res.status(422).json(serviceWindowClosedResponse());
+    }
+    console.error("❌ Admin support send error:", err.response?.data || err.message);
+    res.status(500).json({ error: "Failed to send support message" });
+  }
+});
+
+// ================================================================
+// ✅ UNREAD COUNTS & READ RECEIPTS
+//     - unreadCount on the chat doc is incremented per inbound message
+//     - Marking a conversation read flags its user messages read: true,
+//       resets the counter and sends WhatsApp read receipts (blue ticks)
+// ================================================================
+
+/**
+ * Sends a WhatsApp read receipt. Meta marks every earlier message of the chat read too.
+ * @param {string} waMessageId - wamid of the inbound message
+ */
+async function sendReadReceipt(waMessageId) {
+  await axios.post(
+    `${WHATSAPP_API_URL}/${WHATSAPP_PHONE_ID}/messages`,
+    { messaging_product: "whatsapp", status: "read", message_id: waMessageId },
+    {
+      headers: {
+        Authorization: `Bearer ${WHATSAPP_TOKEN}`,
+        "Content-Type": "application/json",
+      },
+    }
+  );
+}
+
+/**
+ * Marks every unread user message of a conversation read
+ * @param {string} collectionName - "whatsappChats" or "supportChats"
+ * @param {object} phone - From normalizePhone
+ * @returns {Promise<{ markedCount: number, receiptSent: boolean }>}
+ */
+async function markConversationRead(collectionName, phone) {
+  await migrateLegacyChat(collectionName, phone);
+  const chatRef = db.collection(collectionName).doc(phone.key);
+
+  // Single-field filter (no composite index); admin messages are stored with read: false too
+  const unreadSnapshot = await chatRef.collection("messages").where("read", "==", false).get();
+  const unread = unreadSnapshot.docs
+    .filter((doc) => doc.data().from === "user")
+    .sort((a, b) => a.data().timestamp.localeCompare(b.data().timestamp));
+
+  const readAt = new Date().toISOString();
+  for (let i = 0; i < unread.length; i += FIRESTORE_BATCH_LIMIT) {
+    const batch = db.batch();
+    unread.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach((doc) => {
+      batch.update(doc.ref, { read: true, readAt });
+    });
+    await batch.commit();
+  }
+
+  await chatRef.set({ unreadCount: 0, hasUnread: false, lastReadAt: readAt }, { merge: true });
+
+  // One receipt for the newest message covers the ones before it
+  const latestWithId = [...unread].reverse().find((doc) => doc.data().waMessageId);
+  let receiptSent = false;
+  if (latestWithId) {
+    try {
+      await sendReadReceipt(latestWithId.data().waMessageId);
+      receiptSent = true;
+    } catch (err) {
+      // Receipts are best effort (e.g. Meta rejects messages older than 30 days)
+      console.error("⚠️ Could not send read receipt:", err.response?.data || err.message);
+    }
+  }
+
+  console.log(`👀 Marked ${unread.length} message(s) read for ${collectionName}/${phone.key}`);
+  publishEvent(
+    "conversation.read",
+    { collection: collectionName, markedCount: unread.length, readAt },
+    { conversation: phone.key }
+  );
+  return { markedCount: unread.length, receiptSent };
+}
+
+/**
+ * Route handler for marking a conversation read (wherever it lives, see resolveConversation)
+ */
+async function handleMarkRead(req, res) {
+  try {
+    const { phoneNumber } = req.params;
+    const phone = tryNormalizePhone(phoneNumber);
+    if (!phone) {
+      return res.status(400).json({ error: `Invalid phone number: ${phoneNumber}` });
+    }
+
+    const { collectionName } = await resolveConversation(phone);
+    const result = await markConversationRead(collectionName, phone);
+    res.status(200).json({ success: true, phoneNumber: phone.key, unreadCount: 0, ...result });
+  } catch (err) {
+    console.error("❌ Error marking conversation read:", err.message);
+    res.status(500).json({ error: "Failed to mark conversation read" });
+  }
+}
+
+app.post("/api/conversations/:phoneNumber/read", handleMarkRead);
+app.post("/api/chat/read/:phoneNumber", handleMarkRead);
+app.post("/api/support/read/:phoneNumber", handleMarkRead);
+
+// ================================================================
+// ✅ GET USER DETAILS FOR SUPPORT (phone, media files, etc.)
+// ================================================================
+app.get("/api/support/user/:phoneNumber", async (req, res) => {
+  try {
+    const { phoneNumber } = req.params;
+    const phone = tryNormalizePhone(phoneNumber);
+    if (!phone) {
+      return res.status(400).json({ error: `Invalid phone number: ${phoneNumber}` });
     }
+    const chatKey = phone.key;
+    await migrateLegacyChat("supportChats", phone);
 
+    // Get message count from supportChats
     const messagesSnapshot = await db
-      .collection("whatsappChats")
-      .doc(shortPhone)
+      .collection("supportChats")
+      .doc(chatKey)
+      .collection("messages")
+      .get();
+
+    const messageCount = messagesSnapshot.size;
+
+    // Files the user sent us (rehosted by the webhook)
+    const mediaFiles = messagesSnapshot.docs
+      .map((doc) => doc.data())
+      .filter(
+        (message) => message.from === "user" && (message.media?.url || message.media?.storageId)
+      )
+      .map((message) => ({
+        type: message.type,
+        url: resolveMediaUrl(message.media.storageId, message.media.url),
+        storageId: message.media.storageId || null,
+        mimeType: message.media.mimeType,
+        filename: message.media.filename || null,
+        caption: message.caption || null,
+        timestamp: message.timestamp,
+      }));
+
+    // Get first message timestamp
+    const firstMessageSnapshot = await db
+      .collection("supportChats")
+      .doc(chatKey)
       .collection("messages")
-      .orderBy("timestamp", "desc")
-      .limit(10)
+      .orderBy("timestamp", "asc")
+      .limit(1)
       .get();
 
-    const messages = messagesSnapshot.docs.map((doc) => doc.data()).reverse();
-    res.status(200).json({ phoneNumber: shortPhone, messages });
+    const firstMessageTime = firstMessageSnapshot.empty 
+      ? null 
+      : firstMessageSnapshot.docs[0].data().timestamp;
+
+    res.status(200).json({
+      phoneNumber: chatKey,
+      name: "Unknown User",
+      email: "N/A",
+      profileImage: null,
+      mediaFiles,
+      isRegistered: false,
+      messageCount: messageCount,
+      firstContactTime: firstMessageTime,
+      registrationData: null,
+    });
   } catch (err) {
-    console.error("❌ Error fetching chat history:", err.message);
-    res.status(500).json({ error: "Failed to fetch chat history" });
+    console.error("❌ Error fetching user details:", err.message);
+    res.status(500).json({ error: "Failed to fetch user details" });
   }
 });
 
 // ================================================================
-// ✅ ADMIN → SUPPORT USER CHAT API (SEND MESSAGE TO UNKNOWN USER)
-//     - Sends via WhatsApp API
-//     - Stores in supportChats collection
+// ✅ OPT-OUT (STOP / UNSUBSCRIBE / START) & SUPPRESSION LIST
+//     - The list itself lives in services/suppression.js
+//     - Bulk campaigns, verification messages and /api/send-whatsapp
+//       skip suppressed numbers and report them as "suppressed"
 // ================================================================
-app.post("/api/support/send", async (req, res) => {
+const OPT_OUT_CONFIRMATION =
+  "You've been unsubscribed and won't get any more messages from us. Reply START to subscribe again.";
+const OPT_IN_CONFIRMATION =
+  "You're subscribed again ✅ Reply STOP at any time to unsubscribe.";
+
+/**
+ * Applies a STOP / START sent by a player and confirms it to them
+ * @param {object} phone - Sender, from normalizePhone
+ * @param {"stop"|"start"} command - From getOptCommand
+ * @param {string} keyword - What the player actually sent
+ * @param {object} options
+ * @param {string} options.collectionName - Where the inbound message was stored
+ */
+async function handleOptCommand(phone, command, keyword, { collectionName }) {
+  if (command === "stop") {
+    await suppressNumber(phone, { source: "inbound", keyword });
+    console.log(`🚫 ${phone.e164} opted out ("${keyword}")`);
+  } else {
+    const removed = await unsuppressNumber(phone);
+    if (!removed) return; // START from someone who never opted out - nothing to confirm
+    console.log(`✅ ${phone.e164} opted back in ("${keyword}")`);
+  }
+
+  await sendChatMessage(
+    collectionName,
+    phone,
+    { text: command === "stop" ? OPT_OUT_CONFIRMATION : OPT_IN_CONFIRMATION },
+    { from: "bot" }
+  );
+}
+
+// List suppressed numbers (newest first)
+app.get("/api/suppressions", async (req, res) => {
   try {
-    const { phoneNumber, message } = req.body;
-    if (!phoneNumber || !message)
-      return res
-        .status(400)
-        .json({ error: "phoneNumber and message are required" });
-
-    // Send via WhatsApp
-    const url = `${WHATSAPP_API_URL}/${WHATSAPP_PHONE_ID}/messages`;
-    const payload = {
-      messaging_product: "whatsapp",
-      to: phoneNumber, // keep full number with country code for Meta
-      type: "text",
-      text: { body: message },
-    };
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const snapshot = await db
+      .collection("suppressedNumbers")
+      .orderBy("suppressedAt", "desc")
+      .limit(limit)
+      .get();
 
-    await axios.post(url, payload, {
-      headers: {
-        Authorization: `Bearer ${WHATSAPP_TOKEN}`,
-        "Content-Type": "application/json",
+    const suppressions = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    res.json({ success: true, count: suppressions.length, suppressions });
+  } catch (error) {
+    console.error("❌ Error fetching suppressions:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Check a single number
+app.get("/api/suppressions/:phoneNumber", async (req, res) => {
+  try {
+    const phone = tryNormalizePhone(req.params.phoneNumber);
+    if (!phone) {
+      return res.status(400).json({ error: `Invalid phone number: ${req.params.phoneNumber}` });
+    }
+
+    const suppression = await getSuppression(phone);
+    res.json({ success: true, phoneNumber: phone.e164, suppressed: Boolean(suppression), suppression });
+  } catch (error) {
+    console.error("❌ Error fetching suppression:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Suppress a number by hand (e.g. opt-out received by email or phone)
+app.post("/api/suppressions", async (req, res) => {
+  try {
+    const { phoneNumber, reason } = req.body;
+    if (!phoneNumber) {
+      return res.status(400).json({ error: "phoneNumber is required" });
+    }
+
+    const phone = tryNormalizePhone(phoneNumber);
+    if (!phone) {
+      return res.status(400).json({ error: `Invalid phone number: ${phoneNumber}` });
+    }
+
+    const suppression = await suppressNumber(phone, { source: "admin", reason: reason || null });
+    console.log(`🚫 ${phone.e164} suppressed by admin`);
+
+    res.status(201).json({ success: true, id: phone.key, ...suppression });
+  } catch (error) {
+    console.error("❌ Error adding suppression:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a number from the list
+app.delete("/api/suppressions/:phoneNumber", async (req, res) => {
+  try {
+    const phone = tryNormalizePhone(req.params.phoneNumber);
+    if (!phone) {
+      return res.status(400).json({ error: `Invalid phone number: ${req.params.phoneNumber}` });
+    }
+
+    const removed = await unsuppressNumber(phone);
+    if (!removed) {
+      return res.status(404).json({ error: `${phone.e164} is not suppressed` });
+    }
+
+    console.log(`✅ ${phone.e164} removed from suppression list by admin`);
+    res.json({ success: true, message: `${phone.e164} removed from suppression list` });
+  } catch (error) {
+    console.error("❌ Error removing suppression:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ================================================================
+// ✅ AUTO-REPLIES & PLAYER COMMANDS (STATUS, HELP, RULES, ...)
+//     - Rules: autoReplyRules collection (engine in services/autoReplies.js)
+//     - Global switch: appSettings/autoReplies.enabled
+//     - Replies are sent + stored like admin messages, with from: "bot"
+// ================================================================
+const AUTO_REPLY_CACHE_MS = 60 * 1000;
+
+let autoReplyCache = { enabled: true, rules: [], loadedAt: 0 };
+
+/**
+ * Loads the auto-reply rules (cached for a minute; defaults installed on first use)
+ * @param {boolean} [forceRefresh]
+ * @returns {Promise<{ enabled: boolean, rules: object[] }>}
+ */
+async function loadAutoReplyRules(forceRefresh = false) {
+  if (!forceRefresh && Date.now() - autoReplyCache.loadedAt < AUTO_REPLY_CACHE_MS) {
+    return autoReplyCache;
+  }
+
+  const settingsRef = db.collection("appSettings").doc("autoReplies");
+  let settingsDoc = await settingsRef.get();
+
+  if (!settingsDoc.exists) {
+    // First run: install STATUS / HELP / RULES so players get answers out of the box
+    const createdAt = new Date().toISOString();
+    const batch = db.batch();
+    DEFAULT_AUTO_REPLY_RULES.forEach((rule) => {
+      batch.set(db.collection("autoReplyRules").doc(), {
+        ...validateAutoReplyRule(rule).rule,
+        createdAt,
+        updatedAt: createdAt,
+      });
+    });
+    batch.set(settingsRef, { enabled: true, seededAt: createdAt });
+    await batch.commit();
+    console.log(`🤖 Installed ${DEFAULT_AUTO_REPLY_RULES.length} default auto-reply rules`);
+    settingsDoc = await settingsRef.get();
+  }
+
+  const snapshot = await db.collection("autoReplyRules").get();
+  autoReplyCache = {
+    enabled: settingsDoc.data().enabled !== false,
+    rules: snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+    loadedAt: Date.now(),
+  };
+  return autoReplyCache;
+}
+
+/**
+ * Answers an inbound text message if a rule matches
+ * @param {object} phone - Sender, from normalizePhone
+ * @param {string} text - Inbound message text
+ * @param {object} options
+ * @param {string} options.collectionName - Where the inbound message was stored
+ * @param {object|null} options.registrationDoc - Sender's teamRegistrations doc
+ * @returns {Promise<{ rule: object, reply: string } | null>}
+ */
+async function handleAutoReply(phone, text, { collectionName, registrationDoc }) {
+  const { enabled, rules } = await loadAutoReplyRules();
+  if (!enabled) return null;
+
+  const rule = findMatchingRule(rules, text, { registered: Boolean(registrationDoc) });
+  if (!rule) return null;
+
+  const reply = renderAutoReply(
+    rule,
+    buildAutoReplyContext(registrationDoc ? registrationDoc.data() : null, phone)
+  );
+  if (!reply) return null;
+
+  await sendChatMessage(collectionName, phone, { text: reply }, {
+    from: "bot",
+    autoReplyRuleId: rule.id,
+  });
+  console.log(`🤖 Auto-reply "${rule.name}" sent to ${phone.e164}`);
+
+  return { rule, reply };
+}
+
+// List rules (+ the global switch)
+app.get("/api/auto-replies", async (req, res) => {
+  try {
+    const { enabled, rules } = await loadAutoReplyRules(true);
+    res.json({
+      success: true,
+      enabled,
+      count: rules.length,
+      rules: [...rules].sort((a, b) => a.priority - b.priority),
+    });
+  } catch (error) {
+    console.error("❌ Error fetching auto-reply rules:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Turn every auto-reply on / off
+app.put("/api/auto-replies/settings", async (req, res) => {
+  try {
+    const { enabled } = req.body;
+    if (typeof enabled !== "boolean") {
+      return res.status(400).json({ error: "enabled must be true or false" });
+    }
+
+    await loadAutoReplyRules(); // make sure defaults are installed first
+    await db
+      .collection("appSettings")
+      .doc("autoReplies")
+      .set({ enabled, updatedAt: new Date().toISOString() }, { merge: true });
+    autoReplyCache.loadedAt = 0;
+
+    res.json({ success: true, enabled });
+  } catch (error) {
+    console.error("❌ Error updating auto-reply settings:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Dry run: which rule would answer this text, and with what
+app.post("/api/auto-replies/test", async (req, res) => {
+  try {
+    const { text, phoneNumber } = req.body;
+    if (!text) return res.status(400).json({ error: "text is required" });
+
+    const phone = phoneNumber ? tryNormalizePhone(phoneNumber) : null;
+    if (phoneNumber && !phone) {
+      return res.status(400).json({ error: `Invalid phone number: ${phoneNumber}` });
+    }
+
+    const registrationDoc = phone ? await findRegistrationByPhone(phone) : null;
+    const { enabled, rules } = await loadAutoReplyRules(true);
+    const rule = findMatchingRule(rules, text, { registered: Boolean(registrationDoc) });
+
+    res.json({
+      success: true,
+      enabled,
+      registered: Boolean(registrationDoc),
+      rule: rule || null,
+      reply: rule
+        ? renderAutoReply(
+            rule,
+            buildAutoReplyContext(
+              registrationDoc ? registrationDoc.data() : null,
+              phone || { e164: null }
+            )
+          )
+        : null,
+    });
+  } catch (error) {
+    console.error("❌ Error testing auto-reply:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a rule
+app.post("/api/auto-replies", async (req, res) => {
+  try {
+    const { error, rule } = validateAutoReplyRule(req.body);
+    if (error) return res.status(400).json({ error });
+
+    await loadAutoReplyRules(); // defaults first, so they don't appear on top of a new rule
+    const createdAt = new Date().toISOString();
+    const ruleRef = await db
+      .collection("autoReplyRules")
+      .add({ ...rule, createdAt, updatedAt: createdAt });
+    autoReplyCache.loadedAt = 0;
+
+    res.status(201).json({ success: true, rule: { id: ruleRef.id, ...rule, createdAt } });
+  } catch (error) {
+    console.error("❌ Error creating auto-reply rule:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a rule (partial body is merged onto the stored rule)
+app.put("/api/auto-replies/:id", async (req, res) => {
+  try {
+    const ruleRef = db.collection("autoReplyRules").doc(req.params.id);
+    const ruleDoc = await ruleRef.get();
+    if (!ruleDoc.exists) {
+      return res.status(404).json({ error: "Auto-reply rule not found" });
+    }
+
+    const { error, rule } = validateAutoReplyRule({ ...ruleDoc.data(), ...req.body });
+    if (error) return res.status(400).json({ error });
+
+    const updatedAt = new Date().toISOString();
+    await ruleRef.update({ ...rule, updatedAt });
+    autoReplyCache.loadedAt = 0;
+
+    res.json({ success: true, rule: { id: ruleDoc.id, ...ruleDoc.data(), ...rule, updatedAt } });
+  } catch (error) {
+    console.error("❌ Error updating auto-reply rule:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a rule
+app.delete("/api/auto-replies/:id", async (req, res) => {
+  try {
+    const ruleRef = db.collection("autoReplyRules").doc(req.params.id);
+    const ruleDoc = await ruleRef.get();
+    if (!ruleDoc.exists) {
+      return res.status(404).json({ error: "Auto-reply rule not found" });
+    }
+
+    await ruleRef.delete();
+    autoReplyCache.loadedAt = 0;
+
+    res.json({ success: true, message: "Auto-reply rule deleted" });
+  } catch (error) {
+    console.error("❌ Error deleting auto-reply rule:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ================================================================
+// ✅ INTERACTIVE MESSAGES (reply buttons / lists) & REPLY ACTIONS
+//     - POST /api/chat/interactive sends buttons or a list
+//     - Taps come back through the webhook as "interactive_reply" messages
+//     - interactiveActions collection maps reply ids to actions, e.g.
+//         { trigger: { id: "confirm_participation" },
+//           updateRegistration: { participationStatus: "confirmed", confirmedAt: "{now}" },
+//           reply: "Thanks {teamName}, you're in! ✅" }
+//         { trigger: { idPrefix: "slot_" }, updateRegistration: { slotNumber: "{reply.suffix}" } }
+//         { trigger: { id: "screenshot_sent" }, setVerificationStatus: "pending" }
+//     - Only INTERACTIVE_REGISTRATION_FIELDS are written; a status change is a
+//       normal verification transition (audit entry, state machine checks)
+// ================================================================
+const INTERACTIVE_ACTION_CACHE_MS = 60 * 1000;
+
+let interactiveActionCache = { actions: [], loadedAt: 0 };
+
+/**
+ * Loads the reply actions (cached for a minute)
+ * @param {boolean} [forceRefresh]
+ * @returns {Promise<object[]>}
+ */
+async function loadInteractiveActions(forceRefresh = false) {
+  if (!forceRefresh && Date.now() - interactiveActionCache.loadedAt < INTERACTIVE_ACTION_CACHE_MS) {
+    return interactiveActionCache.actions;
+  }
+
+  const snapshot = await db.collection("interactiveActions").get();
+  interactiveActionCache = {
+    actions: snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+    loadedAt: Date.now(),
+  };
+  return interactiveActionCache.actions;
+}
+
+/**
+ * Runs the action configured for a button / list reply
+ * @param {object} phone - Sender, from normalizePhone
+ * @param {object} message - Stored interactive_reply message
+ * @param {object} options
+ * @param {string} options.collectionName - Where the reply was stored
+ * @param {object|null} options.registrationDoc - Sender's teamRegistrations doc
+ * @returns {Promise<object|null>} - The action that ran
+ */
+async function handleInteractiveReply(phone, message, { collectionName, registrationDoc }) {
+  const actions = await loadInteractiveActions();
+  const action = findInteractiveAction(actions, message.reply.id);
+  if (!action) {
+    console.log(`ℹ️ No action for reply "${message.reply.id}" from ${phone.e164}`);
+    return null;
+  }
+
+  const { updates, replyText } = renderInteractiveAction(
+    action,
+    message.reply,
+    buildAutoReplyContext(registrationDoc ? registrationDoc.data() : null, phone)
+  );
+
+  if ((updates || action.setVerificationStatus) && !registrationDoc) {
+    console.warn(`⚠️ Action "${action.name}": no registration for ${phone.e164}, nothing updated`);
+  }
+
+  if (updates && registrationDoc) {
+    // Actions saved before the whitelist may still name other fields
+    const { updates: writable, rejected } = pickWritableRegistrationFields(updates);
+    if (rejected.length > 0) {
+      console.warn(`⚠️ Action "${action.name}" can't change ${rejected.join(", ")} - skipped`);
+    }
+    const updatedAt = new Date().toISOString();
+    await registrationDoc.ref.update({
+      ...writable,
+      lastInteractiveReply: {
+        id: message.reply.id,
+        title: message.reply.title,
+        actionId: action.id,
+        at: updatedAt,
       },
+      updatedAt,
     });
+    console.log(`🔘 Action "${action.name}" updated registration ${registrationDoc.id}`);
+  }
+
+  if (action.setVerificationStatus && registrationDoc) {
+    const outcome = await transitionVerification(registrationDoc.ref, action.setVerificationStatus, {
+      actor: "player",
+      reason: `Replied "${message.reply.title}"`,
+      source: "interactive_action",
+    });
+    if (outcome.error) {
+      console.warn(`⚠️ Action "${action.name}": ${outcome.error}`);
+    } else {
+      announceVerificationChange(outcome.registration, outcome.event);
+      // The action's own reply replaces the status template
+      if (!replyText) await notifyVerificationChange(outcome.registration, outcome.event);
+    }
+  }
+
+  if (replyText) {
+    await sendChatMessage(
+      collectionName,
+      phone,
+      { text: replyText },
+      { from: "bot", interactiveActionId: action.id }
+    );
+  }
+
+  return action;
+}
+
+// Send reply buttons or a list to a player
+app.post("/api/chat/interactive", async (req, res) => {
+  try {
+    const { phoneNumber, ...spec } = req.body;
+    if (!phoneNumber) {
+      return res.status(400).json({ error: "phoneNumber is required" });
+    }
+
+    const phone = tryNormalizePhone(phoneNumber);
+    if (!phone) {
+      return res.status(400).json({ error: `Invalid phone number: ${phoneNumber}` });
+    }
 
-    // Save to supportChats collection
-    const timestamp = new Date().toISOString();
-    const shortPhone = phoneNumber.slice(-10);
+    const { error, interactive } = buildInteractive(spec);
+    if (error) return res.status(400).json({ error });
 
-    await db
-      .collection("supportChats")
-      .doc(shortPhone)
-      .collection("messages")
-      .add({
-        from: "admin",
-        text: message,
-        timestamp,
-        read: false,
-        type: "text",
-      });
+    // Same split as inbound messages: registered teams → whatsappChats, others → supportChats
+    const { collectionName } = await resolveConversation(phone);
 
-    await db
-      .collection("supportChats")
-      .doc(shortPhone)
-      .set({ lastUpdated: timestamp }, { merge: true });
+    if (await handleClosedServiceWindow(req, res, collectionName, phone)) return;
 
-    // Maintain support chat message limit
-    await maintainSupportChatLimit(shortPhone);
+    const sent = await sendChatMessage(collectionName, phone, { interactive });
 
-    res
-      .status(200)
-      .json({ success: true, message: "Support message sent successfully" });
+    res.status(200).json({
+      success: true,
+      message: "Interactive message sent successfully",
+      collection: collectionName,
+      interactive: sent.interactive,
+    });
   } catch (err) {
-    console.error("❌ Admin support send error:", err.response?.data || err.message);
-    res.status(500).json({ error: "Failed to send support message" });
+    if (isServiceWindowError(err)) {
+      return res.status(422).json(serviceWindowClosedResponse());
+    }
+    console.error("❌ Interactive send error:", err.response?.data || err.message);
+    res.status(500).json({ error: "Failed to send interactive message" });
   }
 });
 
-// ================================================================
-// ✅ FETCH SUPPORT CHAT HISTORY (for unknown users)
-//     - Reads from supportChats collection
-// ================================================================
-app.get("/api/support/history/:phoneNumber", async (req, res) => {
+// List reply actions
+app.get("/api/interactive-actions", async (req, res) => {
   try {
-    const { phoneNumber } = req.params;
-    const shortPhone = phoneNumber.slice(-10);
-
-    // Check if the chat document exists in supportChats
-    const chatDoc = await db
-      .collection("supportChats")
-      .doc(shortPhone)
-      .get();
+    const actions = await loadInteractiveActions(true);
+    res.json({ success: true, count: actions.length, actions });
+  } catch (error) {
+    console.error("❌ Error fetching interactive actions:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // If no chat document exists, return empty messages array
-    if (!chatDoc.exists) {
-      console.log(`ℹ️ No support chat history found for ${shortPhone}, returning empty array`);
-      return res.status(200).json({ phoneNumber: shortPhone, messages: [] });
-    }
+// Create a reply action
+app.post("/api/interactive-actions", async (req, res) => {
+  try {
+    const { error, action } = validateInteractiveAction(req.body);
+    if (error) return res.status(400).json({ error });
 
-    const messagesSnapshot = await db
-      .collection("supportChats")
-      .doc(shortPhone)
-      .collection("messages")
-      .orderBy("timestamp", "desc")
-      .limit(10)
-      .get();
+    const createdAt = new Date().toISOString();
+    const actionRef = await db
+      .collection("interactiveActions")
+      .add({ ...action, createdAt, updatedAt: createdAt });
+    interactiveActionCache.loadedAt = 0;
 
-    const messages = messagesSnapshot.docs.map((doc) => doc.data()).reverse();
-    res.status(200).json({ phoneNumber: shortPhone, messages });
-  } catch (err) {
-    console.error("❌ Error fetching support chat history:", err.message);
-    res.status(500).json({ error: "Failed to fetch support chat history" });
+    res.status(201).json({ success: true, action: { id: actionRef.id, ...action, createdAt } });
+  } catch (error) {
+    console.error("❌ Error creating interactive action:", error.message);
+    res.status(500).json({ error: error.message });
   }
 });
 
-// ================================================================
-// ✅ GET ALL SUPPORT CHAT USERS (for support tab)
-//     - Returns list of ONLY UNKNOWN users from supportChats collection
-// ================================================================
-app.get("/api/support/users", async (req, res) => {
+// Update a reply action (partial body is merged onto the stored action)
+app.put("/api/interactive-actions/:id", async (req, res) => {
   try {
-    const chatsSnapshot = await db.collection("supportChats").get();
-    const users = [];
-
-    for (const chatDoc of chatsSnapshot.docs) {
-      const phoneNumber = chatDoc.id;
-      const chatData = chatDoc.data();
-      
-      // Get the last message
-      const lastMessageSnapshot = await db
-        .collection("supportChats")
-        .doc(phoneNumber)
-        .collection("messages")
-        .orderBy("timestamp", "desc")
-        .limit(1)
-        .get();
-
-      const lastMessage = lastMessageSnapshot.empty 
-        ? null 
-        : lastMessageSnapshot.docs[0].data();
-
-      users.push({
-        phoneNumber,
-        name: phoneNumber, // Use phone number as name
-        profileImage: null,
-        lastMessage: lastMessage?.text || "No messages",
-        lastMessageTime: lastMessage?.timestamp || chatData.lastUpdated,
-        unreadCount: 0,
-        isRegistered: false,
-      });
+    const actionRef = db.collection("interactiveActions").doc(req.params.id);
+    const actionDoc = await actionRef.get();
+    if (!actionDoc.exists) {
+      return res.status(404).json({ error: "Interactive action not found" });
     }
 
-    // Sort by last message time (most recent first)
-    users.sort((a, b) => new Date(b.lastMessageTime) - new Date(a.lastMessageTime));
+    const { error, action } = validateInteractiveAction({ ...actionDoc.data(), ...req.body });
+    if (error) return res.status(400).json({ error });
 
-    console.log(`✅ Found ${users.length} unknown users in support chat`);
-    res.status(200).json({ users });
-  } catch (err) {
-    console.error("❌ Error fetching support users:", err.message);
-    res.status(500).json({ error: "Failed to fetch support users" });
+    const updatedAt = new Date().toISOString();
+    await actionRef.update({ ...action, updatedAt });
+    interactiveActionCache.loadedAt = 0;
+
+    res.json({ success: true, action: { id: actionDoc.id, ...actionDoc.data(), ...action, updatedAt } });
+  } catch (error) {
+    console.error("❌ Error updating interactive action:", error.message);
+    res.status(500).json({ error: error.message });
   }
 });
 
-// ================================================================
-// ✅ GET USER DETAILS FOR SUPPORT (phone, media files, etc.)
-// ================================================================
-app.get("/api/support/user/:phoneNumber", async (req, res) => {
+// Delete a reply action
+app.delete("/api/interactive-actions/:id", async (req, res) => {
   try {
-    const { phoneNumber } = req.params;
-    const shortPhone = phoneNumber.slice(-10);
-
-    // Get message count from supportChats
-    const messagesSnapshot = await db
-      .collection("supportChats")
-      .doc(shortPhone)
-      .collection("messages")
-      .get();
-
-    const messageCount = messagesSnapshot.size;
-
-    // Get first message timestamp
-    const firstMessageSnapshot = await db
-      .collection("supportChats")
-      .doc(shortPhone)
-      .collection("messages")
-      .orderBy("timestamp", "asc")
-      .limit(1)
-      .get();
+    const actionRef = db.collection("interactiveActions").doc(req.params.id);
+    const actionDoc = await actionRef.get();
+    if (!actionDoc.exists) {
+      return res.status(404).json({ error: "Interactive action not found" });
+    }
 
-    const firstMessageTime = firstMessageSnapshot.empty 
-      ? null 
-      : firstMessageSnapshot.docs[0].data().timestamp;
+    await actionRef.delete();
+    interactiveActionCache.loadedAt = 0;
 
-    res.status(200).json({
-      phoneNumber: shortPhone,
-      name: "Unknown User",
-      email: "N/A",
-      profileImage: null,
-      mediaFiles: [],
-      isRegistered: false,
-      messageCount: messageCount,
-      firstContactTime: firstMessageTime,
-      registrationData: null,
-    });
-  } catch (err) {
-    console.error("❌ Error fetching user details:", err.message);
-    res.status(500).json({ error: "Failed to fetch user details" });
+    res.json({ success: true, message: "Interactive action deleted" });
+  } catch (error) {
+    console.error("❌ Error deleting interactive action:", error.message);
+    res.status(500).json({ error: error.message });
   }
 });
 
@@ -805,29 +3663,15 @@ app.get("/api/support/user/:phoneNumber", async (req, res) => {
 // ✅ BULK MESSAGE SENDER API ENDPOINTS
 // ================================================================
 
-// Map of template → language + body param count + optional header type
-// header: "image" | "video" | null
-const TEMPLATE_META = {
-    not_eligible: { language: "en", bodyParams: 0, header: null },
-  verified:     { language: "en", bodyParams: 0, header: null },
-  pending:      { language: "en", bodyParams: 0, header: null },
-  game_greeting:{ language: "en", bodyParams: 0, header: "image" },
-  // ✅ New template for Colab Champion League
-  bulk_greeting: { 
-    language: "en",   // or "en_US" / whatever EXACTLY Meta shows
-    bodyParams: 0,    // no {{1}} {{2}} in body
-    header: "image"   // because the template has an image header
-  },
-};
-
 /**
  * Helper function to send WhatsApp template message with dynamic parameters
  * @param {string} to - Phone number with country code (e.g., 919876543210)
  * @param {string} templateName - Name of the WhatsApp template
- * @param {object} params - Dynamic parameters for the template (e.g., { tournament, date, imageUrl })
- * @returns {Promise<object>} - WhatsApp API response
+ * @param {object} params - Dynamic parameters for the template (e.g., { tournament, date, imageUrl, body, buttons })
+ * @param {string|string[]} [language] - Preferred language code(s); falls back to an approved one
+ * @returns {Promise<object>} - WhatsApp API response plus the `language` actually sent
  */
-async function sendTemplateMessageWithParams(to, templateName, params = {}) {
+async function sendTemplateMessageWithParams(to, templateName, params = {}, language) {
   const url = `${WHATSAPP_API_URL}/${WHATSAPP_PHONE_ID}/messages`;
 
   // Validate inputs
@@ -839,74 +3683,12 @@ async function sendTemplateMessageWithParams(to, templateName, params = {}) {
     throw new Error("Template name is required");
   }
 
-  // Resolve template meta (fallback = text-only, 0 params, en_US)
-  if(!TEMPLATE_META[templateName]){
-  TEMPLATE_META[templateName] = { language:"en", bodyParams:0, header:null };
-  console.log(`⚠ Auto-added template: ${templateName}`);
-}
-const meta = TEMPLATE_META[templateName];
-
-
-  const components = [];
-
-  // 🔹 1) HEADER (image / video) SUPPORT
-  // If your template has a media header, configure `header` in TEMPLATE_META
-  if (meta.header === "image" && params.imageUrl) {
-    components.push({
-      type: "header",
-      parameters: [
-        {
-          type: "image",
-          image: {
-            link: String(params.imageUrl),
-          },
-        },
-      ],
-    });
-  } else if (meta.header === "video" && params.videoUrl) {
-    components.push({
-      type: "header",
-      parameters: [
-        {
-          type: "video",
-          video: {
-            link: String(params.videoUrl),
-          },
-        },
-      ],
-    });
-  }
-
-  // 🔹 2) BODY PARAMETERS (ONLY if template expects them)
-  if (meta.bodyParams > 0) {
-    const bodyParameters = [];
-
-    // Simple mapping for your current use case (tournament + date)
-    if (params.tournament) {
-      bodyParameters.push({ type: "text", text: String(params.tournament) });
-    }
-    if (params.date) {
-      bodyParameters.push({ type: "text", text: String(params.date) });
-    }
-
-    // Optional: support generic `params.body = [v1, v2, ...]`
-    if (Array.isArray(params.body)) {
-      params.body.forEach((val) => {
-        bodyParameters.push({ type: "text", text: String(val) });
-      });
-    }
-
-    if (bodyParameters.length !== meta.bodyParams) {
-      throw new Error(
-        `Template "${templateName}" expects ${meta.bodyParams} body params, but got ${bodyParameters.length}`
-      );
-    }
-
-    components.push({
-      type: "body",
-      parameters: bodyParameters,
-    });
-  }
+  // Validate params against the template registry before calling the Graph API
+  const { language: languageCode, components } = await prepareTemplate(
+    templateName,
+    params,
+    language
+  );
 
   const payload = {
     messaging_product: "whatsapp",
@@ -914,7 +3696,7 @@ const meta = TEMPLATE_META[templateName];
     type: "template",
     template: {
       name: templateName,
-      language: { code: meta.language },
+      language: { code: languageCode },
       ...(components.length > 0 ? { components } : {}),
     },
   };
@@ -928,8 +3710,8 @@ const meta = TEMPLATE_META[templateName];
       timeout: 10000, // 10 second timeout
     });
 
-    console.log(`✅ Template sent: ${templateName} → ${to}`);
-    return response.data;
+    console.log(`✅ Template sent: ${templateName} (${languageCode}) → ${to}`);
+    return { ...response.data, language: languageCode };
   } catch (error) {
     // Enhanced error logging and handling
     console.error(`❌ WhatsApp send error for ${to}:`);
@@ -964,473 +3746,1166 @@ const meta = TEMPLATE_META[templateName];
   }
 }
 
+// ================================================================
+// ✅ BULK MESSAGE JOBS (background campaign sending)
+//     - POST /api/bulk-message/send only creates a job and returns its id
+//     - bulkMessageJobs/{jobId}/recipients/{index} holds one doc per team,
+//       so a job can resume exactly where it stopped after a restart
+//     - A lease (lockedBy + heartbeatAt) keeps two instances from sending
+//       the same job during a redeploy
+// ================================================================
+const BULK_SEND_CONCURRENCY = parseInt(process.env.BULK_SEND_CONCURRENCY) || 5;
+const BULK_JOB_CHUNK_SIZE = 50;
+const BULK_JOB_LEASE_MS = 2 * 60 * 1000; // 2 minutes without heartbeat = worker is gone
+const BULK_JOB_SWEEP_INTERVAL = 60 * 1000; // 1 minute
+const INSTANCE_ID =
+  process.env.RENDER_INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+const DEFAULT_BULK_IMAGE_URL =
+  "https://res.cloudinary.com/dlmcpmdpn/image/upload/v1765266071/Prize_Pool_2.0_1_bdcuna.jpg";
+
+// Jobs currently being sent by this process
+const activeBulkJobs = new Set();
+
+/**
+ * Builds the template params shared by every recipient of a bulk job
+ * @param {object} job - { tournament, date, templateParams, imageUrl }
+ * @param {object|null} schema - Template schema from the registry
+ */
+function buildBulkTemplateParams(job, schema) {
+  return {
+    ...(job.templateParams || {}),
+    ...(job.tournament ? { tournament: job.tournament } : {}),
+    ...(job.date ? { date: job.date } : {}),
+    // 👇 Only attach image if template requires header IMAGE
+    ...(schema?.header?.format === "IMAGE"
+      ? { imageUrl: job.imageUrl || job.templateParams?.imageUrl || DEFAULT_BULK_IMAGE_URL }
+      : {}),
+  };
+}
+
+/**
+ * Loads the teamRegistrations docs of the given teams (by teamId, then by phone number)
+ * @param {object[]} teams
+ * @returns {Promise<Map<string, object>>} - teamId → registration data
+ */
+async function loadTeamRegistrations(teams) {
+  const registrations = new Map();
+  const refs = teams.map((team) => db.collection("teamRegistrations").doc(String(team.teamId)));
+
+  for (let start = 0; start < refs.length; start += 100) {
+    const docs = await db.getAll(...refs.slice(start, start + 100));
+    docs.forEach((doc) => {
+      if (doc.exists) registrations.set(doc.id, doc.data());
+    });
+  }
+
+  // Registrations keyed by something other than teamId → match on the stored phone number
+  for (const team of teams) {
+    if (registrations.has(String(team.teamId))) continue;
+    const phone = tryNormalizePhone(team.phoneNumber);
+    const registrationDoc = phone ? await findRegistrationByPhone(phone) : null;
+    if (registrationDoc) registrations.set(String(team.teamId), registrationDoc.data());
+  }
+
+  return registrations;
+}
+
+/**
+ * Loads the whatsappChats / supportChats docs of the given teams (for language preferences)
+ * @param {object[]} teams
+ * @returns {Promise<Map<string, { chat: object|null, supportChat: object|null }>>} - keyed by chat key (E.164)
+ */
+async function loadChatDocs(teams) {
+  const chats = new Map();
+  const phones = [
+    ...new Set(
+      teams.map((team) => tryNormalizePhone(team.phoneNumber)?.key).filter(Boolean)
+    ),
+  ];
+
+  for (let start = 0; start < phones.length; start += 100) {
+    const chunk = phones.slice(start, start + 100);
+    const [chatDocs, supportDocs] = await Promise.all([
+      db.getAll(...chunk.map((phone) => db.collection("whatsappChats").doc(phone))),
+      db.getAll(...chunk.map((phone) => db.collection("supportChats").doc(phone))),
+    ]);
+    chunk.forEach((phone, i) => {
+      chats.set(phone, {
+        chat: chatDocs[i].exists ? chatDocs[i].data() : null,
+        supportChat: supportDocs[i].exists ? supportDocs[i].data() : null,
+      });
+    });
+  }
+
+  return chats;
+}
+
+/**
+ * Validates a bulk send request and personalizes the template params per recipient
+ * @param {object} request - { teams, templateName, tournament, date, templateParams, imageUrl }
+ * @returns {Promise<{ error: string, missingValues?: object[] } | { recipients: object[] }>}
+ */
+async function prepareBulkRecipients({ teams, templateName, tournament, date, templateParams, imageUrl }) {
+  if (!teams || !Array.isArray(teams)) {
+    return { error: "Invalid request: teams must be an array" };
+  }
+
+  if (teams.length === 0) {
+    return { error: "No teams provided. Please select at least one team." };
+  }
+
+  if (!templateName || templateName.trim() === "") {
+    return { error: "Template name is required" };
+  }
+
+  // Validate team data
+  const invalidTeams = teams.filter(
+    (team) => !team.teamId || !team.phoneNumber || !team.teamName
+  );
+
+  if (invalidTeams.length > 0) {
+    return {
+      error: `${invalidTeams.length} team(s) have missing required fields (teamId, phoneNumber, or teamName)`,
+    };
+  }
+
+  const schema = await getTemplateSchema(templateName);
+  if (!schema) {
+    return { error: `Template "${templateName}" is not an approved template` };
+  }
+
+  // Header image falls back to DEFAULT_BULK_IMAGE_URL; everything else must be provided
+  const sharedParams = buildBulkTemplateParams(
+    { tournament, date, templateParams, imageUrl },
+    schema
+  );
+  const placeholders = collectPlaceholders(sharedParams);
+
+  // Only look up language preferences when there is more than one translation to pick from
+  const multilingual = getTemplateLanguages(templateName).length > 1;
+  const registrations =
+    multilingual || [...placeholders].some((key) => key.startsWith("registration."))
+      ? await loadTeamRegistrations(teams)
+      : new Map();
+  const chats = multilingual ? await loadChatDocs(teams) : new Map();
+
+  const recipients = [];
+  const missingValues = [];
+
+  for (const team of teams) {
+    const variables = getTeamVariables(team);
+    const registration = registrations.get(String(team.teamId));
+
+    let recipientSchema = schema;
+    if (multilingual || team.language) {
+      const languages = [
+        team.language,
+        ...collectLanguagePreferences({
+          registration,
+          ...chats.get(tryNormalizePhone(team.phoneNumber)?.key),
+        }),
+      ].filter(Boolean);
+      recipientSchema = await getTemplateSchema(templateName, languages);
+    }
+
+    const { params, missing } = personalizeParams(
+      buildBulkTemplateParams({ tournament, date, templateParams, imageUrl }, recipientSchema),
+      {
+        tournament,
+        date,
+        ...team,
+        ...variables,
+        registration: registration || {},
+      }
+    );
+    const { errors } = buildTemplateComponents(recipientSchema, params);
+
+    if (missing.length > 0 || errors.length > 0) {
+      missingValues.push({
+        teamId: team.teamId,
+        teamName: team.teamName,
+        missing,
+        errors,
+      });
+      continue;
+    }
+
+    recipients.push({
+      teamId: team.teamId,
+      teamName: team.teamName,
+      phoneNumber: team.phoneNumber,
+      variables: Object.keys(variables).length > 0 ? variables : null,
+      // Only stored when it differs per recipient; otherwise the job's params are used
+      templateParams: placeholders.size > 0 ? params : null,
+      language: recipientSchema.language,
+    });
+  }
+
+  if (missingValues.length > 0) {
+    return {
+      error: `${missingValues.length} recipient(s) are missing required template values`,
+      missingValues,
+    };
+  }
+
+  return { recipients };
+}
+
+/**
+ * Runs fn over items with at most `limit` calls in flight
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Function} fn - async (item, index) => void
+ */
+async function runWithConcurrency(items, limit, fn) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      await fn(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+}
+
+/**
+ * Creates a queued bulk job and its recipient documents
+ * @param {object} options - { recipients (from prepareBulkRecipients), templateName, tournament, date, templateParams, imageUrl }
+ * @param {string} [jobId] - Fixed job id (makes creation idempotent, see scheduler)
+ * @returns {Promise<{ jobId: string, historyId: string, created: boolean }>}
+ */
+async function createBulkJob(
+  { recipients, templateName, tournament, date, templateParams, imageUrl, ...extra },
+  jobId = null
+) {
+  const jobsRef = db.collection("bulkMessageJobs");
+  const jobRef = jobId ? jobsRef.doc(jobId) : jobsRef.doc();
+
+  if (jobId) {
+    const existing = await jobRef.get();
+    if (existing.exists) {
+      return { jobId, historyId: existing.data().historyId, created: false };
+    }
+  }
+
+  // History id is allocated now so sent message ids can point at it
+  const historyId = db.collection("bulkMessageHistory").doc().id;
+  const now = new Date().toISOString();
+
+  // Recipients go first: the sweep must never see a queued job with half its recipients
+  // Firestore batches are capped at 500 writes
+  for (let start = 0; start < recipients.length; start += 500) {
+    const batch = db.batch();
+    recipients.slice(start, start + 500).forEach((recipient, offset) => {
+      const index = start + offset;
+      // Zero-padded ids keep the default (document id) order = send order
+      batch.set(jobRef.collection("recipients").doc(String(index).padStart(6, "0")), {
+        index,
+        ...recipient,
+        status: "pending",
+      });
+    });
+    await batch.commit();
+  }
+
+  try {
+    await jobRef.create({
+      status: "queued",
+      templateName,
+      tournament: tournament || null,
+      date: date || null,
+      templateParams: templateParams || null,
+      imageUrl: imageUrl || null,
+      totalTeams: recipients.length,
+      processedCount: 0,
+      successfulCount: 0,
+      failedCount: 0,
+      suppressedCount: 0,
+      historyId,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null,
+      lockedBy: null,
+      heartbeatAt: null,
+      ...extra,
+    });
+  } catch (error) {
+    // 6 = ALREADY_EXISTS: another instance created the same fixed-id job first
+    if (jobId && error.code === 6) {
+      const existing = await jobRef.get();
+      return { jobId, historyId: existing.data().historyId, created: false };
+    }
+    throw error;
+  }
+
+  console.log(`🗂️ Bulk job ${jobRef.id} queued: ${recipients.length} teams, template: ${templateName}`);
+  return { jobId: jobRef.id, historyId, created: true };
+}
+
+/**
+ * Takes the job lease for this instance
+ * @returns {Promise<boolean>} - true if this instance may send the job
+ */
+async function claimBulkJob(jobRef) {
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(jobRef);
+    if (!doc.exists) return false;
+
+    const job = doc.data();
+    const leaseExpired =
+      !job.heartbeatAt ||
+      Date.now() - new Date(job.heartbeatAt).getTime() > BULK_JOB_LEASE_MS;
+    const claimable =
+      job.status === "queued" ||
+      (["running", "cancelling"].includes(job.status) &&
+        (job.lockedBy === INSTANCE_ID || leaseExpired));
+
+    if (!claimable) return false;
+
+    const now = new Date().toISOString();
+    tx.update(jobRef, {
+      status: job.status === "queued" ? "running" : job.status,
+      lockedBy: INSTANCE_ID,
+      heartbeatAt: now,
+      startedAt: job.startedAt || now,
+      updatedAt: now,
+    });
+    return true;
+  });
+}
+
+/**
+ * Marks recipients left in "sending" by a crashed worker as failed.
+ * Their delivery is unknown, so they are not re-sent automatically (no duplicates).
+ */
+async function recoverInterruptedRecipients(jobRef) {
+  const snapshot = await jobRef
+    .collection("recipients")
+    .where("status", "==", "sending")
+    .get();
+
+  if (snapshot.empty) return;
+
+  console.warn(`⚠️ Bulk job ${jobRef.id}: ${snapshot.size} recipient(s) interrupted mid-send`);
+  const batch = db.batch();
+  snapshot.docs.forEach((doc) => {
+    batch.update(doc.ref, {
+      status: "failed",
+      error: "Interrupted before the send was confirmed (server restart)",
+      interrupted: true,
+      failedAt: new Date().toISOString(),
+    });
+  });
+  await batch.commit();
+}
+
+/**
+ * Recomputes job counters from recipient documents and renews the lease
+ */
+async function refreshBulkJobProgress(jobRef) {
+  const recipientsRef = jobRef.collection("recipients");
+  const [sent, failed, suppressed, cancelled] = await Promise.all(
+    ["sent", "failed", "suppressed", "cancelled"].map((status) =>
+      recipientsRef.where("status", "==", status).count().get()
+    )
+  );
+
+  const successfulCount = sent.data().count;
+  const failedCount = failed.data().count;
+  const suppressedCount = suppressed.data().count;
+  const cancelledCount = cancelled.data().count;
+  const now = new Date().toISOString();
+
+  const progress = {
+    successfulCount,
+    failedCount,
+    suppressedCount,
+    cancelledCount,
+    processedCount: successfulCount + failedCount + suppressedCount,
+    heartbeatAt: now,
+    updatedAt: now,
+  };
+  await jobRef.update(progress);
+  publishEvent("bulk.progress", { jobId: jobRef.id, ...progress });
+  return progress;
+}
+
+/**
+ * Sends the job's template to a single recipient
+ * @param {object} job - bulkMessageJobs document data
+ * @param {object} recipient - Recipient document data
+ * @returns {Promise<object>} - Fields to store on the recipient document
+ */
+async function sendBulkRecipient(job, recipient) {
+  try {
+    const phone = normalizePhone(recipient.phoneNumber);
+    const phoneNumber = phone.digits;
+
+    // Checked at send time: players can opt out while a campaign is queued or scheduled
+    const suppression = await getSuppression(phone);
+    if (suppression) {
+      console.log(`🚫 Skipped ${recipient.teamName} (${phoneNumber}): opted out`);
+      return {
+        status: "suppressed",
+        suppressedAt: suppression.suppressedAt,
+        skippedAt: new Date().toISOString(),
+      };
+    }
+
+    // 🔗 Build final params passed to sendTemplateMessageWithParams
+    // Personalized params are stored per recipient; older jobs only have the shared ones
+    const finalParams =
+      recipient.templateParams ||
+      buildBulkTemplateParams(job, await getTemplateSchema(job.templateName));
+
+    const response = await sendTemplateMessageWithParams(
+      phoneNumber,
+      job.templateName,
+      finalParams,
+      recipient.language
+    );
+    const messageId = response?.messages?.[0]?.id || null;
+    const outcome = {
+      status: "sent",
+      messageId,
+      sentAt: new Date().toISOString(),
+      language: response.language,
+    };
+
+    // History recipient + wamid link, so webhook statuses can update this recipient
+    if (messageId) {
+      try {
+        await saveBulkRecipientResult(job.historyId, recipient, outcome);
+      } catch (indexError) {
+        console.error(`⚠️ Could not index message ${messageId}:`, indexError.message);
+      }
+    }
+
+    console.log(`✅ Sent to ${recipient.teamName} (${phoneNumber})`);
+    return outcome;
+  } catch (error) {
+    const errorMessage = error.message || "Unknown error";
+    console.error(`❌ Failed for ${recipient.teamName}: ${errorMessage}`);
+    return {
+      status: "failed",
+      error: errorMessage,
+      failedAt: new Date().toISOString(),
+    };
+  }
+}
+
+/**
+ * Stores a recipient the API accepted under its history record
+ * (bulkMessageHistory/{historyId}/recipients/{wamid}) and links the wamid,
+ * folding in a status callback that arrived before us
+ * @param {string} historyId
+ * @param {object} recipient - Job recipient document data
+ * @param {object} outcome - { status: "sent", messageId, sentAt, language }
+ */
+async function saveBulkRecipientResult(historyId, recipient, outcome) {
+  const historyRef = db.collection("bulkMessageHistory").doc(historyId);
+  const statusRef = db.collection("messageStatuses").doc(outcome.messageId);
+  // Personalized params stay on the job recipient docs to keep history small
+  const { templateParams, ...fields } = recipient;
+
+  await db.runTransaction(async (tx) => {
+    const statusDoc = await tx.get(statusRef);
+    const stored = statusDoc.exists ? statusDoc.data() : {};
+
+    let result = { ...fields, ...outcome };
+    if (stored.status) {
+      result = {
+        ...applyStatusUpdate(result, {
+          status: stored.status,
+          timestamp: stored[`${stored.status}At`],
+          error: stored.error,
+        }),
+        ...(stored.deliveredAt ? { deliveredAt: stored.deliveredAt } : {}),
+      };
+    }
+
+    tx.set(historyRef.collection("recipients").doc(outcome.messageId), result);
+    tx.set(
+      statusRef,
+      {
+        historyId,
+        teamId: recipient.teamId,
+        recipient: normalizePhone(recipient.phoneNumber).digits,
+        createdAt: outcome.sentAt,
+      },
+      { merge: true }
+    );
+
+    const changes = deliveryCountChanges(outcome.status, result.status);
+    if (Object.keys(changes).length > 0) tx.set(historyRef, changes, { merge: true });
+  });
+}
+
+/**
+ * Writes a bulkMessageHistory record: recipients that have no history doc yet
+ * (not accepted by the API, suppressed, cancelled) plus the summary fields.
+ * Delivery counters are only ever incremented, never overwritten.
+ * @param {string} historyId
+ * @param {object} historyRecord - Summary fields
+ * @param {FirebaseFirestore.QueryDocumentSnapshot[]} recipientDocs - Job recipient documents
+ */
+async function saveBulkHistory(historyId, historyRecord, recipientDocs) {
+  const historyRef = db.collection("bulkMessageHistory").doc(historyId);
+  const historyRecipientsRef = historyRef.collection("recipients");
+
+  const storedSnapshot = await historyRecipientsRef.select().get();
+  const storedIds = new Set(storedSnapshot.docs.map((doc) => doc.id));
+  const missing = recipientDocs.filter((doc) => !storedIds.has(doc.data().messageId || doc.id));
+
+  for (let start = 0; start < missing.length; start += FIRESTORE_BATCH_LIMIT) {
+    const batch = db.batch();
+    missing.slice(start, start + FIRESTORE_BATCH_LIMIT).forEach((doc) => {
+      const { templateParams, ...result } = doc.data();
+      // Unsent recipients have no wamid - they keep their job recipient id
+      batch.set(historyRecipientsRef.doc(result.messageId || doc.id), result);
+    });
+    await batch.commit();
+  }
+
+  const increment = admin.firestore.FieldValue.increment(0);
+  await historyRef.set(
+    {
+      ...historyRecord,
+      // Creates missing counters as 0 without touching the ones callbacks already bumped
+      ...Object.fromEntries(Object.keys(DELIVERY_COUNTERS).map((field) => [field, increment])),
+    },
+    { merge: true }
+  );
+}
+
+/**
+ * Per-recipient results of a bulkMessageHistory record, in send order
+ * (records from before per-recipient docs keep a `results` array)
+ * @param {FirebaseFirestore.DocumentSnapshot} historyDoc
+ * @returns {Promise<object[]>}
+ */
+async function loadBulkHistoryResults(historyDoc) {
+  const { results } = historyDoc.data();
+  if (Array.isArray(results)) return results;
+
+  const snapshot = await historyDoc.ref.collection("recipients").orderBy("index").get();
+  return snapshot.docs.map((doc) => {
+    const { index, ...result } = doc.data();
+    return result;
+  });
+}
+
+/**
+ * Closes a job: marks unsent recipients cancelled (if cancelling) and writes its history record
+ * @param {FirebaseFirestore.DocumentReference} jobRef
+ * @param {"completed"|"cancelled"} finalStatus
+ */
+async function finalizeBulkJob(jobRef, finalStatus) {
+  const recipientsRef = jobRef.collection("recipients");
+
+  if (finalStatus === "cancelled") {
+    const pending = await recipientsRef.where("status", "==", "pending").get();
+    for (let start = 0; start < pending.docs.length; start += 500) {
+      const batch = db.batch();
+      pending.docs.slice(start, start + 500).forEach((doc) => {
+        batch.update(doc.ref, { status: "cancelled" });
+      });
+      await batch.commit();
+    }
+  }
+
+  const job = (await jobRef.get()).data();
+  const recipientsSnapshot = await recipientsRef.get();
+  const details = recipientsSnapshot.docs.map((doc) => doc.data());
+  const successful = details.filter((d) => d.status === "sent").length;
+  const failed = details.filter((d) => d.status === "failed").length;
+  const suppressed = details.filter((d) => d.status === "suppressed").length;
+
+  console.log(
+    `📊 Bulk job ${jobRef.id} ${finalStatus}: ${successful} successful, ${failed} failed, ${suppressed} suppressed`
+  );
+
+  // Store in bulkMessageHistory collection
+  const historyRecord = {
+    tournament: job.tournament,
+    templateName: job.templateName,
+    totalTeams: job.totalTeams,
+    successfulCount: successful,
+    failedCount: failed,
+    suppressedCount: suppressed,
+    sentDate: job.startedAt || job.createdAt,
+    completedDate: new Date().toISOString(),
+    teamIds: details.map((d) => d.teamId),
+    jobId: jobRef.id,
+    status: finalStatus,
+    // Kept so the campaign can be re-sent (see /retry)
+    date: job.date || null,
+    templateParams: job.templateParams || null,
+    imageUrl: job.imageUrl || null,
+    retryOf: job.retryOf || null,
+  };
+
+  try {
+    console.log("💾 Saving bulk message history to Firebase...");
+    await saveBulkHistory(job.historyId, historyRecord, recipientsSnapshot.docs);
+    console.log(`✅ History saved with ID: ${job.historyId}`);
+  } catch (dbError) {
+    console.error("❌ Error saving to bulkMessageHistory:", dbError.message);
+    console.error("Database error details:", dbError);
+  }
+
+  const progress = await refreshBulkJobProgress(jobRef);
+  const completedAt = new Date().toISOString();
+  await jobRef.update({
+    ...progress,
+    status: finalStatus,
+    completedAt,
+    lockedBy: null,
+  });
+  publishEvent("bulk.finished", {
+    jobId: jobRef.id,
+    historyId: job.historyId || null,
+    status: finalStatus,
+    ...progress,
+    completedAt,
+  });
+}
+
 /**
- * POST /api/bulk-message/send
- * Send bulk WhatsApp messages to multiple teams
+ * Sends a job until it is finished, paused or cancelled
+ * @param {string} jobId
  */
-app.post("/api/bulk-message/send", async (req, res) => {
+async function runBulkJob(jobId) {
+  if (activeBulkJobs.has(jobId)) return;
+  activeBulkJobs.add(jobId);
+
+  const jobRef = db.collection("bulkMessageJobs").doc(jobId);
+
   try {
-    console.log("📨 Bulk message send request received");
+    if (!(await claimBulkJob(jobRef))) return;
 
-    // ⬅️ added imageUrl so you can pass it from frontend for game_greeting
-    const { teams, templateName, tournament, date, templateParams, imageUrl } = req.body;
+    console.log(`🚚 Bulk job ${jobId} started on ${INSTANCE_ID}`);
+    await recoverInterruptedRecipients(jobRef);
 
-    // Validate input with detailed error messages
-    if (!teams || !Array.isArray(teams)) {
-      console.error("❌ Validation failed: teams is not an array");
-      return res.status(400).json({
-        error: "Invalid request: teams must be an array",
+    while (true) {
+      const job = (await jobRef.get()).data();
+
+      if (job.status === "cancelling") {
+        await finalizeBulkJob(jobRef, "cancelled");
+        break;
+      }
+      if (job.status !== "running") {
+        console.log(`⏸️ Bulk job ${jobId} stopped (${job.status})`);
+        break;
+      }
+
+      const pendingSnapshot = await jobRef
+        .collection("recipients")
+        .where("status", "==", "pending")
+        .limit(BULK_JOB_CHUNK_SIZE)
+        .get();
+
+      if (pendingSnapshot.empty) {
+        await finalizeBulkJob(jobRef, "completed");
+        break;
+      }
+
+      // Mark the chunk first so a crash mid-chunk can't silently re-send it
+      const batch = db.batch();
+      pendingSnapshot.docs.forEach((doc) => batch.update(doc.ref, { status: "sending" }));
+      await batch.commit();
+
+      await runWithConcurrency(pendingSnapshot.docs, BULK_SEND_CONCURRENCY, async (doc) => {
+        const outcome = await sendBulkRecipient(job, doc.data());
+        await doc.ref.update(outcome);
       });
-    }
 
-    if (teams.length === 0) {
-      console.error("❌ Validation failed: no teams provided");
-      return res.status(400).json({
-        error: "No teams provided. Please select at least one team.",
+      const progress = await refreshBulkJobProgress(jobRef);
+      console.log(
+        `📤 Bulk job ${jobId}: ${progress.processedCount}/${job.totalTeams} processed`
+      );
+    }
+  } catch (error) {
+    console.error(`❌ Bulk job ${jobId} crashed:`, error.message);
+    console.error("Error stack:", error.stack);
+    try {
+      await jobRef.update({
+        status: "failed",
+        error: error.message,
+        lockedBy: null,
+        updatedAt: new Date().toISOString(),
       });
+    } catch (updateError) {
+      console.error(`❌ Could not mark bulk job ${jobId} as failed:`, updateError.message);
     }
+  } finally {
+    activeBulkJobs.delete(jobId);
+  }
+}
 
-    if (!templateName || templateName.trim() === "") {
-      console.error("❌ Validation failed: template name missing");
-      return res.status(400).json({
-        error: "Template name is required",
+/**
+ * Picks up queued jobs and jobs whose worker died (restart / redeploy)
+ */
+async function resumeBulkJobs() {
+  try {
+    const snapshot = await db
+      .collection("bulkMessageJobs")
+      .where("status", "in", ["queued", "running", "cancelling"])
+      .get();
+
+    snapshot.docs
+      .filter((doc) => !activeBulkJobs.has(doc.id))
+      .forEach((doc) => {
+        // runBulkJob claims the lease itself and skips jobs owned by a live worker
+        runBulkJob(doc.id);
       });
-    }
+  } catch (error) {
+    console.error("❌ Error resuming bulk jobs:", error.message);
+  }
+}
 
-    // 👇 Look up template config (from TEMPLATE_META you defined above)
-    const meta =
-      TEMPLATE_META[templateName] || {
-        language: "en",
-        bodyParams: 0,
-        header: null,
-      };
+// Job control and history routes: routes/bulkJobs.js
+app.use(
+  createBulkJobsRouter({
+    db,
+    prepareBulkRecipients,
+    createBulkJob,
+    runBulkJob,
+    loadBulkHistoryResults,
+  })
+);
 
-    // ✅ Only enforce tournament/date if template actually uses body params
-    if (meta.bodyParams > 0) {
-      const hasBodyParamsFromTemplateParams =
-        templateParams && Array.isArray(templateParams.body) && templateParams.body.length > 0;
+// ================================================================
+// ✅ SCHEDULED CAMPAIGNS & TOURNAMENT REMINDERS
+//     - scheduledBulkMessages/{id} stores a bulk send to fire at nextRunAt
+//     - The sweep turns a due schedule into a normal bulk job, so sending,
+//       progress and the bulkMessageHistory record work exactly like /send
+//     - Job ids are derived from (scheduleId, run time): a run interrupted by
+//       a restart is picked up again without being sent twice
+// ================================================================
+const SCHEDULE_SWEEP_INTERVAL = 30 * 1000; // 30 seconds
+const SCHEDULE_RUN_HISTORY_LIMIT = 50;
+const RECURRENCE_STEP_MS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
 
-      const hasBasicParams = tournament || date;
+/**
+ * Validates an optional recurrence rule
+ * @param {object|null} recurrence - { frequency: "hourly"|"daily"|"weekly", interval?, endAt? }
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateRecurrence(recurrence) {
+  if (!recurrence) return null;
 
-      if (!hasBodyParamsFromTemplateParams && !hasBasicParams) {
-        console.error(
-          `❌ Validation failed: template "${templateName}" expects ${meta.bodyParams} body params but none provided`
-        );
-        return res.status(400).json({
-          error: `Template "${templateName}" expects body parameters (e.g. tournament/date), but none were provided`,
-        });
-      }
-    }
+  if (!RECURRENCE_STEP_MS[recurrence.frequency]) {
+    return `recurrence.frequency must be one of: ${Object.keys(RECURRENCE_STEP_MS).join(", ")}`;
+  }
+  if (
+    recurrence.interval !== undefined &&
+    (!Number.isInteger(recurrence.interval) || recurrence.interval < 1)
+  ) {
+    return "recurrence.interval must be a positive integer";
+  }
+  if (recurrence.endAt && isNaN(Date.parse(recurrence.endAt))) {
+    return "recurrence.endAt must be a valid date";
+  }
+  return null;
+}
 
-    // ✅ If template expects HEADER IMAGE/VIDEO, use provided URL or default
-    // No validation error - we'll use a default image if none provided
+/**
+ * Next run time strictly after `now`; runs missed while the server was down are skipped
+ * @param {string} lastRunAt - ISO time of the run that just fired
+ * @param {object|null} recurrence
+ * @param {number} now - Epoch ms
+ * @returns {string|null} - ISO time, or null if the schedule is finished
+ */
+function getNextRunAt(lastRunAt, recurrence, now = Date.now()) {
+  if (!recurrence) return null;
 
-    if (meta.header === "video") {
-      const headerVideo =
-        templateParams?.videoUrl;
+  const step = RECURRENCE_STEP_MS[recurrence.frequency] * (recurrence.interval || 1);
+  let next = Date.parse(lastRunAt) + step;
+  while (next <= now) next += step;
 
-      if (!headerVideo) {
-        console.error(
-          `❌ Validation failed: template "${templateName}" requires videoUrl for header`
-        );
-        return res.status(400).json({
-          error: `Template "${templateName}" requires a videoUrl for the header`,
-        });
-      }
-    }
+  if (recurrence.endAt && next > Date.parse(recurrence.endAt)) return null;
+  return new Date(next).toISOString();
+}
 
-    // Validate team data
-    const invalidTeams = teams.filter(
-      (team) => !team.teamId || !team.phoneNumber || !team.teamName
-    );
+/**
+ * Works out when a schedule should fire from the request body.
+ * Accepts an explicit sendAt, or a tournament start time plus a reminder offset.
+ * @param {object} body - { sendAt } or { startsAt, remindMinutesBefore }
+ * @returns {{ sendAt?: string, error?: string }}
+ */
+function resolveSendAt({ sendAt, startsAt, remindMinutesBefore }) {
+  if (sendAt) {
+    if (isNaN(Date.parse(sendAt))) return { error: "sendAt must be a valid date" };
+    return { sendAt: new Date(sendAt).toISOString() };
+  }
 
-    if (invalidTeams.length > 0) {
-      console.error("❌ Validation failed: invalid team data", invalidTeams);
-      return res.status(400).json({
-        error: `${invalidTeams.length} team(s) have missing required fields (teamId, phoneNumber, or teamName)`,
-      });
+  if (startsAt && remindMinutesBefore !== undefined) {
+    if (isNaN(Date.parse(startsAt))) return { error: "startsAt must be a valid date" };
+    const minutes = Number(remindMinutesBefore);
+    if (!Number.isFinite(minutes) || minutes < 0) {
+      return { error: "remindMinutesBefore must be a non-negative number" };
     }
+    return { sendAt: new Date(Date.parse(startsAt) - minutes * 60 * 1000).toISOString() };
+  }
 
-    console.log(
-      `📨 Starting bulk send: ${teams.length} teams, template: ${templateName}, tournament: ${tournament || "N/A"}`
-    );
+  return { error: "sendAt (or startsAt + remindMinutesBefore) is required" };
+}
 
-    const results = {
-      successful: 0,
-      failed: 0,
-      details: [],
+/**
+ * Fires one due schedule: creates its bulk job, then advances nextRunAt
+ * @param {FirebaseFirestore.QueryDocumentSnapshot} scheduleDoc
+ */
+async function fireScheduledMessage(scheduleDoc) {
+  const schedule = scheduleDoc.data();
+  const runAt = schedule.nextRunAt;
+  const now = Date.now();
+  const lateByMs = now - Date.parse(runAt);
+
+  // Too late to be useful (e.g. "room opens in 30 minutes" after a long outage)
+  const missed =
+    schedule.maxDelayMinutes != null && lateByMs > schedule.maxDelayMinutes * 60 * 1000;
+
+  // Personalize at fire time so registration lookups see current data
+  const prepared = missed ? null : await prepareBulkRecipients(schedule);
+
+  let run;
+  if (missed) {
+    console.warn(`⏰ Schedule ${scheduleDoc.id} missed its ${runAt} run by ${Math.round(lateByMs / 60000)} min`);
+    run = { runAt, status: "missed", firedAt: new Date(now).toISOString() };
+  } else if (prepared.error) {
+    console.error(`❌ Schedule ${scheduleDoc.id} could not fire: ${prepared.error}`);
+    run = {
+      runAt,
+      status: "failed",
+      error: prepared.error,
+      missingValues: prepared.missingValues || null,
+      firedAt: new Date(now).toISOString(),
     };
+  } else {
+    const { jobId, historyId, created } = await createBulkJob(
+      {
+        recipients: prepared.recipients,
+        templateName: schedule.templateName,
+        tournament: schedule.tournament,
+        date: schedule.date,
+        templateParams: schedule.templateParams,
+        imageUrl: schedule.imageUrl,
+        scheduleId: scheduleDoc.id,
+      },
+      `${scheduleDoc.id}_${Date.parse(runAt)}`
+    );
+    if (created) runBulkJob(jobId);
+    run = { runAt, status: "queued", jobId, historyId, firedAt: new Date(now).toISOString() };
+  }
 
-    // Send messages to all teams with delay to avoid rate limiting
-    for (let i = 0; i < teams.length; i++) {
-      const team = teams[i];
+  // Only advance if nobody else did (another instance / an edit in the meantime)
+  await db.runTransaction(async (tx) => {
+    const fresh = await tx.get(scheduleDoc.ref);
+    if (!fresh.exists || fresh.data().nextRunAt !== runAt) return;
+
+    const current = fresh.data();
+    const nextRunAt = getNextRunAt(runAt, current.recurrence, now);
+    tx.update(scheduleDoc.ref, {
+      nextRunAt,
+      status: nextRunAt ? "scheduled" : "completed",
+      lastRunAt: runAt,
+      runs: [...(current.runs || []), run].slice(-SCHEDULE_RUN_HISTORY_LIMIT),
+      updatedAt: new Date().toISOString(),
+    });
+  });
 
-      try {
-        // Validate phone number format
-        let phoneNumber = team.phoneNumber?.trim();
+  console.log(`📅 Schedule ${scheduleDoc.id} fired (${run.status}) for ${runAt}`);
+}
 
-        if (!phoneNumber) {
-          throw new Error("Phone number is empty");
-        }
+/**
+ * Fires every schedule whose nextRunAt has passed
+ */
+async function processDueSchedules() {
+  try {
+    // nextRunAt is null once a schedule is completed/cancelled, so range queries skip it
+    const snapshot = await db
+      .collection("scheduledBulkMessages")
+      .where("nextRunAt", "<=", new Date().toISOString())
+      .get();
 
-        // Ensure phone number has country code (add 91 if not present)
-        if (phoneNumber.length === 10) {
-          phoneNumber = `91${phoneNumber}`;
-        } else if (phoneNumber.length !== 12 || !phoneNumber.startsWith("91")) {
-          throw new Error(`Invalid phone number format: ${phoneNumber}`);
-        }
+    for (const doc of snapshot.docs) {
+      if (doc.data().status !== "scheduled") continue;
+      try {
+        await fireScheduledMessage(doc);
+      } catch (error) {
+        console.error(`❌ Error firing schedule ${doc.id}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error("❌ Error processing scheduled messages:", error.message);
+  }
+}
 
-        console.log(
-          `📤 [${i + 1}/${teams.length}] Sending to ${team.teamName} (${phoneNumber})`
-        );
+// Fields an admin may set when creating / editing a schedule
+const SCHEDULE_FIELDS = [
+  "teams",
+  "templateName",
+  "tournament",
+  "date",
+  "templateParams",
+  "imageUrl",
+  "recurrence",
+  "maxDelayMinutes",
+  "name",
+];
 
-        // 🔗 Build final params passed to sendTemplateMessageWithParams
-        const finalParams = {
-          ...(templateParams || {}),
-          ...(tournament ? { tournament } : {}),
-          ...(date ? { date } : {}),
-          // 👇 Only attach image if template requires header IMAGE
-  ...(meta.header === "image"
-      ? { imageUrl: imageUrl || "https://res.cloudinary.com/dlmcpmdpn/image/upload/v1765266071/Prize_Pool_2.0_1_bdcuna.jpg" }
-      : {}
-  )
-        };
+/**
+ * Validates a full schedule (after merging edits)
+ * @returns {Promise<{ error: string, missingValues?: object[] } | null>} - null if valid
+ */
+async function validateSchedule(schedule) {
+  const prepared = await prepareBulkRecipients(schedule);
+  if (prepared.error) return prepared;
+
+  const error =
+    validateRecurrence(schedule.recurrence) ||
+    (schedule.maxDelayMinutes != null &&
+    (!Number.isFinite(Number(schedule.maxDelayMinutes)) || schedule.maxDelayMinutes < 0)
+      ? "maxDelayMinutes must be a non-negative number"
+      : null);
+  return error ? { error } : null;
+}
 
-        await sendTemplateMessageWithParams(
-          phoneNumber,
-          templateName,
-          finalParams
-        );
+/**
+ * POST /api/bulk-message/schedule
+ * Schedule a bulk send for later (same body as /send plus sendAt or startsAt + remindMinutesBefore)
+ */
+app.post("/api/bulk-message/schedule", async (req, res) => {
+  try {
+    const { sendAt, error: sendAtError } = resolveSendAt(req.body);
+    if (sendAtError) {
+      return res.status(400).json({ error: sendAtError });
+    }
+    if (Date.parse(sendAt) <= Date.now()) {
+      return res.status(400).json({ error: "sendAt must be in the future" });
+    }
 
-        results.successful++;
-        results.details.push({
-          teamId: team.teamId,
-          teamName: team.teamName,
-          phoneNumber: team.phoneNumber,
-          status: "success",
-        });
+    const schedule = { recurrence: null, maxDelayMinutes: null };
+    SCHEDULE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) schedule[field] = req.body[field];
+    });
 
-        console.log(
-          `✅ [${i + 1}/${teams.length}] Sent to ${team.teamName}`
-        );
+    const validationError = await validateSchedule(schedule);
+    if (validationError) {
+      console.error(`❌ Schedule validation failed: ${validationError.error}`);
+      return res.status(400).json(validationError);
+    }
 
-        // Add 100ms delay between messages to avoid rate limiting
-        if (i < teams.length - 1) {
-          await new Promise((resolve) => setTimeout(resolve, 100));
-        }
-      } catch (error) {
-        results.failed++;
-        const errorMessage = error.message || "Unknown error";
-
-        results.details.push({
-          teamId: team.teamId,
-          teamName: team.teamName,
-          phoneNumber: team.phoneNumber,
-          status: "failed",
-          error: errorMessage,
-        });
+    const now = new Date().toISOString();
+    const scheduleRef = await db.collection("scheduledBulkMessages").add({
+      ...schedule,
+      sendAt,
+      nextRunAt: sendAt,
+      status: "scheduled",
+      runs: [],
+      lastRunAt: null,
+      createdAt: now,
+      updatedAt: now,
+    });
 
-        console.error(
-          `❌ [${i + 1}/${teams.length}] Failed for ${team.teamName}: ${errorMessage}`
-        );
+    console.log(`📅 Scheduled ${schedule.templateName} to ${schedule.teams.length} teams at ${sendAt}`);
+    res.status(201).json({ success: true, id: scheduleRef.id, sendAt, status: "scheduled" });
+  } catch (error) {
+    console.error("❌ Error scheduling bulk message:", error.message);
+    res.status(500).json({ error: "Failed to schedule bulk message", details: error.message });
+  }
+});
 
-        // Log WhatsApp API specific errors
-        if (error.response?.data) {
-          console.error(
-            "WhatsApp API error details:",
-            JSON.stringify(error.response.data, null, 2)
-          );
-        }
-      }
+/**
+ * GET /api/bulk-message/schedule
+ * List schedules (optional ?status=scheduled|completed|cancelled)
+ */
+app.get("/api/bulk-message/schedule", async (req, res) => {
+  try {
+    let query = db.collection("scheduledBulkMessages");
+    if (req.query.status) {
+      query = query.where("status", "==", req.query.status);
     }
 
-    console.log(
-      `📊 Bulk send completed: ${results.successful} successful, ${results.failed} failed`
-    );
+    const snapshot = await query.get();
+    const schedules = snapshot.docs
+      .map((doc) => {
+        // The team list can be long - the detail endpoint returns it
+        const { teams, ...schedule } = doc.data();
+        return { id: doc.id, ...schedule, totalTeams: teams?.length || 0 };
+      })
+      .sort((a, b) => (b.nextRunAt || b.sendAt).localeCompare(a.nextRunAt || a.sendAt));
 
-     // Store in bulkMessageHistory collection
-    const historyRecord = {
-      tournament: tournament,
-      templateName: templateName,
-      totalTeams: teams.length,
-      successfulCount: results.successful,
-      failedCount: results.failed,
-      sentDate: new Date().toISOString(),
-      teamIds: teams.map(t => t.teamId),
-      results: results.details
-    };
-    
-    try {
-      console.log("💾 Saving bulk message history to Firebase...");
-      const historyRef = await db.collection("bulkMessageHistory").add(historyRecord);
-      console.log(`✅ History saved with ID: ${historyRef.id}`);
-      
-      res.status(200).json({
-        success: true,
-        results: results,
-        historyId: historyRef.id
-      });
-    } catch (dbError) {
-      console.error("❌ Error saving to bulkMessageHistory:", dbError.message);
-      console.error("Database error details:", dbError);
-      
-      // Still return success for the messages that were sent
-      res.status(200).json({
-        success: true,
-        results: results,
-        historyId: null,
-        warning: "Messages sent but history not saved to database"
-      });
-    }
+    res.status(200).json({ schedules, count: schedules.length });
   } catch (error) {
-    console.error("❌ Bulk send error:", error.message);
-    console.error("Error stack:", error.stack);
-
-    res.status(500).json({
-      error: "Failed to send bulk messages. Please try again.",
-      details: error.message,
-    });
+    console.error("❌ Error fetching schedules:", error.message);
+    res.status(500).json({ error: "Failed to fetch schedules", details: error.message });
   }
 });
 
 /**
- * GET /api/whatsapp/templates
- * Fetch WhatsApp message templates from Meta Graph API
+ * GET /api/bulk-message/schedule/:id
  */
-app.get("/api/whatsapp/templates", async (req, res) => {
+app.get("/api/bulk-message/schedule/:id", async (req, res) => {
   try {
-    console.log("📋 Fetching WhatsApp templates from Meta Graph API...");
-    
-    // Get WABA ID from environment variable
-    const WABA_ID = "1540862954008233";
-    
-    if (!WABA_ID) {
-      console.error("❌ WHATSAPP_BUSINESS_ACCOUNT_ID not configured");
-      return res.status(500).json({ 
-        error: "WhatsApp Business Account ID not configured",
-        templates: []
-      });
-    }
-    
-    if (!WHATSAPP_TOKEN) {
-      console.error("❌ WHATSAPP_TOKEN not configured");
-      return res.status(500).json({ 
-        error: "WhatsApp token not configured",
-        templates: []
-      });
+    const doc = await db.collection("scheduledBulkMessages").doc(req.params.id).get();
+    if (!doc.exists) {
+      return res.status(404).json({ error: "Schedule not found" });
     }
-    
-    // Fetch templates from Meta Graph API
-    const url = `${WHATSAPP_API_URL}/${WABA_ID}/message_templates`;
-    
-    console.log(`📡 Requesting templates from: ${url}`);
-    
-    const response = await axios.get(url, {
-      headers: {
-        Authorization: `Bearer ${WHATSAPP_TOKEN}`
-      },
-      params: {
-        limit: 100 // Get up to 100 templates
-      }
-    });
-    
-    const templates = response.data.data || [];
-    
-    console.log(`✅ Fetched ${templates.length} templates from Meta`);
-    
-    // Filter only approved templates and format the response
-    const approvedTemplates = templates
-      .filter(template => template.status === "APPROVED")
-      .map(template => ({
-        id: template.id,
-        name: template.name,
-        language: template.language,
-        status: template.status,
-        category: template.category,
-        components: template.components || []
-      }));
-    
-    console.log(`✅ Returning ${approvedTemplates.length} approved templates`);
-    
-    res.status(200).json({
-      success: true,
-      count: approvedTemplates.length,
-      templates: approvedTemplates
-    });
-    
+    res.status(200).json({ schedule: { id: doc.id, ...doc.data() } });
   } catch (error) {
-    console.error("❌ Error fetching WhatsApp templates:", error.response?.data || error.message);
-    
-    res.status(500).json({
-      error: "Failed to fetch templates",
-      message: error.response?.data?.error?.message || error.message,
-      templates: []
-    });
+    console.error("❌ Error fetching schedule:", error.message);
+    res.status(500).json({ error: "Failed to fetch schedule", details: error.message });
   }
 });
 
 /**
- * GET /api/bulk-message/history
- * Fetch bulk message history with pagination
+ * PUT /api/bulk-message/schedule/:id
+ * Edit a schedule that hasn't finished yet
  */
-app.get("/api/bulk-message/history", async (req, res) => {
+app.put("/api/bulk-message/schedule/:id", async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 50;
-    const offset = parseInt(req.query.offset) || 0;
-    
-    // Validate query parameters
-    if (limit < 1 || limit > 100) {
-      console.warn(`⚠️ Invalid limit parameter: ${limit}, using default 50`);
+    const scheduleRef = db.collection("scheduledBulkMessages").doc(req.params.id);
+    const doc = await scheduleRef.get();
+    if (!doc.exists) {
+      return res.status(404).json({ error: "Schedule not found" });
     }
-    
-    if (offset < 0) {
-      console.warn(`⚠️ Invalid offset parameter: ${offset}, using default 0`);
+
+    const current = doc.data();
+    if (current.status !== "scheduled") {
+      return res.status(409).json({ error: `Cannot edit a schedule that is ${current.status}` });
     }
-    
-    const validLimit = Math.min(Math.max(limit, 1), 100);
-    const validOffset = Math.max(offset, 0);
-    
-    console.log(`📋 Fetching bulk message history (limit: ${validLimit}, offset: ${validOffset})`);
-    
-    try {
-      const historySnapshot = await db
-        .collection("bulkMessageHistory")
-        .orderBy("sentDate", "desc")
-        .limit(validLimit)
-        .offset(validOffset)
-        .get();
-      
-      if (!historySnapshot) {
-        console.warn("⚠️ History snapshot is null or undefined");
-        return res.status(200).json({ 
-          history: [],
-          count: 0,
-          limit: validLimit,
-          offset: validOffset
-        });
+
+    const updates = {};
+    SCHEDULE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    if (req.body.sendAt || req.body.startsAt) {
+      const { sendAt, error } = resolveSendAt(req.body);
+      if (error) {
+        return res.status(400).json({ error });
       }
-      
-      const history = historySnapshot.docs.map(doc => {
-        try {
-          return {
-            id: doc.id,
-            ...doc.data()
-          };
-        } catch (docError) {
-          console.error(`❌ Error processing history document ${doc.id}:`, docError.message);
-          return null;
-        }
-      }).filter(record => record !== null);
-      
-      console.log(`✅ Retrieved ${history.length} history records`);
-      
-      res.status(200).json({ 
-        history,
-        count: history.length,
-        limit: validLimit,
-        offset: validOffset
-      });
-      
-    } catch (dbError) {
-      console.error("❌ Database error fetching history:", dbError.message);
-      console.error("Database error details:", dbError);
-      
-      // Check for specific Firebase errors
-      if (dbError.code === 'permission-denied') {
-        return res.status(403).json({ 
-          error: "Permission denied to access history",
-          details: "You may not have access to the bulkMessageHistory collection" 
-        });
-      } else if (dbError.code === 'unavailable') {
-        return res.status(503).json({ 
-          error: "Database service unavailable",
-          details: "The database service is temporarily unavailable. Please try again later." 
-        });
+      if (Date.parse(sendAt) <= Date.now()) {
+        return res.status(400).json({ error: "sendAt must be in the future" });
       }
-      
-      throw dbError;
+      updates.sendAt = sendAt;
+      updates.nextRunAt = sendAt;
     }
-    
-  } catch (error) {
-    console.error("❌ Error fetching history:", error.message);
-    console.error("Error stack:", error.stack);
-    
-    res.status(500).json({ 
-      error: "Failed to fetch history. Please try again.",
-      details: error.message 
+
+    // validateSchedule reads templates and registrations, so it runs before the transaction;
+    // the transaction only checks that nobody touched the schedule in the meantime
+    const validationError = await validateSchedule({ ...current, ...updates });
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    const result = await db.runTransaction(async (tx) => {
+      const latest = await tx.get(scheduleRef);
+      if (!latest.exists) return { status: 404, body: { error: "Schedule not found" } };
+      if (latest.data().status !== "scheduled") {
+        return {
+          status: 409,
+          body: { error: `Cannot edit a schedule that is ${latest.data().status}` },
+        };
+      }
+      if (latest.data().updatedAt !== current.updatedAt) {
+        return {
+          status: 409,
+          body: { error: "Schedule changed while it was being edited, try again" },
+        };
+      }
+
+      tx.update(scheduleRef, { ...updates, updatedAt: new Date().toISOString() });
+      return { status: 200, body: { success: true, id: doc.id, ...updates } };
     });
+
+    if (result.status === 200) console.log(`✏️ Schedule ${req.params.id} updated`);
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error("❌ Error updating schedule:", error.message);
+    res.status(500).json({ error: "Failed to update schedule", details: error.message });
   }
 });
 
 /**
- * DELETE /api/bulk-message/history/:id
- * Delete a specific bulk message history record
+ * POST /api/bulk-message/schedule/:id/cancel
+ * Stop future runs (runs already fired keep going as normal jobs)
  */
-app.delete("/api/bulk-message/history/:id", async (req, res) => {
+app.post("/api/bulk-message/schedule/:id/cancel", async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    // Validate history ID
-    if (!id || id.trim() === "") {
-      console.error("❌ Validation failed: history ID is empty");
-      return res.status(400).json({ 
-        error: "History ID is required" 
-      });
-    }
-    
-    console.log(`🗑️ Deleting bulk message history: ${id}`);
-    
-    try {
-      // Check if document exists before deleting
-      const docRef = db.collection("bulkMessageHistory").doc(id);
-      const docSnapshot = await docRef.get();
-      
-      if (!docSnapshot.exists) {
-        console.warn(`⚠️ History record not found: ${id}`);
-        return res.status(404).json({ 
-          error: "History record not found",
-          details: "The history record may have already been deleted"
-        });
+    const scheduleRef = db.collection("scheduledBulkMessages").doc(req.params.id);
+
+    const result = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(scheduleRef);
+      if (!doc.exists) return { status: 404, body: { error: "Schedule not found" } };
+      if (doc.data().status !== "scheduled") {
+        return {
+          status: 409,
+          body: { error: `Cannot cancel a schedule that is ${doc.data().status}` },
+        };
       }
-      
-      // Delete the document
-      await docRef.delete();
-      
-      console.log(`✅ History record deleted: ${id}`);
-      
-      res.status(200).json({ 
-        success: true, 
-        message: "History deleted successfully",
-        id: id
+
+      tx.update(scheduleRef, {
+        status: "cancelled",
+        nextRunAt: null,
+        cancelledAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
       });
-      
-    } catch (dbError) {
-      console.error("❌ Database error deleting history:", dbError.message);
-      console.error("Database error details:", dbError);
-      
-      // Check for specific Firebase errors
-      if (dbError.code === 'permission-denied') {
-        return res.status(403).json({ 
-          error: "Permission denied to delete history",
-          details: "You may not have permission to delete from the bulkMessageHistory collection" 
-        });
-      } else if (dbError.code === 'unavailable') {
-        return res.status(503).json({ 
-          error: "Database service unavailable",
-          details: "The database service is temporarily unavailable. Please try again later." 
-        });
-      }
-      
-      throw dbError;
-    }
+      return { status: 200, body: { success: true, id: doc.id, status: "cancelled" } };
+    });
+
+    if (result.status === 200) console.log(`🛑 Schedule ${req.params.id} cancelled`);
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error("❌ Error cancelling schedule:", error.message);
+    res.status(500).json({ error: "Failed to cancel schedule", details: error.message });
+  }
+});
+
+/**
+ * GET /api/whatsapp/templates
+ * Approved WhatsApp templates from the template registry (cached from Meta)
+ * Pass ?refresh=true to re-sync from the Graph API first
+ */
+app.get("/api/whatsapp/templates", async (req, res) => {
+  try {
+    console.log(`📋 Fetching WhatsApp templates for WABA ${WABA_ID}...`);
+
+    const { templates, syncedAt } = await getApprovedTemplates(
+      req.query.refresh === "true"
+    );
+
+    // Attach the parsed send schema so the frontend knows which params to ask for
+    const approvedTemplates = await Promise.all(
+      templates.map(async (template) => ({
+        ...template,
+        schema: await getTemplateSchema(template.name, template.language),
+      }))
+    );
+
+    console.log(`✅ Returning ${approvedTemplates.length} approved templates`);
+
+    res.status(200).json({
+      success: true,
+      count: approvedTemplates.length,
+      syncedAt,
+      templates: approvedTemplates
+    });
     
   } catch (error) {
-    console.error("❌ Error deleting history:", error.message);
-    console.error("Error stack:", error.stack);
+    console.error("❌ Error fetching WhatsApp templates:", error.response?.data || error.message);
     
-    res.status(500).json({ 
-      error: "Failed to delete history. Please try again.",
-      details: error.message 
+    res.status(500).json({
+      error: "Failed to fetch templates",
+      message: error.response?.data?.error?.message || error.message,
+      templates: []
     });
   }
 });
@@ -1464,6 +4939,22 @@ process.on("unhandledRejection", (reason, promise) => {
   console.error("❌ Unhandled Rejection at:", promise, "reason:", reason);
 });
 
+// Pick up queued bulk jobs and jobs orphaned by a restart / redeploy
+setInterval(resumeBulkJobs, BULK_JOB_SWEEP_INTERVAL);
+
+// Fire scheduled campaigns / reminders that are due
+setInterval(processDueSchedules, SCHEDULE_SWEEP_INTERVAL);
+
+// Archive messages past the retention age
+setInterval(sweepRetention, RETENTION_SWEEP_INTERVAL);
+
+// Move support threads of players who have registered since into whatsappChats
+setInterval(() => {
+  promoteRegisteredSupportChats().catch((error) =>
+    console.error("❌ Conversation promotion sweep failed:", error.message)
+  );
+}, CONVERSATION_PROMOTION_INTERVAL);
+
 // Log memory usage every 5 minutes
 setInterval(() => {
   const used = process.memoryUsage();
@@ -1478,4 +4969,9 @@ app.listen(PORT, "0.0.0.0", () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
   console.log(`📡 Keep-alive enabled: ${process.env.NODE_ENV !== "development"}`);
   console.log(`💾 Initial Memory: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`);
+
+  startTemplateSync();
+  resumeBulkJobs();
+  processDueSchedules();
+  sweepRetention();
 });
@@ -0,0 +1,609 @@
+import express from "express";
+import admin from "firebase-admin";
+import { getSuppressions } from "../services/suppression.js";
+import { tryNormalizePhone } from "../utils/phone.js";
+
+// ================================================================
+// ✅ BULK MESSAGE JOB & HISTORY ROUTES
+//     - /api/bulk-message/send and /api/bulk-message/jobs/* queue and control
+//       the background jobs; sending itself lives in index.js (runBulkJob)
+//     - /api/bulk-message/history/* lists, retries and deletes past campaigns
+// ================================================================
+
+/**
+ * Shapes a job document for API responses
+ */
+function formatBulkJob(doc) {
+  const job = doc.data();
+  const processed = job.processedCount || 0;
+  return {
+    id: doc.id,
+    ...job,
+    progress: job.totalTeams > 0 ? Math.round((processed / job.totalTeams) * 100) : 0,
+  };
+}
+
+// ================================================================
+// ✅ RETRY FAILED RECIPIENTS OF A PAST CAMPAIGN
+//     Only failures that can succeed on a second attempt are re-sent by default
+// ================================================================
+
+// Meta error codes that will fail again no matter how often we retry
+// https://developers.facebook.com/docs/whatsapp/cloud-api/support/error-codes
+const PERMANENT_WHATSAPP_ERROR_CODES = new Set([
+  100, // Invalid parameter (template params are wrong for every recipient)
+  131008, // Required parameter is missing
+  131009, // Parameter value is not valid
+  131021, // Recipient cannot be sender
+  131026, // Message undeliverable (not a WhatsApp user / old app version)
+  131050, // User stopped marketing messages (opted out)
+  131051, // Unsupported message type
+  132000, // Template param count mismatch
+  132001, // Template does not exist
+  132005, // Template hydrated text too long
+  132007, // Template format character policy violated
+  132012, // Template parameter format mismatch
+  132015, // Template is paused
+  132016, // Template is disabled
+]);
+
+/**
+ * Classifies why a bulk recipient failed
+ * @param {object} result - Recipient result, from loadBulkHistoryResults
+ * @returns {"permanent"|"transient"} - Unknown errors count as transient
+ */
+function classifyBulkError(result) {
+  const error = result.error || "";
+
+  // Our own phone validation in normalizePhone
+  if (/Invalid phone number format|Phone number is empty/.test(error)) {
+    return "permanent";
+  }
+
+  const code = result.errorCode ?? Number(error.match(/\((\d+)\)/)?.[1]);
+  if (code && PERMANENT_WHATSAPP_ERROR_CODES.has(code)) {
+    return "permanent";
+  }
+
+  // Timeouts, 5xx, rate limits (130429, 131048, 131056), interrupted sends...
+  return "transient";
+}
+
+/**
+ * Routes of the bulk message jobs and their history records
+ * @param {object} deps - Job helpers from index.js
+ * @param {FirebaseFirestore.Firestore} deps.db
+ * @param {function} deps.prepareBulkRecipients - Validates teams and template params
+ * @param {function} deps.createBulkJob - Stores a job and its history record
+ * @param {function} deps.runBulkJob - Sends a job in the background
+ * @param {function} deps.loadBulkHistoryResults - Per-recipient results of a history record
+ * @returns {express.Router}
+ */
+export function createBulkJobsRouter({
+  db,
+  prepareBulkRecipients,
+  createBulkJob,
+  runBulkJob,
+  loadBulkHistoryResults,
+}) {
+  const router = express.Router();
+
+  /**
+   * Moves a job between statuses in a transaction
+   * @param {string} jobId
+   * @param {string[]} allowedFrom - Statuses the job may currently be in
+   * @param {Function} getUpdate - (job) => fields to write
+   * @returns {Promise<{ found: boolean, allowed: boolean, job?: object }>}
+   */
+  async function transitionBulkJob(jobId, allowedFrom, getUpdate) {
+    const jobRef = db.collection("bulkMessageJobs").doc(jobId);
+
+    return db.runTransaction(async (tx) => {
+      const doc = await tx.get(jobRef);
+      if (!doc.exists) return { found: false, allowed: false };
+
+      const job = doc.data();
+      if (!allowedFrom.includes(job.status)) {
+        return { found: true, allowed: false, job };
+      }
+
+      const update = { ...getUpdate(job), updatedAt: new Date().toISOString() };
+      tx.update(jobRef, update);
+      return { found: true, allowed: true, job: { ...job, ...update } };
+    });
+  }
+
+  /**
+   * POST /api/bulk-message/send
+   * Queue a bulk WhatsApp campaign to multiple teams (sent in the background)
+   */
+  router.post("/api/bulk-message/send", async (req, res) => {
+    try {
+      console.log("📨 Bulk message send request received");
+
+      // ⬅️ added imageUrl so you can pass it from frontend for game_greeting
+      const { teams, templateName, tournament, date, templateParams, imageUrl } = req.body;
+
+      const prepared = await prepareBulkRecipients(req.body);
+      if (prepared.error) {
+        console.error(`❌ Validation failed: ${prepared.error}`);
+        return res.status(400).json(prepared);
+      }
+
+      const { jobId, historyId } = await createBulkJob({
+        recipients: prepared.recipients,
+        templateName,
+        tournament,
+        date,
+        templateParams,
+        imageUrl,
+      });
+
+      // Don't await - the job runs in the background
+      runBulkJob(jobId);
+
+      // Opted-out teams stay in the job and are reported as "suppressed" when their turn comes
+      const phones = prepared.recipients.map((recipient) => tryNormalizePhone(recipient.phoneNumber));
+      const suppressions = await getSuppressions(phones.filter(Boolean));
+      const suppressed = prepared.recipients
+        .filter((recipient, i) => phones[i] && suppressions.has(phones[i].key))
+        .map(({ teamId, teamName, phoneNumber }) => ({ teamId, teamName, phoneNumber }));
+
+      res.status(202).json({
+        success: true,
+        jobId,
+        historyId,
+        status: "queued",
+        totalTeams: teams.length,
+        suppressedCount: suppressed.length,
+        suppressed,
+      });
+    } catch (error) {
+      console.error("❌ Bulk send error:", error.message);
+      console.error("Error stack:", error.stack);
+
+      res.status(500).json({
+        error: "Failed to queue bulk messages. Please try again.",
+        details: error.message,
+      });
+    }
+  });
+
+  /**
+   * GET /api/bulk-message/jobs
+   * List recent bulk jobs (newest first)
+   */
+  router.get("/api/bulk-message/jobs", async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+      const snapshot = await db
+        .collection("bulkMessageJobs")
+        .orderBy("createdAt", "desc")
+        .limit(limit)
+        .get();
+
+      const jobs = snapshot.docs.map(formatBulkJob);
+      res.status(200).json({ jobs, count: jobs.length });
+    } catch (error) {
+      console.error("❌ Error fetching bulk jobs:", error.message);
+      res.status(500).json({ error: "Failed to fetch bulk jobs", details: error.message });
+    }
+  });
+
+  /**
+   * GET /api/bulk-message/jobs/:id
+   * Live progress of a bulk job
+   */
+  router.get("/api/bulk-message/jobs/:id", async (req, res) => {
+    try {
+      const doc = await db.collection("bulkMessageJobs").doc(req.params.id).get();
+
+      if (!doc.exists) {
+        return res.status(404).json({ error: "Bulk job not found" });
+      }
+
+      res.status(200).json({ job: formatBulkJob(doc) });
+    } catch (error) {
+      console.error("❌ Error fetching bulk job:", error.message);
+      res.status(500).json({ error: "Failed to fetch bulk job", details: error.message });
+    }
+  });
+
+  /**
+   * GET /api/bulk-message/jobs/:id/recipients
+   * Per-team status of a bulk job (optional ?status=pending|sent|failed|cancelled)
+   */
+  router.get("/api/bulk-message/jobs/:id/recipients", async (req, res) => {
+    try {
+      const jobRef = db.collection("bulkMessageJobs").doc(req.params.id);
+      const jobDoc = await jobRef.get();
+
+      if (!jobDoc.exists) {
+        return res.status(404).json({ error: "Bulk job not found" });
+      }
+
+      let query = jobRef.collection("recipients");
+      if (req.query.status) {
+        query = query.where("status", "==", req.query.status);
+      }
+
+      const snapshot = await query.get();
+      const recipients = snapshot.docs.map((doc) => doc.data());
+      res.status(200).json({ jobId: jobDoc.id, recipients, count: recipients.length });
+    } catch (error) {
+      console.error("❌ Error fetching bulk job recipients:", error.message);
+      res.status(500).json({ error: "Failed to fetch recipients", details: error.message });
+    }
+  });
+
+  /**
+   * POST /api/bulk-message/jobs/:id/pause
+   * Stop sending after the in-flight chunk; resume later with /resume
+   */
+  router.post("/api/bulk-message/jobs/:id/pause", async (req, res) => {
+    try {
+      const result = await transitionBulkJob(req.params.id, ["queued", "running"], () => ({
+        status: "paused",
+      }));
+
+      if (!result.found) return res.status(404).json({ error: "Bulk job not found" });
+      if (!result.allowed) {
+        return res.status(409).json({ error: `Cannot pause a job that is ${result.job.status}` });
+      }
+
+      console.log(`⏸️ Bulk job ${req.params.id} paused`);
+      res.status(200).json({ success: true, jobId: req.params.id, status: "paused" });
+    } catch (error) {
+      console.error("❌ Error pausing bulk job:", error.message);
+      res.status(500).json({ error: "Failed to pause bulk job", details: error.message });
+    }
+  });
+
+  /**
+   * POST /api/bulk-message/jobs/:id/resume
+   * Continue a paused (or failed) job from the first unsent recipient
+   */
+  router.post("/api/bulk-message/jobs/:id/resume", async (req, res) => {
+    try {
+      const result = await transitionBulkJob(req.params.id, ["paused", "failed"], () => ({
+        status: "queued",
+        error: null,
+      }));
+
+      if (!result.found) return res.status(404).json({ error: "Bulk job not found" });
+      if (!result.allowed) {
+        return res.status(409).json({ error: `Cannot resume a job that is ${result.job.status}` });
+      }
+
+      runBulkJob(req.params.id);
+
+      console.log(`▶️ Bulk job ${req.params.id} resumed`);
+      res.status(200).json({ success: true, jobId: req.params.id, status: "queued" });
+    } catch (error) {
+      console.error("❌ Error resuming bulk job:", error.message);
+      res.status(500).json({ error: "Failed to resume bulk job", details: error.message });
+    }
+  });
+
+  /**
+   * POST /api/bulk-message/jobs/:id/cancel
+   * Stop a job for good; unsent recipients are recorded as cancelled
+   */
+  router.post("/api/bulk-message/jobs/:id/cancel", async (req, res) => {
+    try {
+      const result = await transitionBulkJob(
+        req.params.id,
+        ["queued", "running", "paused", "failed"],
+        (job) => ({
+          status: "cancelling",
+          // Nobody is sending a non-running job, so let any worker claim it right away
+          ...(job.status === "running" ? {} : { heartbeatAt: null }),
+        })
+      );
+
+      if (!result.found) return res.status(404).json({ error: "Bulk job not found" });
+      if (!result.allowed) {
+        return res.status(409).json({ error: `Cannot cancel a job that is ${result.job.status}` });
+      }
+
+      // A running worker finalizes on its next chunk; otherwise finalize here
+      runBulkJob(req.params.id);
+
+      console.log(`🛑 Bulk job ${req.params.id} cancelling`);
+      res.status(200).json({ success: true, jobId: req.params.id, status: "cancelling" });
+    } catch (error) {
+      console.error("❌ Error cancelling bulk job:", error.message);
+      res.status(500).json({ error: "Failed to cancel bulk job", details: error.message });
+    }
+  });
+
+  /**
+   * POST /api/bulk-message/history/:id/retry
+   * Re-send the same template to the failed recipients of a campaign
+   * Body (all optional): { includeUndelivered, includePermanent, templateParams, imageUrl, date }
+   */
+  router.post("/api/bulk-message/history/:id/retry", async (req, res) => {
+    try {
+      const { id } = req.params;
+      const {
+        includeUndelivered = false,
+        includePermanent = false,
+      } = req.body || {};
+
+      const historyRef = db.collection("bulkMessageHistory").doc(id);
+      const historyDoc = await historyRef.get();
+
+      if (!historyDoc.exists) {
+        return res.status(404).json({ error: "History record not found" });
+      }
+
+      const history = historyDoc.data();
+
+      // Older records don't store params - fall back to the job that sent them
+      let job = {};
+      if (history.jobId) {
+        const jobDoc = await db.collection("bulkMessageJobs").doc(history.jobId).get();
+        if (jobDoc.exists) job = jobDoc.data();
+      }
+
+      const candidates = (await loadBulkHistoryResults(historyDoc)).filter(
+        (result) =>
+          result.status === "failed" ||
+          (includeUndelivered && result.status === "sent")
+      );
+
+      const skipped = [];
+      const teams = [];
+      for (const result of candidates) {
+        if (result.status === "failed" && !includePermanent && classifyBulkError(result) === "permanent") {
+          skipped.push({
+            teamId: result.teamId,
+            teamName: result.teamName,
+            reason: `Permanent error: ${result.error}`,
+          });
+          continue;
+        }
+        teams.push({
+          teamId: result.teamId,
+          teamName: result.teamName,
+          phoneNumber: result.phoneNumber,
+          // Custom per-team values the original campaign was personalized with
+          ...(result.variables ? { variables: result.variables } : {}),
+        });
+      }
+
+      if (teams.length === 0) {
+        return res.status(400).json({
+          error: "No recipients to retry",
+          skipped,
+        });
+      }
+
+      const campaign = {
+        templateName: history.templateName,
+        tournament: history.tournament || job.tournament,
+        date: req.body?.date ?? history.date ?? job.date,
+        templateParams: req.body?.templateParams ?? history.templateParams ?? job.templateParams,
+        imageUrl: req.body?.imageUrl ?? history.imageUrl ?? job.imageUrl,
+      };
+
+      const prepared = await prepareBulkRecipients({ ...campaign, teams });
+      if (prepared.error) {
+        console.error(`❌ Retry validation failed: ${prepared.error}`);
+        return res.status(400).json(prepared);
+      }
+
+      const { jobId, historyId } = await createBulkJob({
+        ...campaign,
+        recipients: prepared.recipients,
+        retryOf: id,
+      });
+
+      await historyRef.update({
+        retries: admin.firestore.FieldValue.arrayUnion({
+          jobId,
+          historyId,
+          teamCount: teams.length,
+          createdAt: new Date().toISOString(),
+        }),
+      });
+
+      runBulkJob(jobId);
+
+      console.log(`🔁 Retrying ${teams.length} recipient(s) of ${id} (skipped ${skipped.length})`);
+      res.status(202).json({
+        success: true,
+        jobId,
+        historyId,
+        retryOf: id,
+        totalTeams: teams.length,
+        skipped,
+      });
+    } catch (error) {
+      console.error("❌ Error retrying bulk campaign:", error.message);
+      console.error("Error stack:", error.stack);
+      res.status(500).json({
+        error: "Failed to retry campaign. Please try again.",
+        details: error.message,
+      });
+    }
+  });
+
+  /**
+   * GET /api/bulk-message/history
+   * Fetch bulk message history with pagination
+   * (results are read from each record's recipients subcollection; ?includeResults=false skips them)
+   */
+  router.get("/api/bulk-message/history", async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 50;
+      const offset = parseInt(req.query.offset) || 0;
+    
+      // Validate query parameters
+      if (limit < 1 || limit > 100) {
+        console.warn(`⚠️ Invalid limit parameter: ${limit}, using default 50`);
+      }
+    
+      if (offset < 0) {
+        console.warn(`⚠️ Invalid offset parameter: ${offset}, using default 0`);
+      }
+    
+      const validLimit = Math.min(Math.max(limit, 1), 100);
+      const validOffset = Math.max(offset, 0);
+    
+      console.log(`📋 Fetching bulk message history (limit: ${validLimit}, offset: ${validOffset})`);
+    
+      try {
+        const historySnapshot = await db
+          .collection("bulkMessageHistory")
+          .orderBy("sentDate", "desc")
+          .limit(validLimit)
+          .offset(validOffset)
+          .get();
+      
+        if (!historySnapshot) {
+          console.warn("⚠️ History snapshot is null or undefined");
+          return res.status(200).json({ 
+            history: [],
+            count: 0,
+            limit: validLimit,
+            offset: validOffset
+          });
+        }
+      
+        // ?includeResults=false skips reading the per-recipient docs
+        const includeResults = req.query.includeResults !== "false";
+        const history = (
+          await Promise.all(
+            historySnapshot.docs.map(async (doc) => {
+              try {
+                const { results, ...record } = doc.data();
+                return {
+                  id: doc.id,
+                  ...record,
+                  ...(includeResults ? { results: await loadBulkHistoryResults(doc) } : {}),
+                };
+              } catch (docError) {
+                console.error(`❌ Error processing history document ${doc.id}:`, docError.message);
+                return null;
+              }
+            })
+          )
+        ).filter((record) => record !== null);
+      
+        console.log(`✅ Retrieved ${history.length} history records`);
+      
+        res.status(200).json({ 
+          history,
+          count: history.length,
+          limit: validLimit,
+          offset: validOffset
+        });
+      
+      } catch (dbError) {
+        console.error("❌ Database error fetching history:", dbError.message);
+        console.error("Database error details:", dbError);
+      
+        // Check for specific Firebase errors
+        if (dbError.code === 'permission-denied') {
+          return res.status(403).json({ 
+            error: "Permission denied to access history",
+            details: "You may not have access to the bulkMessageHistory collection" 
+          });
+        } else if (dbError.code === 'unavailable') {
+          return res.status(503).json({ 
+            error: "Database service unavailable",
+            details: "The database service is temporarily unavailable. Please try again later." 
+          });
+        }
+      
+        throw dbError;
+      }
+    
+    } catch (error) {
+      console.error("❌ Error fetching history:", error.message);
+      console.error("Error stack:", error.stack);
+    
+      res.status(500).json({ 
+        error: "Failed to fetch history. Please try again.",
+        details: error.message 
+      });
+    }
+  });
+
+  /**
+   * DELETE /api/bulk-message/history/:id
+   * Delete a specific bulk message history record
+   */
+  router.delete("/api/bulk-message/history/:id", async (req, res) => {
+    try {
+      const { id } = req.params;
+    
+      // Validate history ID
+      if (!id || id.trim() === "") {
+        console.error("❌ Validation failed: history ID is empty");
+        return res.status(400).json({ 
+          error: "History ID is required" 
+        });
+      }
+    
+      console.log(`🗑️ Deleting bulk message history: ${id}`);
+    
+      try {
+        // Check if document exists before deleting
+        const docRef = db.collection("bulkMessageHistory").doc(id);
+        const docSnapshot = await docRef.get();
+      
+        if (!docSnapshot.exists) {
+          console.warn(`⚠️ History record not found: ${id}`);
+          return res.status(404).json({ 
+            error: "History record not found",
+            details: "The history record may have already been deleted"
+          });
+        }
+      
+        // Delete the document and its per-recipient results
+        await db.recursiveDelete(docRef);
+      
+        console.log(`✅ History record deleted: ${id}`);
+      
+        res.status(200).json({ 
+          success: true, 
+          message: "History deleted successfully",
+          id: id
+        });
+      
+      } catch (dbError) {
+        console.error("❌ Database error deleting history:", dbError.message);
+        console.error("Database error details:", dbError);
+      
+        // Check for specific Firebase errors
+        if (dbError.code === 'permission-denied') {
+          return res.status(403).json({ 
+            error: "Permission denied to delete history",
+            details: "You may not have permission to delete from the bulkMessageHistory collection" 
+          });
+        } else if (dbError.code === 'unavailable') {
+          return res.status(503).json({ 
+            error: "Database service unavailable",
+            details: "The database service is temporarily unavailable. Please try again later." 
+          });
+        }
+      
+        throw dbError;
+      }
+    
+    } catch (error) {
+      console.error("❌ Error deleting history:", error.message);
+      console.error("Error stack:", error.stack);
+    
+      res.status(500).json({ 
+        error: "Failed to delete history. Please try again.",
+        details: error.message 
+      });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,188 @@
+import express from "express";
+import admin from "firebase-admin";
+import { MESSAGE_SENDERS } from "../utils/messageSearch.js";
+
+// ================================================================
+// ✅ INBOX ROUTES (reads the denormalized fields index.js keeps on chat docs)
+//     - GET /api/inbox: newest first by lastUpdated, cursor paginated
+//       ?registered=true|false, ?unread=true, ?from=user|admin|bot
+//       (from=user → the player spoke last, i.e. waiting for a reply)
+//     - Filtered queries need composite indexes on each chat collection:
+//       hasUnread + lastUpdated desc, lastMessageFrom + lastUpdated desc,
+//       hasUnread + lastMessageFrom + lastUpdated desc
+//       (Firestore logs a link that creates the missing one)
+// ================================================================
+const INBOX_DEFAULT_LIMIT = 30;
+const INBOX_MAX_LIMIT = 100;
+
+function encodeInboxCursor(conversation) {
+  return Buffer.from(
+    JSON.stringify({ lastUpdated: conversation.lastUpdated, id: conversation.phoneNumber })
+  ).toString("base64url");
+}
+
+function decodeInboxCursor(cursor) {
+  try {
+    const { lastUpdated, id } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    return typeof lastUpdated === "string" && typeof id === "string" ? { lastUpdated, id } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validates the inbox query string
+ * @param {object} query - req.query
+ * @returns {{ error: string } | { result: object }} - result: { collections, unread, from, after, limit }
+ */
+function parseInboxQuery({ registered, unread, from, cursor, limit }) {
+  if (from && !MESSAGE_SENDERS.includes(from)) {
+    return { error: `from must be one of: ${MESSAGE_SENDERS.join(", ")}` };
+  }
+  const after = cursor ? decodeInboxCursor(cursor) : null;
+  if (cursor && !after) {
+    return { error: "Invalid cursor" };
+  }
+  return {
+    result: {
+      collections: { true: ["whatsappChats"], false: ["supportChats"] }[registered] || [
+        "whatsappChats",
+        "supportChats",
+      ],
+      unread: unread === "true",
+      from: from || null,
+      after,
+      limit: Math.min(parseInt(limit, 10) || INBOX_DEFAULT_LIMIT, INBOX_MAX_LIMIT),
+    },
+  };
+}
+
+/**
+ * Routes of the conversation list
+ * @param {object} deps - Inbox helpers from index.js
+ * @param {FirebaseFirestore.Firestore} deps.db
+ * @param {function} deps.describeConversation - Chat doc → conversation summary
+ * @param {function} deps.backfillInboxFields - Fills the inbox fields of older chat docs
+ * @returns {express.Router}
+ */
+export function createInboxRouter({ db, describeConversation, backfillInboxFields }) {
+  const router = express.Router();
+
+  /**
+   * One page of conversations, newest first, across the requested chat collections
+   * @param {object} options - From parseInboxQuery
+   * @returns {Promise<object>} - { conversations, totalUnread, hasMore, nextCursor }
+   */
+  async function fetchInboxPage({ collections, unread, from, after, limit }) {
+    const pages = await Promise.all(
+      collections.map(async (collectionName) => {
+        let query = db.collection(collectionName);
+        if (unread) query = query.where("hasUnread", "==", true);
+        if (from) query = query.where("lastMessageFrom", "==", from);
+        query = query
+          .orderBy("lastUpdated", "desc")
+          .orderBy(admin.firestore.FieldPath.documentId(), "desc");
+        if (after) query = query.startAfter(after.lastUpdated, after.id);
+
+        const [snapshot, unreadTotal] = await Promise.all([
+          query.limit(limit + 1).get(),
+          db
+            .collection(collectionName)
+            .aggregate({ unread: admin.firestore.AggregateField.sum("unreadCount") })
+            .get(),
+        ]);
+        return { docs: snapshot.docs, totalUnread: unreadTotal.data().unread || 0 };
+      })
+    );
+
+    // Merge the collections in the same order the queries used
+    const docs = pages
+      .flatMap((page) => page.docs)
+      .sort(
+        (a, b) =>
+          b.data().lastUpdated.localeCompare(a.data().lastUpdated) || b.id.localeCompare(a.id)
+      );
+    const hasMore = docs.length > limit;
+    const conversations = await Promise.all(
+      docs.slice(0, limit).map(async (chatDoc) => ({
+        ...(await describeConversation(chatDoc)),
+        lastUpdated: chatDoc.data().lastUpdated,
+      }))
+    );
+
+    return {
+      conversations,
+      totalUnread: pages.reduce((sum, page) => sum + page.totalUnread, 0),
+      hasMore,
+      nextCursor: hasMore ? encodeInboxCursor(conversations[conversations.length - 1]) : null,
+    };
+  }
+
+  router.get("/api/inbox", async (req, res) => {
+    try {
+      const { error, result } = parseInboxQuery(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const page = await fetchInboxPage(result);
+      res.status(200).json({
+        success: true,
+        count: page.conversations.length,
+        ...page,
+      });
+    } catch (err) {
+      console.error("❌ Error fetching inbox:", err.message);
+      res.status(500).json({ error: "Failed to fetch inbox" });
+    }
+  });
+
+  // Backfill the inbox fields (?dryRun=true to preview)
+  router.post("/api/admin/backfill-inbox", async (req, res) => {
+    try {
+      const report = await backfillInboxFields({ dryRun: req.query.dryRun === "true" });
+      console.log(`📥 Inbox backfill: ${report.updated}/${report.checked} chats`);
+      res.json({ success: true, dryRun: req.query.dryRun === "true", ...report });
+    } catch (error) {
+      console.error("❌ Error backfilling inbox:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Unknown users only (supportChats), for the support tab: the /api/inbox?registered=false
+  // page in the shape the dashboard reads (?limit, ?cursor, ?unread=true)
+  // ?sort=unread is ignored - the list is always most recent first
+  router.get("/api/support/users", async (req, res) => {
+    try {
+      const { error, result } = parseInboxQuery({ ...req.query, registered: "false" });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const page = await fetchInboxPage(result);
+      const users = page.conversations.map((conversation) => ({
+        phoneNumber: conversation.phoneNumber,
+        name: conversation.phoneNumber, // Use phone number as name
+        profileImage: null,
+        lastMessage: conversation.lastMessage,
+        lastMessageFrom: conversation.lastMessageFrom,
+        lastMessageTime: conversation.lastMessageTime,
+        unreadCount: conversation.unreadCount,
+        isRegistered: false,
+        serviceWindow: conversation.serviceWindow,
+      }));
+
+      res.status(200).json({
+        users,
+        totalUnread: page.totalUnread,
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor,
+      });
+    } catch (err) {
+      console.error("❌ Error fetching support users:", err.message);
+      res.status(500).json({ error: "Failed to fetch support users" });
+    }
+  });
+
+  return router;
+}
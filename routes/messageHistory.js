@@ -0,0 +1,290 @@
+import express from "express";
+import admin from "firebase-admin";
+import { buildSearchTokens, MESSAGE_SENDERS, parseSearchTerms } from "../utils/messageSearch.js";
+import { tryNormalizePhone } from "../utils/phone.js";
+
+// ================================================================
+// ✅ MESSAGE HISTORY & SEARCH ROUTES
+//     - GET /api/chat/history/:phoneNumber and /api/support/history/:phoneNumber
+//       page through one conversation (parseHistoryQuery / fetchMessagePage
+//       in index.js, shared with /api/conversations/:phoneNumber)
+//     - GET /api/messages/search?q=hacker (&from, &type, &limit, &cursor)
+//     - Whole-word search over the searchTokens index of every stored message
+//       (live + archived), newest first: one term is queried with
+//       array-contains, the others and from / type are checked on the hits
+//     - Needs a collection-group index on messages:
+//         searchTokens (array-contains) + timestamp (descending)
+//       Firestore's error message links to creating it
+//     - Messages stored before searchTokens existed: POST /api/admin/backfill-search-tokens
+//     - nextCursor is opaque (collection + chat + message id), pass it back as ?cursor
+// ================================================================
+const SEARCH_SCAN_BATCH = 100;
+const SEARCH_MAX_SCAN = 1000;
+const SEARCH_MAX_LIMIT = 200;
+const SEARCH_COLLECTIONS = ["whatsappChats", "supportChats"];
+
+// Messages read (and written) per backfill step, under Firestore's 500 writes per batch
+const BACKFILL_PAGE_SIZE = 450;
+
+/**
+ * Opaque search cursor for a message document
+ * @param {FirebaseFirestore.QueryDocumentSnapshot} doc
+ * @returns {string}
+ */
+function encodeSearchCursor(doc) {
+  const chatRef = doc.ref.parent.parent;
+  return Buffer.from(
+    JSON.stringify({ collection: chatRef.parent.id, chatId: chatRef.id, id: doc.id })
+  ).toString("base64url");
+}
+
+/**
+ * Routes of the conversation history and the search across conversations
+ * @param {object} deps - Chat helpers from index.js
+ * @param {FirebaseFirestore.Firestore} deps.db
+ * @param {function} deps.archiveCollectionName - Chat collection → its archive collection
+ * @param {function} deps.parseHistoryQuery - Reads ?limit / ?before / ?after / ?from / ?type / ?q
+ * @param {function} deps.fetchMessagePage - One page of a conversation (live, then archive)
+ * @param {function} deps.migrateLegacyChat - Moves a 10-digit chat doc to its E.164 key
+ * @param {function} deps.getServiceWindow - 24-hour customer service window of a number
+ * @param {function} deps.toApiMessage - Stored message → API shape
+ * @returns {express.Router}
+ */
+export function createMessageHistoryRouter({
+  db,
+  archiveCollectionName,
+  parseHistoryQuery,
+  fetchMessagePage,
+  migrateLegacyChat,
+  getServiceWindow,
+  toApiMessage,
+}) {
+  const router = express.Router();
+
+  // Chat collections a search covers, archives included
+  const chatCollections = SEARCH_COLLECTIONS.flatMap((name) => [
+    name,
+    archiveCollectionName(name),
+  ]);
+
+  /**
+   * GET /api/chat/history/:phoneNumber and /api/support/history/:phoneNumber
+   * @param {string} collectionName - whatsappChats | supportChats
+   */
+  async function handleChatHistory(req, res, collectionName) {
+    try {
+      const { phoneNumber } = req.params;
+      const phone = tryNormalizePhone(phoneNumber);
+      if (!phone) {
+        return res.status(400).json({ error: `Invalid phone number: ${phoneNumber}` });
+      }
+      const { error, options } = parseHistoryQuery(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const chatKey = phone.key;
+      await migrateLegacyChat(collectionName, phone);
+
+      const chatDoc = await db.collection(collectionName).doc(chatKey).get();
+
+      // If no chat document exists, return empty messages array (not 404)
+      if (!chatDoc.exists) {
+        console.log(`ℹ️ No ${collectionName} history found for ${chatKey}, returning empty array`);
+        return res.status(200).json({
+          phoneNumber: chatKey,
+          messages: [],
+          hasMore: false,
+          nextCursor: null,
+          serviceWindow: await getServiceWindow(phone),
+        });
+      }
+
+      const page = await fetchMessagePage(collectionName, chatKey, options);
+      if (page.error) {
+        return res.status(400).json({ error: page.error });
+      }
+
+      // Whether the admin can reply free-form or needs a template
+      const serviceWindow = await getServiceWindow(phone);
+      res.status(200).json({
+        phoneNumber: chatKey,
+        ...page,
+        unreadCount: chatDoc.data().unreadCount || 0,
+        serviceWindow,
+      });
+    } catch (err) {
+      console.error(`❌ Error fetching ${collectionName} history:`, err.message);
+      res.status(500).json({ error: "Failed to fetch chat history" });
+    }
+  }
+
+  router.get("/api/chat/history/:phoneNumber", (req, res) =>
+    handleChatHistory(req, res, "whatsappChats")
+  );
+  router.get("/api/support/history/:phoneNumber", (req, res) =>
+    handleChatHistory(req, res, "supportChats")
+  );
+
+  /**
+   * Reads a cursor from encodeSearchCursor back into a message reference
+   * @param {string} cursor
+   * @returns {FirebaseFirestore.DocumentReference|null} - null when it isn't a valid cursor
+   */
+  function decodeSearchCursor(cursor) {
+    try {
+      const { collection, chatId, id } = JSON.parse(
+        Buffer.from(String(cursor), "base64url").toString()
+      );
+      const isDocId = (value) => typeof value === "string" && /^[^/]{1,1500}$/.test(value);
+      if (!chatCollections.includes(collection) || !isDocId(chatId) || !isDocId(id)) {
+        return null;
+      }
+      return db.collection(collection).doc(chatId).collection("messages").doc(id);
+    } catch {
+      return null;
+    }
+  }
+
+  router.get("/api/messages/search", async (req, res) => {
+    try {
+      const { q, from, type, cursor } = req.query;
+      if (!q) {
+        return res.status(400).json({ error: "q is required" });
+      }
+      const parsed = parseSearchTerms(q);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      if (from && !MESSAGE_SENDERS.includes(from)) {
+        return res.status(400).json({ error: `from must be one of: ${MESSAGE_SENDERS.join(", ")}` });
+      }
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, SEARCH_MAX_LIMIT);
+      const [indexedTerm, ...otherTerms] = parsed.terms;
+
+      let lastDoc = null;
+      if (cursor) {
+        const cursorRef = decodeSearchCursor(cursor);
+        lastDoc = cursorRef ? await cursorRef.get() : null;
+        if (!lastDoc?.exists) {
+          return res.status(400).json({ error: "Invalid or expired cursor" });
+        }
+      }
+
+      const results = [];
+      let scanned = 0;
+      let exhausted = false;
+
+      while (results.length < limit && scanned < SEARCH_MAX_SCAN) {
+        let query = db
+          .collectionGroup("messages")
+          .where("searchTokens", "array-contains", indexedTerm)
+          .orderBy("timestamp", "desc")
+          .limit(SEARCH_SCAN_BATCH);
+        if (lastDoc) query = query.startAfter(lastDoc);
+        const snapshot = await query.get();
+
+        for (const doc of snapshot.docs) {
+          scanned++;
+          lastDoc = doc;
+          // Other features may keep "messages" subcollections too - only chats count
+          const chatCollection = doc.ref.parent.parent?.parent.id;
+          const message = doc.data();
+          if (
+            !chatCollections.includes(chatCollection) ||
+            (from && message.from !== from) ||
+            (type && message.type !== type) ||
+            !otherTerms.every((term) => message.searchTokens.includes(term))
+          ) {
+            continue;
+          }
+
+          const archived = !SEARCH_COLLECTIONS.includes(chatCollection);
+          results.push({
+            id: doc.id,
+            phoneNumber: doc.ref.parent.parent.id,
+            collection: archived ? chatCollection.replace(/Archive$/, "") : chatCollection,
+            registered: chatCollection.startsWith("whatsappChats"),
+            archived,
+            ...toApiMessage(message),
+          });
+          if (results.length === limit) break;
+        }
+
+        if (snapshot.size < SEARCH_SCAN_BATCH && results.length < limit) {
+          exhausted = true;
+          break;
+        }
+      }
+
+      res.status(200).json({
+        success: true,
+        query: q,
+        terms: parsed.terms,
+        count: results.length,
+        results,
+        scanned,
+        nextCursor: exhausted || !lastDoc ? null : encodeSearchCursor(lastDoc),
+      });
+    } catch (err) {
+      console.error("❌ Error searching messages:", err.message);
+      res.status(500).json({ error: "Failed to search messages" });
+    }
+  });
+
+  /**
+   * Adds searchTokens to stored messages that don't have them yet (live and archived)
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun] - Only count
+   * @returns {Promise<{ checked: number, updated: number }>}
+   */
+  async function backfillSearchTokens({ dryRun = false } = {}) {
+    const report = { checked: 0, updated: 0 };
+
+    for (const collectionName of chatCollections) {
+      // listDocuments also returns archive chats that only exist as a parent path
+      const chatRefs = await db.collection(collectionName).listDocuments();
+      for (const chatRef of chatRefs) {
+        let lastDoc = null;
+        while (true) {
+          let query = chatRef
+            .collection("messages")
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .limit(BACKFILL_PAGE_SIZE);
+          if (lastDoc) query = query.startAfter(lastDoc);
+          const snapshot = await query.get();
+          if (snapshot.empty) break;
+          lastDoc = snapshot.docs[snapshot.docs.length - 1];
+
+          const missing = snapshot.docs.filter((doc) => !doc.data().searchTokens);
+          report.checked += snapshot.size;
+          report.updated += missing.length;
+          if (!dryRun && missing.length > 0) {
+            const batch = db.batch();
+            missing.forEach((doc) => {
+              batch.update(doc.ref, { searchTokens: buildSearchTokens(doc.data()) });
+            });
+            await batch.commit();
+          }
+          if (snapshot.size < BACKFILL_PAGE_SIZE) break;
+        }
+      }
+    }
+
+    return report;
+  }
+
+  // Index messages stored before search tokens existed (?dryRun=true to preview)
+  router.post("/api/admin/backfill-search-tokens", async (req, res) => {
+    try {
+      const report = await backfillSearchTokens({ dryRun: req.query.dryRun === "true" });
+      console.log(`🔎 Search token backfill: ${report.updated}/${report.checked} messages`);
+      res.json({ success: true, dryRun: req.query.dryRun === "true", ...report });
+    } catch (error) {
+      console.error("❌ Error backfilling search tokens:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
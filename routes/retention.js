@@ -0,0 +1,130 @@
+import express from "express";
+import { tryNormalizePhone } from "../utils/phone.js";
+
+// ================================================================
+// ✅ CHAT RETENTION & ARCHIVE ROUTES
+//     - The retention policy and the hourly age sweep live in index.js;
+//       the cleanup endpoints apply it right away
+//     - Archive pages: ?limit (default 50, max 500), ?before=<ISO timestamp>
+//       for older pages
+// ================================================================
+
+/**
+ * Routes of the retention policy and the archive collections
+ * @param {object} deps - Retention helpers from index.js
+ * @param {FirebaseFirestore.Firestore} deps.db
+ * @param {object} deps.retentionPolicies - { maxMessages, maxAgeDays } per chat collection
+ * @param {function} deps.archiveCollectionName - Chat collection → its archive collection
+ * @param {function} deps.maintainChatLimit - Applies the whatsappChats policy to one chat
+ * @param {function} deps.migrateLegacyChat - Moves a 10-digit chat doc to its E.164 key
+ * @param {function} deps.toApiMessage - Stored message → API shape
+ * @returns {express.Router}
+ */
+export function createRetentionRouter({
+  db,
+  retentionPolicies,
+  archiveCollectionName,
+  maintainChatLimit,
+  migrateLegacyChat,
+  toApiMessage,
+}) {
+  const router = express.Router();
+
+  // Manual cleanup of one chat (optional - for maintenance)
+  router.post("/api/chat/cleanup/:phoneNumber", async (req, res) => {
+    try {
+      const { phoneNumber } = req.params;
+      const phone = tryNormalizePhone(phoneNumber);
+      if (!phone) {
+        return res.status(400).json({ error: `Invalid phone number: ${phoneNumber}` });
+      }
+      const chatKey = phone.key;
+      await migrateLegacyChat("whatsappChats", phone);
+
+      const archivedCount = await maintainChatLimit(chatKey);
+
+      res.status(200).json({
+        success: true,
+        message: `Chat cleanup completed for ${chatKey}`,
+        archivedCount,
+      });
+    } catch (err) {
+      console.error("❌ Error during manual cleanup:", err.message);
+      res.status(500).json({ error: "Failed to cleanup chat history" });
+    }
+  });
+
+  // Cleanup of every chat (admin endpoint - use with caution)
+  router.post("/api/chat/cleanup-all", async (req, res) => {
+    try {
+      const chatsSnapshot = await db.collection("whatsappChats").get();
+      let cleanedCount = 0;
+      let archivedCount = 0;
+
+      for (const chatDoc of chatsSnapshot.docs) {
+        archivedCount += await maintainChatLimit(chatDoc.id);
+        cleanedCount++;
+      }
+
+      res.status(200).json({
+        success: true,
+        message: `Cleaned up ${cleanedCount} chat conversations`,
+        archivedCount,
+      });
+    } catch (err) {
+      console.error("❌ Error during bulk cleanup:", err.message);
+      res.status(500).json({ error: "Failed to cleanup all chats" });
+    }
+  });
+
+  /**
+   * GET /api/chat/archive/:phoneNumber and /api/support/archive/:phoneNumber
+   * @param {string} collectionName - whatsappChats | supportChats
+   */
+  async function handleArchiveHistory(req, res, collectionName) {
+    try {
+      const { phoneNumber } = req.params;
+      const phone = tryNormalizePhone(phoneNumber);
+      if (!phone) {
+        return res.status(400).json({ error: `Invalid phone number: ${phoneNumber}` });
+      }
+
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+      let query = db
+        .collection(archiveCollectionName(collectionName))
+        .doc(phone.key)
+        .collection("messages")
+        .orderBy("timestamp", "desc");
+      if (req.query.before) query = query.where("timestamp", "<", req.query.before);
+
+      const snapshot = await query.limit(limit).get();
+      const messages = snapshot.docs
+        .map((doc) => ({ id: doc.id, ...toApiMessage(doc.data()) }))
+        .reverse();
+
+      res.status(200).json({
+        phoneNumber: phone.key,
+        messages,
+        // Pass as ?before to get the previous page
+        nextBefore: snapshot.size === limit ? messages[0].timestamp : null,
+      });
+    } catch (err) {
+      console.error("❌ Error fetching archived messages:", err.message);
+      res.status(500).json({ error: "Failed to fetch archived messages" });
+    }
+  }
+
+  router.get("/api/chat/archive/:phoneNumber", (req, res) =>
+    handleArchiveHistory(req, res, "whatsappChats")
+  );
+  router.get("/api/support/archive/:phoneNumber", (req, res) =>
+    handleArchiveHistory(req, res, "supportChats")
+  );
+
+  // Current retention policy per collection
+  router.get("/api/admin/retention", (req, res) => {
+    res.json({ success: true, policies: retentionPolicies });
+  });
+
+  return router;
+}
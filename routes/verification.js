@@ -0,0 +1,316 @@
+import express from "express";
+import { getSuppression, suppressedResponse } from "../services/suppression.js";
+import {
+  allowedVerificationTransitions,
+  validateVerificationTransition,
+  VERIFICATION_QUEUE_STATUSES,
+  VERIFICATION_TEMPLATES,
+} from "../services/verification.js";
+import { tryNormalizePhone } from "../utils/phone.js";
+
+// ================================================================
+// ✅ VERIFICATION ROUTES
+//     - POST /api/verification/transition { registrationId | phoneNumber, status, actor, reason }
+//     - /api/verify/verified | not-verified | pending { phoneNumber, actor?, reason?, language? }
+//       go through the same state machine: 404 without a registration, 409 when
+//       the transition isn't allowed; the template is sent only after the status
+//       is stored (actor from the body / X-Admin-User header, "unknown" otherwise)
+//     - GET /api/verification/queue → teams waiting for review, oldest first
+//     - GET /api/verification/:registrationId/history → audit trail
+// ================================================================
+const VERIFICATION_QUEUE_DEFAULT_LIMIT = 50;
+const VERIFICATION_ERROR_STATUS = {
+  UNKNOWN_STATUS: 400,
+  REASON_REQUIRED: 400,
+  INVALID_TRANSITION: 409,
+};
+
+/**
+ * Routes of the verification workflow
+ * @param {object} deps - Verification helpers from index.js
+ * @param {FirebaseFirestore.Firestore} deps.db
+ * @param {function} deps.transitionVerification - Applies and records a transition atomically
+ * @param {function} deps.announceVerificationChange - Logs a transition, pushes it to the dashboard
+ * @param {function} deps.notifyVerificationChange - Sends the template of the new status
+ * @param {function} deps.findRegistrationByPhone - teamRegistrations doc of a number, or null
+ * @param {function} deps.registrationImageUrls - Current URLs of a registration's screenshots
+ * @param {function} deps.getRecipientLanguages - Template languages to try for a number
+ * @param {function} deps.sendTemplateMessage - Sends a template to a number
+ * @returns {express.Router}
+ */
+export function createVerificationRouter({
+  db,
+  transitionVerification,
+  announceVerificationChange,
+  notifyVerificationChange,
+  findRegistrationByPhone,
+  registrationImageUrls,
+  getRecipientLanguages,
+  sendTemplateMessage,
+}) {
+  const router = express.Router();
+
+  /**
+   * Looks up the registration a request is about ({ registrationId } or { phoneNumber })
+   * @returns {Promise<{ error: string, status: number } | { registrationRef: FirebaseFirestore.DocumentReference }>}
+   */
+  async function findRegistrationForRequest({ registrationId, phoneNumber }) {
+    if (registrationId) {
+      return { registrationRef: db.collection("teamRegistrations").doc(String(registrationId)) };
+    }
+    if (!phoneNumber) {
+      return { error: "registrationId or phoneNumber is required", status: 400 };
+    }
+
+    const phone = tryNormalizePhone(phoneNumber);
+    if (!phone) {
+      return { error: `Invalid phone number: ${phoneNumber}`, status: 400 };
+    }
+    const registrationDoc = await findRegistrationByPhone(phone);
+    if (!registrationDoc) {
+      return { error: `No team registration found for ${phone.e164}`, status: 404 };
+    }
+    return { registrationRef: registrationDoc.ref };
+  }
+
+  /**
+   * Route handler: transition + template
+   * @param {string} toStatus
+   */
+  async function handleVerificationTransition(req, res, toStatus) {
+    try {
+      const { reason = null, language, notify = true } = req.body;
+      const actor = req.body.actor || req.get("X-Admin-User");
+      if (!actor) {
+        return res.status(400).json({ error: "actor is required (who is making this change)" });
+      }
+      if (reason !== null && typeof reason !== "string") {
+        return res.status(400).json({ error: "reason must be a string" });
+      }
+
+      const lookup = await findRegistrationForRequest(req.body);
+      if (lookup.error) {
+        return res.status(lookup.status).json({ error: lookup.error });
+      }
+
+      const outcome = await transitionVerification(lookup.registrationRef, toStatus, { actor, reason });
+      if (outcome.error) {
+        return res
+          .status(outcome.code === "NOT_FOUND" ? 404 : VERIFICATION_ERROR_STATUS[outcome.code])
+          .json(outcome);
+      }
+
+      const { registration, event } = outcome;
+      announceVerificationChange(registration, event);
+
+      const notification =
+        notify === false
+          ? { sent: false, template: VERIFICATION_TEMPLATES[toStatus] || null, skipped: "not_requested" }
+          : await notifyVerificationChange(registration, event, { language });
+
+      res.status(200).json({
+        success: true,
+        status: toStatus,
+        message: notification.sent
+          ? `Status changed and message sent: ${toStatus}`
+          : `Status changed: ${toStatus}`,
+        result: notification.result || null,
+        registration: {
+          id: registration.id,
+          teamName: registration.teamName || null,
+          phoneNumber: registration.phoneNumber || null,
+          verificationStatus: registration.verificationStatus,
+          verificationUpdatedAt: registration.verificationUpdatedAt,
+          verificationUpdatedBy: registration.verificationUpdatedBy,
+          verificationReason: registration.verificationReason,
+        },
+        event,
+        notification: (({ result, ...rest }) => rest)(notification),
+      });
+    } catch (error) {
+      console.error("❌ Error changing verification status:", error.message);
+      res.status(500).json({ error: "Failed to change verification status", details: error.message });
+    }
+  }
+
+  router.post("/api/verification/transition", (req, res) =>
+    handleVerificationTransition(req, res, req.body.status)
+  );
+
+  // Legacy dashboard routes: same checks as /api/verification/transition (reason optional),
+  // the template is sent only once the new status is stored
+  async function handleVerify(req, res, statusText) {
+    try {
+      const { phoneNumber, reason = null } = req.body;
+      if (!phoneNumber)
+        return res.status(400).json({ error: "Phone number is required" });
+
+      const phone = tryNormalizePhone(phoneNumber);
+      if (!phone) {
+        return res.status(400).json({ error: `Invalid phone number: ${phoneNumber}` });
+      }
+
+      // Opted-out players are skipped, not failed
+      const suppression = await getSuppression(phone);
+      if (suppression) {
+        console.log(`🚫 Skipping ${statusText} message to suppressed ${phone.e164}`);
+        return res.status(409).json(suppressedResponse(phone, suppression));
+      }
+
+      const registrationDoc = await findRegistrationByPhone(phone);
+      if (!registrationDoc) {
+        return res.status(404).json({ error: `No team registration found for ${phone.e164}` });
+      }
+      const check = validateVerificationTransition(
+        registrationDoc.data().verificationStatus,
+        statusText,
+        { requireReason: false }
+      );
+      if (check.error) {
+        return res.status(VERIFICATION_ERROR_STATUS[check.code]).json(check);
+      }
+
+      const outcome = await transitionVerification(registrationDoc.ref, statusText, {
+        actor: req.body.actor || req.get("X-Admin-User") || "unknown",
+        reason: typeof reason === "string" ? reason : null,
+        requireReason: false,
+      });
+      if (outcome.error) {
+        return res
+          .status(outcome.code === "NOT_FOUND" ? 404 : VERIFICATION_ERROR_STATUS[outcome.code])
+          .json(outcome);
+      }
+
+      const { registration, event } = outcome;
+      announceVerificationChange(registration, event);
+
+      console.log(`📨 Sending WhatsApp message to: ${phone.e164}`);
+      const { result, ...notification } = await notifyVerificationChange(registration, event, {
+        language: req.body.language,
+      });
+      const transition = { recorded: true, event: { ...event, notification } };
+
+      // The status is stored either way - tell the dashboard the message didn't go out
+      if (!notification.sent) {
+        if (notification.details) {
+          return res.status(400).json({
+            error: "Invalid template message",
+            details: notification.details,
+            transition,
+          });
+        }
+        return res.status(500).json({
+          error: "Failed to send WhatsApp message",
+          details: notification.error || notification.skipped,
+          transition,
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        status: statusText,
+        message: `Message sent successfully: ${statusText}`,
+        result,
+        transition,
+      });
+    } catch (error) {
+      console.error("❌ Error sending verification message:", error.message);
+      res.status(500).json({
+        error: "Failed to send WhatsApp message",
+        details: error.message,
+      });
+    }
+  }
+
+  // Legacy dashboard routes
+  router.post("/api/verify/verified", (req, res) =>
+    handleVerify(req, res, "verified")
+  );
+  router.post("/api/verify/not-verified", (req, res) =>
+    handleVerify(req, res, "not_eligible")
+  );
+  router.post("/api/verify/pending", (req, res) =>
+    handleVerify(req, res, "pending")
+  );
+
+  // Teams waiting for review (?status=image_uploaded|pending, ?limit), longest waiting first
+  router.get("/api/verification/queue", async (req, res) => {
+    try {
+      const statuses = req.query.status ? [req.query.status] : VERIFICATION_QUEUE_STATUSES;
+      if (statuses.some((status) => !VERIFICATION_QUEUE_STATUSES.includes(status))) {
+        return res
+          .status(400)
+          .json({ error: `status must be one of: ${VERIFICATION_QUEUE_STATUSES.join(", ")}` });
+      }
+      const limit = Math.min(parseInt(req.query.limit, 10) || VERIFICATION_QUEUE_DEFAULT_LIMIT, 500);
+
+      const [snapshot, ...counts] = await Promise.all([
+        db.collection("teamRegistrations").where("verificationStatus", "in", statuses).get(),
+        ...VERIFICATION_QUEUE_STATUSES.map((status) =>
+          db.collection("teamRegistrations").where("verificationStatus", "==", status).count().get()
+        ),
+      ]);
+
+      // Sorted here: ordering the `in` query by another field needs a composite index
+      const teams = snapshot.docs
+        .map((doc) => {
+          const data = doc.data();
+          return {
+            registrationId: doc.id,
+            teamName: data.teamName || null,
+            phoneNumber: data.phoneNumber || null,
+            verificationStatus: data.verificationStatus,
+            images: registrationImageUrls(data),
+            lastImageUploadedAt: data.lastImageUploadedAt || null,
+            waitingSince: data.verificationUpdatedAt || data.updatedAt || data.createdAt || null,
+            verificationUpdatedBy: data.verificationUpdatedBy || null,
+            duplicateImageSuspected: Boolean(data.duplicateImageSuspected),
+          };
+        })
+        .sort((a, b) => String(a.waitingSince || "").localeCompare(String(b.waitingSince || "")));
+
+      res.status(200).json({
+        success: true,
+        counts: Object.fromEntries(
+          VERIFICATION_QUEUE_STATUSES.map((status, i) => [status, counts[i].data().count])
+        ),
+        total: teams.length,
+        teams: teams.slice(0, limit),
+      });
+    } catch (error) {
+      console.error("❌ Error fetching verification queue:", error.message);
+      res.status(500).json({ error: "Failed to fetch verification queue" });
+    }
+  });
+
+  // Audit trail of one team, newest first
+  router.get("/api/verification/:registrationId/history", async (req, res) => {
+    try {
+      const { registrationId } = req.params;
+      const [registrationDoc, eventsSnapshot] = await Promise.all([
+        db.collection("teamRegistrations").doc(registrationId).get(),
+        db.collection("verificationEvents").where("registrationId", "==", registrationId).get(),
+      ]);
+      if (!registrationDoc.exists) {
+        return res.status(404).json({ error: `Registration not found: ${registrationId}` });
+      }
+
+      const registration = registrationDoc.data();
+      res.status(200).json({
+        success: true,
+        registrationId,
+        teamName: registration.teamName || null,
+        verificationStatus: registration.verificationStatus || null,
+        allowedTransitions: allowedVerificationTransitions(registration.verificationStatus),
+        events: eventsSnapshot.docs
+          .map((doc) => ({ id: doc.id, ...doc.data() }))
+          .sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+      });
+    } catch (error) {
+      console.error("❌ Error fetching verification history:", error.message);
+      res.status(500).json({ error: "Failed to fetch verification history" });
+    }
+  });
+
+  return router;
+}
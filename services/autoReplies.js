@@ -0,0 +1,294 @@
+import { personalizeParams } from "../utils/personalize.js";
+
+// ================================================================
+// ✅ AUTO-REPLY RULE ENGINE
+//     - Rules live in Firestore (autoReplyRules), this module only
+//       validates, matches and renders them
+//     - match "exact"    → the whole message is one of `keywords` ("status?" = "STATUS")
+//       match "contains" → one of `keywords` appears as a word / phrase
+//       match "regex"    → `pattern` (+ `flags`, default "i"); patterns that can
+//       backtrack catastrophically (nested quantifiers like (a+)+, backreferences)
+//       are rejected, since they run on every inbound message
+//     - reply supports the bulk placeholders: {teamName}, {verificationStatusLabel},
+//       {registration.slotNumber}, {key|default}
+// ================================================================
+export const AUTO_REPLY_MATCH_TYPES = ["exact", "contains", "regex"];
+export const AUTO_REPLY_AUDIENCES = ["all", "registered", "unregistered"];
+
+const MAX_PATTERN_LENGTH = 200;
+const MAX_REPLY_LENGTH = 4096; // WhatsApp text body limit
+
+export const VERIFICATION_STATUS_LABELS = {
+  image_uploaded: "Screenshot received ✅ - waiting for an admin to review it",
+  pending: "Under review ⏳",
+  verified: "Verified ✅",
+  not_eligible: "Not eligible ❌",
+};
+const NO_STATUS_LABEL = "No screenshot received yet - send it in this chat to get verified";
+
+// Installed the first time the rules are loaded (see loadAutoReplyRules in index.js)
+export const DEFAULT_AUTO_REPLY_RULES = [
+  {
+    name: "STATUS (registered)",
+    match: "exact",
+    keywords: ["status", "my status", "verification status", "check status"],
+    audience: "registered",
+    priority: 10,
+    reply:
+      "Hi {teamName|there}! 👋\nVerification status: {verificationStatusLabel}",
+  },
+  {
+    name: "STATUS (not registered)",
+    match: "exact",
+    keywords: ["status", "my status", "verification status", "check status"],
+    audience: "unregistered",
+    priority: 10,
+    reply:
+      "We couldn't find a team registered with this number. Please register first, or reply here and an admin will help you.",
+  },
+  {
+    name: "HELP",
+    match: "exact",
+    keywords: ["help", "menu", "commands"],
+    audience: "all",
+    priority: 20,
+    reply:
+      "You can send:\n• STATUS - check your verification status\n• RULES - tournament rules\nAnything else reaches our admins, who will reply here.",
+  },
+  {
+    name: "RULES",
+    match: "exact",
+    keywords: ["rules", "tournament rules"],
+    audience: "all",
+    priority: 20,
+    reply:
+      "📜 Tournament rules:\n1. Register with the phone number you use on WhatsApp\n2. Send your screenshot in this chat for verification\n3. Be in the lobby 15 minutes before your slot",
+  },
+];
+
+/**
+ * Lower-cases and strips punctuation / extra spaces so "Status??" matches "STATUS"
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeCommand(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Finds constructs that make a backtracking regex engine take exponential time:
+ * a repeated group containing another quantifier or an alternation ((a+)+, (\w+\s?)*,
+ * (a|a)*) and backreferences
+ * @param {string} pattern
+ * @returns {string|null} - Why the pattern is unsafe, null when it is fine
+ */
+function findUnsafeRegexConstruct(pattern) {
+  const groups = [{ hasQuantifier: false, hasAlternation: false }];
+  let lastGroup = null; // group a quantifier right here would repeat
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const current = groups[groups.length - 1];
+
+    if (char === "\\") {
+      const next = pattern[i + 1] || "";
+      if (/[1-9]/.test(next) || (next === "k" && pattern[i + 2] === "<")) {
+        return "backreferences are not allowed";
+      }
+      i++;
+      lastGroup = null;
+    } else if (char === "[") {
+      // Character class: a single atom, skip to its closing bracket
+      for (i++; i < pattern.length && pattern[i] !== "]"; i++) {
+        if (pattern[i] === "\\") i++;
+      }
+      lastGroup = null;
+    } else if (char === "(") {
+      groups.push({ hasQuantifier: false, hasAlternation: false });
+      // (?:  (?=  (?!  (?<=  (?<!  (?<name>
+      const prefix = pattern.slice(i + 1).match(/^\?(?:[:=!]|<[=!]|<[^>]*>)/);
+      if (prefix) i += prefix[0].length;
+      lastGroup = null;
+    } else if (char === ")") {
+      lastGroup = groups.length > 1 ? groups.pop() : null;
+      if (lastGroup?.hasQuantifier) groups[groups.length - 1].hasQuantifier = true;
+    } else if (char === "|") {
+      current.hasAlternation = true;
+      lastGroup = null;
+    } else if ("*+?{".includes(char)) {
+      let repeats = char !== "?";
+      if (char === "{") {
+        const bounds = pattern.slice(i).match(/^\{(\d+)(,(\d*))?\}/);
+        if (!bounds) {
+          lastGroup = null; // a literal "{"
+          continue;
+        }
+        const max = bounds[2] ? bounds[3] : bounds[1];
+        repeats = max === "" || Number(max) > 1;
+        i += bounds[0].length - 1;
+      }
+      if (pattern[i + 1] === "?") i++; // lazy
+
+      if (repeats && lastGroup && (lastGroup.hasQuantifier || lastGroup.hasAlternation)) {
+        return "a repeated group can't contain another quantifier or | (e.g. (a+)+)";
+      }
+      current.hasQuantifier = true;
+      lastGroup = null;
+    } else {
+      lastGroup = null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validates (and fills defaults of) an auto-reply rule
+ * @param {object} rule - Request body
+ * @returns {{ error: string } | { rule: object }}
+ */
+export function validateAutoReplyRule(rule) {
+  const {
+    name,
+    match = "exact",
+    keywords = [],
+    pattern = null,
+    flags = "i",
+    audience = "all",
+    priority = 100,
+    enabled = true,
+    reply,
+  } = rule || {};
+
+  if (!name || typeof name !== "string") {
+    return { error: "name is required" };
+  }
+  if (!AUTO_REPLY_MATCH_TYPES.includes(match)) {
+    return { error: `match must be one of: ${AUTO_REPLY_MATCH_TYPES.join(", ")}` };
+  }
+  if (!AUTO_REPLY_AUDIENCES.includes(audience)) {
+    return { error: `audience must be one of: ${AUTO_REPLY_AUDIENCES.join(", ")}` };
+  }
+  if (!reply || typeof reply !== "string" || reply.length > MAX_REPLY_LENGTH) {
+    return { error: `reply is required (max ${MAX_REPLY_LENGTH} characters)` };
+  }
+  if (!Number.isFinite(Number(priority))) {
+    return { error: "priority must be a number" };
+  }
+
+  if (match === "regex") {
+    if (!pattern || typeof pattern !== "string" || pattern.length > MAX_PATTERN_LENGTH) {
+      return { error: `pattern is required for regex rules (max ${MAX_PATTERN_LENGTH} characters)` };
+    }
+    try {
+      new RegExp(pattern, flags);
+    } catch (err) {
+      return { error: `Invalid pattern: ${err.message}` };
+    }
+    const unsafe = findUnsafeRegexConstruct(pattern);
+    if (unsafe) {
+      return { error: `Unsafe pattern: ${unsafe}` };
+    }
+  } else if (
+    !Array.isArray(keywords) ||
+    keywords.length === 0 ||
+    keywords.some((keyword) => !normalizeCommand(keyword))
+  ) {
+    return { error: `keywords must be a non-empty array for ${match} rules` };
+  }
+
+  return {
+    rule: {
+      name: name.trim(),
+      match,
+      keywords: match === "regex" ? [] : keywords.map(String),
+      pattern: match === "regex" ? pattern : null,
+      flags: match === "regex" ? flags : null,
+      audience,
+      priority: Number(priority),
+      enabled: Boolean(enabled),
+      reply,
+    },
+  };
+}
+
+/**
+ * True if the message triggers the rule
+ * @param {object} rule - Validated rule
+ * @param {string} text - Inbound message text
+ */
+function matchesRule(rule, text) {
+  if (rule.match === "regex") {
+    // Rules saved before the safety check are skipped rather than risked
+    if (findUnsafeRegexConstruct(rule.pattern || "")) return false;
+    try {
+      return new RegExp(rule.pattern, rule.flags || "").test(text);
+    } catch {
+      return false;
+    }
+  }
+
+  const command = normalizeCommand(text);
+  return rule.keywords.some((keyword) => {
+    const normalized = normalizeCommand(keyword);
+    if (rule.match === "exact") return command === normalized;
+    return new RegExp(`(^| )${escapeRegExp(normalized)}( |$)`).test(command);
+  });
+}
+
+/**
+ * Picks the rule that answers a message (lowest priority number wins)
+ * @param {object[]} rules - Rules with ids
+ * @param {string} text - Inbound message text
+ * @param {object} options
+ * @param {boolean} options.registered - Sender has a team registration
+ * @returns {object|null}
+ */
+export function findMatchingRule(rules, text, { registered }) {
+  const candidates = rules
+    .filter((rule) => rule.enabled !== false)
+    .filter(
+      (rule) =>
+        rule.audience === "all" ||
+        (rule.audience === "registered") === Boolean(registered)
+    )
+    .sort((a, b) => a.priority - b.priority);
+
+  return candidates.find((rule) => matchesRule(rule, text)) || null;
+}
+
+/**
+ * Values available to reply placeholders
+ * @param {object|null} registration - teamRegistrations data of the sender
+ * @param {object} phone - Sender, from normalizePhone
+ * @returns {object}
+ */
+export function buildAutoReplyContext(registration, phone) {
+  const verificationStatus = registration?.verificationStatus || null;
+  return {
+    ...(registration || {}),
+    registration: registration || {},
+    phoneNumber: phone.e164,
+    verificationStatus,
+    verificationStatusLabel:
+      VERIFICATION_STATUS_LABELS[verificationStatus] || verificationStatus || NO_STATUS_LABEL,
+  };
+}
+
+/**
+ * Fills the placeholders of a rule's reply
+ * @param {object} rule
+ * @param {object} context - From buildAutoReplyContext
+ * @returns {string}
+ */
+export function renderAutoReply(rule, context) {
+  // Missing values without a default render as "" - a reply is better than none
+  return personalizeParams(rule.reply, context).params.trim();
+}
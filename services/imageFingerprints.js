@@ -0,0 +1,160 @@
+import jpeg from "jpeg-js";
+import pngjs from "pngjs";
+
+// ================================================================
+// ✅ IMAGE FINGERPRINTS (reused verification screenshots)
+//     - sha256 of the downloaded bytes → exact copies (forwarded image)
+//     - 64-bit difference hash (dHash) computed here from the decoded JPEG / PNG
+//       pixels, whatever the media storage → re-saved, re-compressed or
+//       resized copies
+//     - Fingerprints store phashAlgorithm; hashes from another algorithm (the
+//       Cloudinary pHash of older uploads) are never compared by distance
+//     - Perceptual matches are found through "bands": the hash is cut into
+//       8 × 8-bit pieces stored as an array, so Firestore `array-contains-any`
+//       returns every image sharing a piece. Two hashes at distance ≤ 7 always
+//       share one, which covers PHASH_MAX_DISTANCE.
+// ================================================================
+const PHASH_BITS = 64;
+const PHASH_BAND_HEX = 2; // 8 bits per band → 8 bands
+const MAX_GUARANTEED_DISTANCE = PHASH_BITS / (PHASH_BAND_HEX * 4) - 1;
+
+// Stored with each fingerprint (fingerprints without one hold a Cloudinary pHash)
+export const PHASH_ALGORITHM = "dhash-9x8";
+const LEGACY_PHASH_ALGORITHM = "cloudinary";
+
+// dHash grid: 9 × 8 cells → 8 left/right comparisons per row
+const DHASH_WIDTH = 9;
+const DHASH_HEIGHT = 8;
+
+// Screenshots are a few MP; anything far above that is not worth decoding
+const MAX_DECODE_MEGAPIXELS = 40;
+
+// Hamming distance at or below which two screenshots count as the same picture
+export const PHASH_MAX_DISTANCE = Math.min(
+  Number(process.env.DUPLICATE_PHASH_MAX_DISTANCE) || 6,
+  MAX_GUARANTEED_DISTANCE
+);
+
+/**
+ * Decodes a JPEG or PNG into RGBA pixels
+ * @param {Buffer} buffer
+ * @returns {{ width: number, height: number, data: Uint8Array } | null} - null for other formats
+ */
+function decodeImage(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return jpeg.decode(buffer, {
+      useTArray: true,
+      formatAsRGBA: true,
+      maxResolutionInMP: MAX_DECODE_MEGAPIXELS,
+    });
+  }
+  if (buffer.subarray(0, 4).toString("latin1") === "\x89PNG") {
+    return pngjs.PNG.sync.read(buffer);
+  }
+  return null;
+}
+
+/**
+ * 64-bit difference hash of an image: the picture is shrunk to 9 × 8 gray cells
+ * (box average) and each bit says whether a cell is darker than its right neighbour
+ * @param {Buffer} buffer - JPEG or PNG bytes
+ * @returns {string|null} - 16 hex characters, null when the format isn't supported
+ */
+export function computePhash(buffer) {
+  const image = decodeImage(buffer);
+  if (!image || image.width < 1 || image.height < 1) return null;
+
+  const { width, height, data } = image;
+  const sums = new Float64Array(DHASH_WIDTH * DHASH_HEIGHT);
+  const counts = new Uint32Array(DHASH_WIDTH * DHASH_HEIGHT);
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor((y * DHASH_HEIGHT) / height) * DHASH_WIDTH;
+    for (let x = 0; x < width; x++) {
+      const cell = row + Math.floor((x * DHASH_WIDTH) / width);
+      const i = (y * width + x) * 4;
+      sums[cell] += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+      counts[cell]++;
+    }
+  }
+  const gray = (cellX, cellY) => {
+    const cell = cellY * DHASH_WIDTH + cellX;
+    return counts[cell] ? sums[cell] / counts[cell] : 0;
+  };
+
+  let hex = "";
+  for (let y = 0; y < DHASH_HEIGHT; y++) {
+    let byte = 0;
+    for (let x = 0; x < DHASH_WIDTH - 1; x++) {
+      byte = (byte << 1) | (gray(x, y) < gray(x + 1, y) ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, "0");
+  }
+  return hex;
+}
+
+/**
+ * Checks / lower-cases a hex perceptual hash
+ * @param {string} phash
+ * @returns {string|null} - null when it isn't a 64-bit hex string
+ */
+export function normalizePhash(phash) {
+  const hex = String(phash || "").toLowerCase();
+  return /^[0-9a-f]{16}$/.test(hex) ? hex : null;
+}
+
+/**
+ * Lookup keys of a perceptual hash ("<band index>:<hex>")
+ * @param {string} phash - From normalizePhash
+ * @returns {string[]}
+ */
+export function phashBands(phash) {
+  const bands = [];
+  for (let i = 0; i < phash.length; i += PHASH_BAND_HEX) {
+    bands.push(`${i / PHASH_BAND_HEX}:${phash.slice(i, i + PHASH_BAND_HEX)}`);
+  }
+  return bands;
+}
+
+/**
+ * Number of differing bits between two perceptual hashes
+ * @param {string} a - From normalizePhash
+ * @param {string} b - From normalizePhash
+ * @returns {number}
+ */
+export function phashDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Similarity between two fingerprints, or null when they don't match
+ * @param {object} a - { sha256, phash, phashAlgorithm }
+ * @param {object} b - { sha256, phash, phashAlgorithm }
+ * @returns {{ matchType: "exact"|"perceptual", distance: number, score: number } | null}
+ */
+export function compareFingerprints(a, b) {
+  if (a.sha256 && a.sha256 === b.sha256) {
+    return { matchType: "exact", distance: 0, score: 1 };
+  }
+  if (!a.phash || !b.phash) return null;
+  if (
+    (a.phashAlgorithm || LEGACY_PHASH_ALGORITHM) !== (b.phashAlgorithm || LEGACY_PHASH_ALGORITHM)
+  ) {
+    return null;
+  }
+
+  const distance = phashDistance(a.phash, b.phash);
+  if (distance > PHASH_MAX_DISTANCE) return null;
+  return {
+    matchType: "perceptual",
+    distance,
+    score: Math.round((1 - distance / PHASH_BITS) * 1000) / 1000,
+  };
+}
@@ -0,0 +1,290 @@
+import { personalizeParams } from "../utils/personalize.js";
+import { VERIFICATION_STATUSES } from "./verification.js";
+
+// ================================================================
+// ✅ INTERACTIVE MESSAGES (reply buttons & lists)
+//     - buildInteractive: validates an admin request against WhatsApp's
+//       limits and builds the Graph API `interactive` object
+//     - parseInteractiveReply: button_reply / list_reply / quick-reply
+//       template button from the webhook → one shape
+//     - Actions (interactiveActions collection) say what a reply id does:
+//       { trigger: { id } | { idPrefix }, updateRegistration: {...},
+//         setVerificationStatus: "pending", reply: "..." }
+//     - updateRegistration may only write INTERACTIVE_REGISTRATION_FIELDS;
+//       status changes go through setVerificationStatus, i.e. the verification
+//       state machine (index.js transitionVerification)
+// ================================================================
+const LIMITS = {
+  bodyText: 1024,
+  headerText: 60,
+  footerText: 60,
+  buttons: 3,
+  buttonTitle: 20,
+  buttonId: 256,
+  listButton: 20,
+  sections: 10,
+  rows: 10,
+  rowId: 200,
+  rowTitle: 24,
+  rowDescription: 72,
+  sectionTitle: 24,
+};
+
+// Registration fields an action may write (nested paths like "responses.shirtSize" included)
+export const INTERACTIVE_REGISTRATION_FIELDS = [
+  "participationStatus",
+  "confirmedAt",
+  "slotNumber",
+  "attendance",
+  "checkedInAt",
+  "responses",
+];
+
+/**
+ * Splits registration updates into the writable ones and the rest
+ * @param {object} updates - field path → value
+ * @returns {{ updates: object, rejected: string[] }}
+ */
+export function pickWritableRegistrationFields(updates) {
+  const writable = {};
+  const rejected = [];
+  for (const [field, value] of Object.entries(updates || {})) {
+    if (INTERACTIVE_REGISTRATION_FIELDS.includes(field.split(".")[0])) writable[field] = value;
+    else rejected.push(field);
+  }
+  return { updates: writable, rejected };
+}
+
+function tooLong(value, max) {
+  return typeof value !== "string" || value.trim() === "" || value.length > max;
+}
+
+/**
+ * Validates an interactive message request and builds the Graph API object
+ * @param {object} request - { kind: "button"|"list", body, header?, footer?, buttons?, buttonText?, sections? }
+ * @returns {{ error: string } | { interactive: object }}
+ */
+export function buildInteractive({ kind, body, header, footer, buttons, buttonText, sections } = {}) {
+  if (kind !== "button" && kind !== "list") {
+    return { error: 'kind must be "button" or "list"' };
+  }
+  if (tooLong(body, LIMITS.bodyText)) {
+    return { error: `body is required (max ${LIMITS.bodyText} characters)` };
+  }
+  if (header !== undefined && tooLong(header, LIMITS.headerText)) {
+    return { error: `header must be at most ${LIMITS.headerText} characters` };
+  }
+  if (footer !== undefined && tooLong(footer, LIMITS.footerText)) {
+    return { error: `footer must be at most ${LIMITS.footerText} characters` };
+  }
+
+  const interactive = {
+    type: kind,
+    ...(header ? { header: { type: "text", text: header } } : {}),
+    body: { text: body },
+    ...(footer ? { footer: { text: footer } } : {}),
+  };
+
+  if (kind === "button") {
+    if (!Array.isArray(buttons) || buttons.length === 0 || buttons.length > LIMITS.buttons) {
+      return { error: `buttons must have 1 to ${LIMITS.buttons} entries` };
+    }
+    for (const button of buttons) {
+      if (tooLong(button?.id, LIMITS.buttonId) || tooLong(button?.title, LIMITS.buttonTitle)) {
+        return {
+          error: `Each button needs an id (max ${LIMITS.buttonId}) and a title (max ${LIMITS.buttonTitle} characters)`,
+        };
+      }
+    }
+    if (new Set(buttons.map((button) => button.id)).size !== buttons.length) {
+      return { error: "Button ids must be unique" };
+    }
+
+    interactive.action = {
+      buttons: buttons.map(({ id, title }) => ({ type: "reply", reply: { id, title } })),
+    };
+    return { interactive };
+  }
+
+  if (tooLong(buttonText, LIMITS.listButton)) {
+    return { error: `buttonText is required for lists (max ${LIMITS.listButton} characters)` };
+  }
+  if (!Array.isArray(sections) || sections.length === 0 || sections.length > LIMITS.sections) {
+    return { error: `sections must have 1 to ${LIMITS.sections} entries` };
+  }
+
+  const rows = sections.flatMap((section) => section?.rows || []);
+  if (rows.length === 0 || rows.length > LIMITS.rows) {
+    return { error: `Lists must have 1 to ${LIMITS.rows} rows in total` };
+  }
+  for (const section of sections) {
+    if (!Array.isArray(section?.rows) || section.rows.length === 0) {
+      return { error: "Every section needs at least one row" };
+    }
+    if (
+      (sections.length > 1 || section.title !== undefined) &&
+      tooLong(section.title, LIMITS.sectionTitle)
+    ) {
+      return { error: `Section titles are required with several sections (max ${LIMITS.sectionTitle} characters)` };
+    }
+  }
+  for (const row of rows) {
+    if (tooLong(row?.id, LIMITS.rowId) || tooLong(row?.title, LIMITS.rowTitle)) {
+      return {
+        error: `Each row needs an id (max ${LIMITS.rowId}) and a title (max ${LIMITS.rowTitle} characters)`,
+      };
+    }
+    if (row.description !== undefined && tooLong(row.description, LIMITS.rowDescription)) {
+      return { error: `Row descriptions must be at most ${LIMITS.rowDescription} characters` };
+    }
+  }
+  if (new Set(rows.map((row) => row.id)).size !== rows.length) {
+    return { error: "Row ids must be unique" };
+  }
+
+  interactive.action = {
+    button: buttonText,
+    sections: sections.map((section) => ({
+      ...(section.title ? { title: section.title } : {}),
+      rows: section.rows.map(({ id, title, description }) => ({
+        id,
+        title,
+        ...(description ? { description } : {}),
+      })),
+    })),
+  };
+  return { interactive };
+}
+
+/**
+ * Reads the player's choice from an inbound interactive / button message
+ * @param {object} msg - Entry of value.messages from the webhook
+ * @returns {{ kind: string, id: string, title: string, description?: string } | null}
+ */
+export function parseInteractiveReply(msg) {
+  if (msg.type === "interactive") {
+    const { type, button_reply: buttonReply, list_reply: listReply } = msg.interactive || {};
+    if (type === "button_reply" && buttonReply) {
+      return { kind: "button_reply", id: buttonReply.id, title: buttonReply.title };
+    }
+    if (type === "list_reply" && listReply) {
+      return {
+        kind: "list_reply",
+        id: listReply.id,
+        title: listReply.title,
+        ...(listReply.description ? { description: listReply.description } : {}),
+      };
+    }
+    return null;
+  }
+
+  // Quick-reply button of a template message
+  if (msg.type === "button" && msg.button) {
+    return {
+      kind: "template_button",
+      id: msg.button.payload || msg.button.text,
+      title: msg.button.text || msg.button.payload,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Validates (and fills defaults of) an interactive action
+ * @param {object} action - Request body
+ * @returns {{ error: string } | { action: object }}
+ */
+export function validateInteractiveAction(action) {
+  const {
+    name,
+    trigger,
+    updateRegistration = null,
+    setVerificationStatus = null,
+    reply = null,
+    enabled = true,
+  } = action || {};
+
+  if (!name || typeof name !== "string") {
+    return { error: "name is required" };
+  }
+  const hasId = typeof trigger?.id === "string" && trigger.id !== "";
+  const hasPrefix = typeof trigger?.idPrefix === "string" && trigger.idPrefix !== "";
+  if (hasId === hasPrefix) {
+    return { error: "trigger must have exactly one of id or idPrefix" };
+  }
+  if (updateRegistration !== null) {
+    if (typeof updateRegistration !== "object" || Array.isArray(updateRegistration)) {
+      return { error: "updateRegistration must be an object of field → value" };
+    }
+    const { rejected } = pickWritableRegistrationFields(updateRegistration);
+    if (rejected.length > 0) {
+      return {
+        error: `updateRegistration can't change: ${rejected.join(", ")} (allowed: ${INTERACTIVE_REGISTRATION_FIELDS.join(", ")})`,
+      };
+    }
+  }
+  if (setVerificationStatus !== null && !VERIFICATION_STATUSES.includes(setVerificationStatus)) {
+    return { error: `setVerificationStatus must be one of: ${VERIFICATION_STATUSES.join(", ")}` };
+  }
+  if (reply !== null && (typeof reply !== "string" || reply.trim() === "")) {
+    return { error: "reply must be a non-empty string" };
+  }
+  if (!updateRegistration && !setVerificationStatus && !reply) {
+    return { error: "An action needs updateRegistration, setVerificationStatus and/or reply" };
+  }
+
+  return {
+    action: {
+      name: name.trim(),
+      trigger: hasId ? { id: trigger.id } : { idPrefix: trigger.idPrefix },
+      updateRegistration,
+      setVerificationStatus,
+      reply,
+      enabled: Boolean(enabled),
+    },
+  };
+}
+
+/**
+ * Picks the action for a reply id (exact id beats the longest matching prefix)
+ * @param {object[]} actions
+ * @param {string} replyId
+ * @returns {object|null}
+ */
+export function findInteractiveAction(actions, replyId) {
+  const enabled = actions.filter((action) => action.enabled !== false);
+  const exact = enabled.find((action) => action.trigger.id === replyId);
+  if (exact) return exact;
+
+  return (
+    enabled
+      .filter((action) => action.trigger.idPrefix && replyId.startsWith(action.trigger.idPrefix))
+      .sort((a, b) => b.trigger.idPrefix.length - a.trigger.idPrefix.length)[0] || null
+  );
+}
+
+/**
+ * Fills the placeholders of an action ({reply.id}, {reply.title}, {reply.suffix}, {now}, {teamName}, ...)
+ * @param {object} action
+ * @param {object} reply - From parseInteractiveReply
+ * @param {object} context - Registration fields etc.
+ * @returns {{ updates: object|null, replyText: string|null }}
+ */
+export function renderInteractiveAction(action, reply, context) {
+  const fullContext = {
+    ...context,
+    now: new Date().toISOString(),
+    reply: {
+      ...reply,
+      suffix: action.trigger.idPrefix ? reply.id.slice(action.trigger.idPrefix.length) : reply.id,
+    },
+  };
+
+  return {
+    updates: action.updateRegistration
+      ? personalizeParams(action.updateRegistration, fullContext).params
+      : null,
+    replyText: action.reply ? personalizeParams(action.reply, fullContext).params.trim() : null,
+  };
+}
@@ -0,0 +1,272 @@
+import { v2 as cloudinary } from "cloudinary";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// ================================================================
+// ✅ MEDIA STORAGE (Cloudinary or local disk)
+//     - MEDIA_STORAGE=cloudinary|local picks where new files go (default: cloudinary)
+//     - Every stored file gets a backend-agnostic id "<backend>:<key>"
+//       (storageId). Records keep the storageId, plus the URL only when it never
+//       expires (storedMediaUrl); resolveMediaUrl makes a usable link when a
+//       record is served, so files keep resolving after switching MEDIA_STORAGE
+//     - Local files live in MEDIA_LOCAL_DIR (default uploads/media) and are
+//       served by GET /api/media/<key> with signed, expiring URLs
+//       (MEDIA_SIGNING_SECRET, MEDIA_URL_TTL_SECONDS, MEDIA_PUBLIC_BASE_URL)
+//     - WhatsApp downloads admin attachments from their URL and links must
+//       survive restarts / other instances, so the local backend refuses to
+//       start without MEDIA_SIGNING_SECRET and an absolute http(s) base URL
+//       (MEDIA_PUBLIC_BASE_URL, or RENDER_EXTERNAL_URL on Render)
+// ================================================================
+const MODULE_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+export const LOCAL_MEDIA_ROOT = path.resolve(
+  process.env.MEDIA_LOCAL_DIR || path.join(MODULE_DIR, "..", "uploads", "media")
+);
+const MEDIA_URL_TTL_SECONDS = Number(process.env.MEDIA_URL_TTL_SECONDS) || 24 * 60 * 60;
+const MEDIA_PUBLIC_BASE_URL = (
+  process.env.MEDIA_PUBLIC_BASE_URL ||
+  process.env.RENDER_EXTERNAL_URL ||
+  ""
+).replace(/\/+$/, "");
+
+const MEDIA_SIGNING_SECRET = process.env.MEDIA_SIGNING_SECRET || null;
+
+// Cloudinary resource_type per kind of file (audio is stored as "video")
+const CLOUDINARY_RESOURCE_TYPES = {
+  image: "image",
+  sticker: "image",
+  video: "video",
+  audio: "video",
+  document: "raw",
+};
+
+const MIME_EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "video/mp4": ".mp4",
+  "video/3gpp": ".3gp",
+  "audio/ogg": ".ogg",
+  "audio/mpeg": ".mp3",
+  "audio/aac": ".aac",
+  "audio/amr": ".amr",
+  "audio/mp4": ".m4a",
+  "application/pdf": ".pdf",
+};
+
+/**
+ * Signature of a local media URL
+ * @param {string} key - Path below LOCAL_MEDIA_ROOT
+ * @param {number} expires - Unix time (seconds)
+ */
+function signMediaKey(key, expires) {
+  return crypto
+    .createHmac("sha256", MEDIA_SIGNING_SECRET)
+    .update(`${key}\n${expires}`)
+    .digest("base64url");
+}
+
+/**
+ * Checks the signature / expiry of a GET /api/media request
+ * @param {string} key
+ * @param {string} expires - ?expires
+ * @param {string} signature - ?signature
+ * @returns {{ error: string } | { filePath: string }}
+ */
+export function verifyMediaRequest(key, expires, signature) {
+  if (!MEDIA_SIGNING_SECRET) {
+    return { error: "Local media storage is not configured" };
+  }
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || !signature) {
+    return { error: "Missing or invalid signature" };
+  }
+
+  const expected = Buffer.from(signMediaKey(key, expiresAt));
+  const given = Buffer.from(String(signature));
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { error: "Missing or invalid signature" };
+  }
+  if (expiresAt * 1000 < Date.now()) {
+    return { error: "This media link has expired" };
+  }
+
+  const filePath = path.resolve(LOCAL_MEDIA_ROOT, key);
+  if (!filePath.startsWith(LOCAL_MEDIA_ROOT + path.sep)) {
+    return { error: "Invalid media path" };
+  }
+  return { filePath };
+}
+
+/**
+ * Picks a file extension for a stored file
+ * @param {string} [mimeType]
+ * @param {string} [filename]
+ */
+function extensionFor(mimeType, filename) {
+  const fromName = path.extname(filename || "").toLowerCase();
+  if (/^\.[a-z0-9]{1,8}$/.test(fromName)) return fromName;
+  return MIME_EXTENSIONS[String(mimeType || "").split(";")[0].trim()] || ".bin";
+}
+
+const cloudinaryStorage = {
+  name: "cloudinary",
+  expiringUrls: false,
+
+  /**
+   * @param {Buffer|string} source - File contents, or a path on disk
+   * @param {object} options - { folder, kind, filename?, mimeType? }
+   */
+  async save(source, { folder, kind, filename }) {
+    const resourceType = CLOUDINARY_RESOURCE_TYPES[kind] || "auto";
+    const options = {
+      folder,
+      resource_type: resourceType,
+      // Raw files have no format of their own on Cloudinary - keep the player's file name
+      ...(filename ? { use_filename: true, filename_override: filename } : {}),
+    };
+
+    const uploaded =
+      typeof source === "string"
+        ? await cloudinary.uploader.upload(source, options)
+        : await new Promise((resolve, reject) => {
+            const uploadStream = cloudinary.uploader.upload_stream(options, (error, result) => {
+              if (error) reject(error);
+              else resolve(result);
+            });
+            uploadStream.end(source);
+          });
+
+    return {
+      storageId: `cloudinary:${uploaded.resource_type}/${uploaded.public_id}`,
+      url: uploaded.secure_url,
+      publicId: uploaded.public_id,
+      bytes: uploaded.bytes || null,
+    };
+  },
+
+  // Cloudinary delivery URLs don't expire
+  getUrl(key) {
+    const [resourceType, ...publicId] = key.split("/");
+    return cloudinary.url(publicId.join("/"), { resource_type: resourceType, secure: true });
+  },
+};
+
+const localDiskStorage = {
+  name: "local",
+  expiringUrls: true,
+
+  async save(source, { folder, filename, mimeType }) {
+    const key = path.posix.join(folder, `${crypto.randomUUID()}${extensionFor(mimeType, filename)}`);
+    const filePath = path.join(LOCAL_MEDIA_ROOT, key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    if (typeof source === "string") await fs.promises.copyFile(source, filePath);
+    else await fs.promises.writeFile(filePath, source);
+
+    const { size } = await fs.promises.stat(filePath);
+    return { storageId: `local:${key}`, url: this.getUrl(key), bytes: size };
+  },
+
+  // Signed, valid for MEDIA_URL_TTL_SECONDS
+  getUrl(key) {
+    const expires = Math.floor(Date.now() / 1000) + MEDIA_URL_TTL_SECONDS;
+    const encodedKey = key.split("/").map(encodeURIComponent).join("/");
+    return `${MEDIA_PUBLIC_BASE_URL}/api/media/${encodedKey}?expires=${expires}&signature=${signMediaKey(
+      key,
+      expires
+    )}`;
+  },
+};
+
+const MEDIA_BACKENDS = { cloudinary: cloudinaryStorage, local: localDiskStorage };
+
+/**
+ * Backend new files are written to
+ * @returns {object} - { name, save(source, options), getUrl(key) }
+ */
+export function getMediaStorage() {
+  const configured = process.env.MEDIA_STORAGE || "cloudinary";
+  const backend = MEDIA_BACKENDS[configured];
+  if (!backend) {
+    throw new Error(`Unknown MEDIA_STORAGE "${configured}" (use cloudinary or local)`);
+  }
+  return backend;
+}
+
+/**
+ * Splits a storageId into its backend and key
+ * @param {string} storageId - "<backend>:<key>"
+ * @returns {{ backend: object, key: string } | null}
+ */
+function parseStorageId(storageId) {
+  const separator = String(storageId || "").indexOf(":");
+  const backend = MEDIA_BACKENDS[String(storageId).slice(0, separator)];
+  return separator > 0 && backend ? { backend, key: storageId.slice(separator + 1) } : null;
+}
+
+/**
+ * URL worth saving with a record: signed links expire, so only permanent ones are kept
+ * @param {string|null} storageId
+ * @param {string|null} url - Link returned by save()
+ * @returns {string|null}
+ */
+export function storedMediaUrl(storageId, url) {
+  return parseStorageId(storageId)?.backend.expiringUrls ? null : url || null;
+}
+
+/**
+ * Current URL of a stored file
+ * @param {string|null} storageId - null for records from before storage ids
+ * @param {string|null} [storedUrl] - URL saved with the record
+ * @returns {string|null}
+ */
+export function resolveMediaUrl(storageId, storedUrl = null) {
+  const parsed = parseStorageId(storageId);
+  if (!parsed) return storedUrl;
+  // Signed links are made per request (older records may hold an expired one)
+  if (parsed.backend.expiringUrls) return parsed.backend.getUrl(parsed.key);
+  return storedUrl || parsed.backend.getUrl(parsed.key);
+}
+
+/**
+ * True for an absolute http(s) URL WhatsApp can download from
+ * @param {string} url
+ */
+function isAbsoluteHttpUrl(url) {
+  try {
+    return ["http:", "https:"].includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Configures the SDKs and logs which backend new files go to (call once at startup)
+ * @returns {object} - The backend
+ * @throws {Error} - When the local backend is picked without its settings
+ */
+export function configureMediaStorage() {
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+  });
+
+  const backend = getMediaStorage();
+  if (backend === localDiskStorage) {
+    if (!MEDIA_SIGNING_SECRET) {
+      throw new Error("MEDIA_STORAGE=local needs MEDIA_SIGNING_SECRET (links must survive restarts)");
+    }
+    if (!isAbsoluteHttpUrl(MEDIA_PUBLIC_BASE_URL)) {
+      throw new Error(
+        "MEDIA_STORAGE=local needs an absolute http(s) MEDIA_PUBLIC_BASE_URL - WhatsApp downloads attachments from it"
+      );
+    }
+    fs.mkdirSync(LOCAL_MEDIA_ROOT, { recursive: true });
+  }
+  console.log(`🗂 Media storage: ${backend.name}`);
+  return backend;
+}
@@ -0,0 +1,120 @@
+import crypto from "crypto";
+
+// ================================================================
+// ✅ REAL-TIME EVENTS (Server-Sent Events for the admin dashboard)
+//     - publishEvent() is called wherever we write something the dashboard
+//       shows: inbound / outbound messages, delivery statuses, read state,
+//       bulk job progress, verification status changes
+//     - Event ids are "<stream id>-<sequence>"; the stream id changes on every
+//       restart, so a Last-Event-ID from an older process asks for a resync
+//     - The last EVENT_REPLAY_BUFFER events (default 1000) are kept in memory
+//       for replay on reconnect
+// ================================================================
+export const EVENT_TYPES = [
+  "message.inbound",
+  "message.outbound",
+  "message.status",
+  "conversation.read",
+  "bulk.progress",
+  "bulk.finished",
+  "verification.changed",
+];
+
+const STREAM_ID = crypto.randomBytes(4).toString("hex");
+const REPLAY_BUFFER_SIZE = Number(process.env.EVENT_REPLAY_BUFFER) || 1000;
+
+let sequence = 0;
+const recentEvents = [];
+const subscribers = new Set();
+
+/**
+ * True if a subscriber with this filter wants the event
+ * @param {object} event
+ * @param {object} filter - { conversation?: phone.key, types?: string[] }
+ */
+function matchesFilter(event, { conversation = null, types = null } = {}) {
+  if (conversation && event.conversation !== conversation) return false;
+  if (types && !types.includes(event.type)) return false;
+  return true;
+}
+
+/**
+ * Records an event and pushes it to every matching subscriber
+ * @param {string} type - One of EVENT_TYPES
+ * @param {object} data - JSON payload
+ * @param {object} [options]
+ * @param {string|null} [options.conversation] - phone.key of the conversation it belongs to
+ * @returns {object} - The event
+ */
+export function publishEvent(type, data, { conversation = null } = {}) {
+  sequence++;
+  const event = {
+    id: `${STREAM_ID}-${sequence}`,
+    sequence,
+    type,
+    conversation,
+    data,
+    createdAt: new Date().toISOString(),
+  };
+
+  recentEvents.push(event);
+  if (recentEvents.length > REPLAY_BUFFER_SIZE) recentEvents.shift();
+
+  for (const subscriber of subscribers) {
+    if (!matchesFilter(event, subscriber.filter)) continue;
+    try {
+      subscriber.send(event);
+    } catch (err) {
+      // A broken connection must not stop the others (it is removed on close)
+      console.error("⚠️ Could not push event:", err.message);
+    }
+  }
+
+  return event;
+}
+
+/**
+ * Registers a live listener
+ * @param {object} filter - { conversation?, types? }
+ * @param {function} send - Called with each matching event
+ * @returns {function} - Unsubscribe
+ */
+export function subscribe(filter, send) {
+  const subscriber = { filter, send };
+  subscribers.add(subscriber);
+  return () => subscribers.delete(subscriber);
+}
+
+export function subscriberCount() {
+  return subscribers.size;
+}
+
+/**
+ * Events published after lastEventId (for reconnects)
+ * @param {string} lastEventId - Last-Event-ID header
+ * @param {object} filter - { conversation?, types? }
+ * @returns {{ events: object[], complete: boolean }} - complete is false when events may be missing
+ */
+export function eventsSince(lastEventId, filter) {
+  const [streamId, lastSequence] = String(lastEventId).split("-");
+  const seen = Number(lastSequence);
+  if (streamId !== STREAM_ID || !Number.isInteger(seen) || seen > sequence) {
+    return { events: [], complete: false };
+  }
+
+  // Anything between `seen` and the oldest buffered event was dropped
+  const oldest = recentEvents[0]?.sequence ?? sequence + 1;
+  return {
+    events: recentEvents.filter((event) => event.sequence > seen && matchesFilter(event, filter)),
+    complete: seen >= oldest - 1,
+  };
+}
+
+/**
+ * Serializes an event in the text/event-stream format
+ * @param {object} event
+ * @returns {string}
+ */
+export function formatServerSentEvent({ id, type, conversation, data, createdAt }) {
+  return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify({ conversation, createdAt, ...data })}\n\n`;
+}
@@ -0,0 +1,120 @@
+import admin from "firebase-admin";
+
+// ================================================================
+// ✅ OPT-OUT / SUPPRESSION LIST
+//     - suppressedNumbers/{E.164} exists → we never send that number
+//       templates, bulk campaigns or verification messages
+//     - Players opt out with STOP / UNSUBSCRIBE and back in with START
+//     - Admins can add / remove entries (source: "admin")
+// ================================================================
+const OPT_OUT_KEYWORDS = [
+  "stop",
+  "stop all",
+  "stopall",
+  "unsubscribe",
+  "opt out",
+  "optout",
+  "stop promotions", // quick-reply button Meta adds to marketing templates
+];
+const OPT_IN_KEYWORDS = ["start", "unstop", "subscribe", "opt in", "optin"];
+
+// firebase-admin is initialized in index.js before any request is handled
+const suppressions = () => admin.firestore().collection("suppressedNumbers");
+
+/**
+ * Detects an opt-out / opt-in command (the whole message must be the keyword)
+ * @param {string} text - Inbound message text
+ * @returns {"stop"|"start"|null}
+ */
+export function getOptCommand(text) {
+  const command = String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  if (OPT_OUT_KEYWORDS.includes(command)) return "stop";
+  if (OPT_IN_KEYWORDS.includes(command)) return "start";
+  return null;
+}
+
+/**
+ * Suppression entry of a number, or null
+ * @param {object} phone - From normalizePhone
+ * @returns {Promise<object|null>}
+ */
+export async function getSuppression(phone) {
+  const doc = await suppressions().doc(phone.key).get();
+  return doc.exists ? doc.data() : null;
+}
+
+/**
+ * Suppression entries of many numbers at once (bulk sends)
+ * @param {object[]} phones - From normalizePhone
+ * @returns {Promise<Map<string, object>>} - keyed by phone.key
+ */
+export async function getSuppressions(phones) {
+  const entries = new Map();
+  const keys = [...new Set(phones.map((phone) => phone.key))];
+
+  for (let start = 0; start < keys.length; start += 100) {
+    const docs = await admin
+      .firestore()
+      .getAll(...keys.slice(start, start + 100).map((key) => suppressions().doc(key)));
+    docs.forEach((doc) => {
+      if (doc.exists) entries.set(doc.id, doc.data());
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Adds a number to the suppression list
+ * @param {object} phone - From normalizePhone
+ * @param {object} details
+ * @param {"inbound"|"admin"} details.source
+ * @param {string} [details.keyword] - Word the player sent
+ * @param {string} [details.reason] - Admin note
+ * @returns {Promise<object>} - Stored entry
+ */
+export async function suppressNumber(phone, { source, keyword = null, reason = null }) {
+  const entry = {
+    phoneNumber: phone.e164,
+    source,
+    keyword,
+    reason,
+    suppressedAt: new Date().toISOString(),
+  };
+  await suppressions().doc(phone.key).set(entry);
+  return entry;
+}
+
+/**
+ * Removes a number from the suppression list
+ * @param {object} phone - From normalizePhone
+ * @returns {Promise<boolean>} - false if it wasn't suppressed
+ */
+export async function unsuppressNumber(phone) {
+  const ref = suppressions().doc(phone.key);
+  const doc = await ref.get();
+  if (!doc.exists) return false;
+  await ref.delete();
+  return true;
+}
+
+/**
+ * Response body for a send that was skipped because the number opted out
+ * @param {object} phone - From normalizePhone
+ * @param {object} entry - Suppression entry
+ * @returns {object}
+ */
+export function suppressedResponse(phone, entry) {
+  return {
+    error: `${phone.e164} has opted out of WhatsApp messages`,
+    code: "RECIPIENT_SUPPRESSED",
+    status: "suppressed",
+    suppressedAt: entry.suppressedAt,
+    source: entry.source,
+  };
+}
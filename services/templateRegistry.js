@@ -0,0 +1,429 @@
+import axios from "axios";
+import dotenv from "dotenv";
+dotenv.config();
+
+// ================================================================
+// ✅ TEMPLATE REGISTRY
+//     - Approved templates are pulled from Meta and cached in memory
+//     - Each template's components are parsed into a schema (header type,
+//       body / header / button variables, language) that every send is
+//       validated against before calling the Graph API
+// ================================================================
+const WHATSAPP_API_URL =
+  process.env.WHATSAPP_API_URL || "https://graph.facebook.com/v24.0";
+const WHATSAPP_TOKEN = process.env.WHATSAPP_TOKEN;
+export const WABA_ID =
+  process.env.WHATSAPP_BUSINESS_ACCOUNT_ID || "1540862954008233";
+
+const TEMPLATE_SYNC_INTERVAL = 30 * 60 * 1000; // 30 minutes
+const MIN_RESYNC_GAP = 60 * 1000; // unknown template → at most one extra sync per minute
+// Tried (in order) when none of the recipient's languages is approved for a template
+const FALLBACK_LANGUAGES = (process.env.TEMPLATE_FALLBACK_LANGUAGES || "en,en_US,en_GB")
+  .split(",")
+  .map((code) => code.trim())
+  .filter(Boolean);
+
+// Used only until the first successful sync (e.g. Meta unreachable at boot)
+// header: "image" | "video" | null
+const FALLBACK_TEMPLATE_META = {
+  not_eligible: { language: "en", bodyParams: 0, header: null },
+  verified: { language: "en", bodyParams: 0, header: null },
+  pending: { language: "en", bodyParams: 0, header: null },
+  game_greeting: { language: "en", bodyParams: 0, header: "image" },
+  bulk_greeting: { language: "en", bodyParams: 0, header: "image" },
+};
+
+// name → { [languageCode]: schema }
+let registry = new Map();
+let approvedTemplates = [];
+let lastSyncedAt = null;
+let lastSyncAttemptAt = 0;
+let syncInFlight = null;
+
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g;
+
+/**
+ * Lists the distinct {{variables}} of a template string in order of first use
+ * @param {string} text
+ * @returns {string[]} - e.g. ["1", "2"] or ["team_name"]
+ */
+function extractVariables(text) {
+  if (!text) return [];
+  const seen = [];
+  for (const match of text.matchAll(VARIABLE_PATTERN)) {
+    if (!seen.includes(match[1])) seen.push(match[1]);
+  }
+  // Positional variables are sent in numeric order regardless of where they appear
+  if (seen.every((v) => /^\d+$/.test(v))) {
+    seen.sort((a, b) => Number(a) - Number(b));
+  }
+  return seen;
+}
+
+/**
+ * Parses a Meta template (as returned by /message_templates) into a send schema
+ * @param {object} template - { name, language, category, status, parameter_format, components }
+ * @returns {object} - { name, language, category, parameterFormat, header, body, buttons }
+ */
+export function parseTemplateSchema(template) {
+  const components = template.components || [];
+  const header = components.find((c) => c.type === "HEADER");
+  const body = components.find((c) => c.type === "BODY");
+  const buttons = components.find((c) => c.type === "BUTTONS")?.buttons || [];
+
+  return {
+    name: template.name,
+    language: template.language,
+    category: template.category,
+    parameterFormat: template.parameter_format || "POSITIONAL",
+    header: header
+      ? {
+          format: header.format || "TEXT",
+          params: header.format === "TEXT" ? extractVariables(header.text) : [],
+        }
+      : null,
+    body: { params: extractVariables(body?.text) },
+    buttons: buttons.map((button, index) => ({
+      index,
+      type: button.type,
+      text: button.text,
+      // URL buttons take the dynamic suffix, copy-code buttons the code itself
+      params:
+        button.type === "URL"
+          ? extractVariables(button.url)
+          : button.type === "COPY_CODE"
+            ? ["coupon_code"]
+            : [],
+    })),
+  };
+}
+
+/**
+ * Converts an entry of FALLBACK_TEMPLATE_META into a schema
+ */
+function fallbackSchema(name) {
+  const meta = FALLBACK_TEMPLATE_META[name];
+  if (!meta) return null;
+  return {
+    name,
+    language: meta.language,
+    category: null,
+    parameterFormat: "POSITIONAL",
+    header: meta.header ? { format: meta.header.toUpperCase(), params: [] } : null,
+    body: {
+      params: Array.from({ length: meta.bodyParams }, (_, i) => String(i + 1)),
+    },
+    buttons: [],
+    fallback: true,
+  };
+}
+
+/**
+ * Pulls every approved template from Meta and rebuilds the registry
+ * @returns {Promise<object[]>} - Approved templates (raw Meta shape)
+ */
+export async function syncTemplates() {
+  // Concurrent callers share the same request
+  if (syncInFlight) return syncInFlight;
+
+  syncInFlight = (async () => {
+    lastSyncAttemptAt = Date.now();
+
+    if (!WHATSAPP_TOKEN) {
+      throw new Error("WhatsApp token not configured");
+    }
+
+    const templates = [];
+    let url = `${WHATSAPP_API_URL}/${WABA_ID}/message_templates`;
+    let params = { limit: 100 };
+
+    // Follow Graph API paging until every template is fetched
+    while (url) {
+      const response = await axios.get(url, {
+        headers: { Authorization: `Bearer ${WHATSAPP_TOKEN}` },
+        params,
+        timeout: 10000,
+      });
+      templates.push(...(response.data.data || []));
+      url = response.data.paging?.next || null;
+      params = undefined; // `next` already carries the query string
+    }
+
+    const approved = templates
+      .filter((template) => template.status === "APPROVED")
+      .map((template) => ({
+        id: template.id,
+        name: template.name,
+        language: template.language,
+        status: template.status,
+        category: template.category,
+        parameter_format: template.parameter_format,
+        components: template.components || [],
+      }));
+
+    const next = new Map();
+    for (const template of approved) {
+      const languages = next.get(template.name) || {};
+      languages[template.language] = parseTemplateSchema(template);
+      next.set(template.name, languages);
+    }
+
+    registry = next;
+    approvedTemplates = approved;
+    lastSyncedAt = new Date().toISOString();
+    console.log(`📋 Template registry synced: ${approved.length} approved templates`);
+    return approved;
+  })();
+
+  try {
+    return await syncInFlight;
+  } finally {
+    syncInFlight = null;
+  }
+}
+
+/**
+ * Returns the cached approved templates, syncing first if the cache is empty or stale
+ * @param {boolean} [forceRefresh]
+ */
+export async function getApprovedTemplates(forceRefresh = false) {
+  const stale =
+    !lastSyncedAt ||
+    Date.now() - new Date(lastSyncedAt).getTime() > TEMPLATE_SYNC_INTERVAL;
+  if (forceRefresh || stale) {
+    await syncTemplates();
+  }
+  return { templates: approvedTemplates, syncedAt: lastSyncedAt };
+}
+
+/**
+ * Languages a template is approved in
+ * @param {string} templateName
+ * @returns {string[]}
+ */
+export function getTemplateLanguages(templateName) {
+  return Object.keys(registry.get(templateName) || {});
+}
+
+/**
+ * Picks the best approved language for a list of preferences.
+ * "hi" matches "hi" first, then any regional variant such as "hi_IN".
+ * @param {string[]} approved - Language codes the template is approved in
+ * @param {string[]} preferences - Most preferred first
+ * @returns {string}
+ */
+export function pickLanguage(approved, preferences = []) {
+  for (const preference of [...preferences, ...FALLBACK_LANGUAGES]) {
+    if (approved.includes(preference)) return preference;
+    const base = preference.split("_")[0];
+    const regional = approved.find((code) => code.split("_")[0] === base);
+    if (regional) return regional;
+  }
+  return approved[0];
+}
+
+/**
+ * Looks up a template schema, syncing once if the name is unknown
+ * @param {string} templateName
+ * @param {string|string[]} [language] - Preferred language code(s), most preferred first
+ * @returns {Promise<object|null>}
+ */
+export async function getTemplateSchema(templateName, language) {
+  if (!registry.has(templateName) && Date.now() - lastSyncAttemptAt > MIN_RESYNC_GAP) {
+    try {
+      await syncTemplates(); // may have been approved since the last sync
+    } catch (error) {
+      console.error("❌ Template sync failed:", error.response?.data || error.message);
+    }
+  }
+
+  const languages = registry.get(templateName);
+  if (!languages) {
+    // Never synced successfully - keep sending the templates we know about
+    return lastSyncedAt ? null : fallbackSchema(templateName);
+  }
+
+  const preferences = (Array.isArray(language) ? language : [language]).filter(Boolean);
+  return languages[pickLanguage(Object.keys(languages), preferences)];
+}
+
+/**
+ * Picks the values for a list of variables from positional (array) or named (object) input
+ * @returns {{ values: Array<[string, string]>, missing: string[], extra: number }}
+ */
+function resolveValues(variables, input, label, errors) {
+  const values = [];
+
+  if (Array.isArray(input)) {
+    if (input.length !== variables.length) {
+      errors.push(`${label} expects ${variables.length} params, but got ${input.length}`);
+      return values;
+    }
+    variables.forEach((name, i) => values.push([name, input[i]]));
+  } else {
+    variables.forEach((name) => values.push([name, input?.[name]]));
+  }
+
+  const missing = values
+    .filter(([, value]) => value === undefined || value === null || String(value).trim() === "")
+    .map(([name]) => `{{${name}}}`);
+  if (missing.length > 0) {
+    errors.push(`${label} is missing ${missing.join(", ")}`);
+  }
+
+  return values;
+}
+
+/**
+ * Builds the `components` of a template message and validates them against the schema
+ * @param {object} schema - From getTemplateSchema
+ * @param {object} params - { imageUrl, videoUrl, documentUrl, documentFilename, location,
+ *                           header, body, buttons, tournament, date }
+ * @returns {{ components: object[], errors: string[] }}
+ */
+export function buildTemplateComponents(schema, params = {}) {
+  const errors = [];
+  const components = [];
+  const named = schema.parameterFormat === "NAMED";
+  const toParameter = ([name, value]) => ({
+    type: "text",
+    ...(named ? { parameter_name: name } : {}),
+    text: String(value),
+  });
+
+  // 🔹 1) HEADER
+  const header = schema.header;
+  if (header && ["IMAGE", "VIDEO", "DOCUMENT"].includes(header.format)) {
+    const mediaType = header.format.toLowerCase();
+    const link = params[`${mediaType}Url`];
+    if (!link) {
+      errors.push(`header requires ${mediaType}Url`);
+    } else {
+      components.push({
+        type: "header",
+        parameters: [
+          {
+            type: mediaType,
+            [mediaType]: {
+              link: String(link),
+              ...(mediaType === "document" && params.documentFilename
+                ? { filename: String(params.documentFilename) }
+                : {}),
+            },
+          },
+        ],
+      });
+    }
+  } else if (header?.format === "LOCATION") {
+    const location = params.location;
+    if (location?.latitude === undefined || location?.longitude === undefined) {
+      errors.push("header requires location { latitude, longitude }");
+    } else {
+      components.push({
+        type: "header",
+        parameters: [{ type: "location", location }],
+      });
+    }
+  } else if (header?.params.length > 0) {
+    const input = typeof params.header === "string" ? [params.header] : params.header;
+    const values = resolveValues(header.params, input, "header", errors);
+    components.push({ type: "header", parameters: values.map(toParameter) });
+  }
+
+  // 🔹 2) BODY
+  if (schema.body.params.length > 0) {
+    let input = params.body;
+    if (!named) {
+      // Legacy mapping: tournament, date, then the generic params.body array
+      input = [
+        ...(params.tournament ? [params.tournament] : []),
+        ...(params.date ? [params.date] : []),
+        ...(Array.isArray(params.body) ? params.body : []),
+      ];
+    } else if (!input) {
+      // Named variables may also be passed directly, e.g. { team_name: "..." }
+      input = params;
+    }
+    const values = resolveValues(schema.body.params, input, "body", errors);
+    components.push({ type: "body", parameters: values.map(toParameter) });
+  } else if (Array.isArray(params.body) && params.body.length > 0) {
+    errors.push(`body expects 0 params, but got ${params.body.length}`);
+  }
+
+  // 🔹 3) BUTTONS (dynamic URL suffix, copy code, optional quick-reply payload)
+  for (const button of schema.buttons) {
+    const value = params.buttons?.[button.index];
+
+    if (button.type === "URL" && button.params.length > 0) {
+      if (value === undefined || value === null || String(value) === "") {
+        errors.push(`button ${button.index} ("${button.text}") requires a URL value`);
+        continue;
+      }
+      components.push({
+        type: "button",
+        sub_type: "url",
+        index: String(button.index),
+        parameters: [{ type: "text", text: String(value) }],
+      });
+    } else if (button.type === "COPY_CODE") {
+      if (!value) {
+        errors.push(`button ${button.index} ("${button.text}") requires a coupon code`);
+        continue;
+      }
+      components.push({
+        type: "button",
+        sub_type: "copy_code",
+        index: String(button.index),
+        parameters: [{ type: "coupon_code", coupon_code: String(value) }],
+      });
+    } else if (button.type === "QUICK_REPLY" && value) {
+      components.push({
+        type: "button",
+        sub_type: "quick_reply",
+        index: String(button.index),
+        parameters: [{ type: "payload", payload: String(value) }],
+      });
+    }
+  }
+
+  return { components, errors };
+}
+
+/**
+ * Resolves, validates and builds everything needed to send a template
+ * @param {string} templateName
+ * @param {object} params - See buildTemplateComponents
+ * @param {string|string[]} [language] - Preferred language code(s); falls back if not approved
+ * @returns {Promise<{ schema: object, language: string, components: object[] }>}
+ * @throws {Error} - With `validationErrors` when the template is unknown or params don't fit
+ */
+export async function prepareTemplate(templateName, params = {}, language) {
+  const schema = await getTemplateSchema(templateName, language);
+
+  if (!schema) {
+    const error = new Error(`Template "${templateName}" is not an approved template`);
+    error.validationErrors = [error.message];
+    throw error;
+  }
+
+  const { components, errors } = buildTemplateComponents(schema, params);
+  if (errors.length > 0) {
+    const error = new Error(`Template "${templateName}": ${errors.join("; ")}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  return { schema, language: schema.language, components };
+}
+
+/**
+ * Initial sync + periodic refresh
+ */
+export function startTemplateSync() {
+  const sync = () =>
+    syncTemplates().catch((error) =>
+      console.error("❌ Template sync failed:", error.response?.data || error.message)
+    );
+  sync();
+  setInterval(sync, TEMPLATE_SYNC_INTERVAL);
+}
@@ -0,0 +1,83 @@
+// ================================================================
+// ✅ VERIFICATION STATE MACHINE
+//     (no status) ─upload→ image_uploaded ─→ pending ─→ verified
+//                                   │            └────→ not_eligible
+//                                   └─→ verified / not_eligible (decided right away)
+//     - not_eligible → image_uploaded (player sends a new screenshot) or pending (re-review)
+//     - verified → not_eligible (revoked); a reason is required for not_eligible
+//     - index.js applies a transition (registration + verificationEvents audit
+//       entry in one transaction) and sends the matching template
+// ================================================================
+export const VERIFICATION_STATUSES = ["image_uploaded", "pending", "verified", "not_eligible"];
+
+// Statuses waiting for an admin
+export const VERIFICATION_QUEUE_STATUSES = ["image_uploaded", "pending"];
+
+const NO_STATUS = "none";
+
+const VERIFICATION_TRANSITIONS = {
+  [NO_STATUS]: ["image_uploaded", "pending"],
+  image_uploaded: ["pending", "verified", "not_eligible"],
+  pending: ["verified", "not_eligible"],
+  verified: ["not_eligible"],
+  not_eligible: ["image_uploaded", "pending"],
+};
+
+// WhatsApp template sent to the player when a team enters the status
+export const VERIFICATION_TEMPLATES = {
+  pending: "pending",
+  verified: "verified",
+  not_eligible: "not_eligible",
+};
+
+const REASON_REQUIRED = ["not_eligible"];
+
+/**
+ * Statuses a registration can move to from its current one
+ * @param {string|null} fromStatus - verificationStatus (null/undefined = no screenshot yet)
+ * @returns {string[]}
+ */
+export function allowedVerificationTransitions(fromStatus) {
+  return VERIFICATION_TRANSITIONS[fromStatus || NO_STATUS] || [];
+}
+
+/**
+ * Checks a transition requested by an admin (or the webhook)
+ * @param {string|null} fromStatus - Current verificationStatus
+ * @param {string} toStatus - Requested status
+ * @param {object} [options]
+ * @param {string|null} [options.reason]
+ * @param {boolean} [options.requireReason] - false for the legacy /api/verify routes
+ * @returns {{ error: string, code: string, allowed?: string[] } | { transition: { from: string|null, to: string } }}
+ */
+export function validateVerificationTransition(
+  fromStatus,
+  toStatus,
+  { reason = null, requireReason = true } = {}
+) {
+  if (!VERIFICATION_STATUSES.includes(toStatus)) {
+    return {
+      error: `status must be one of: ${VERIFICATION_STATUSES.join(", ")}`,
+      code: "UNKNOWN_STATUS",
+    };
+  }
+
+  const allowed = allowedVerificationTransitions(fromStatus);
+  if (!allowed.includes(toStatus)) {
+    return {
+      error: `Can't move a team from ${fromStatus || "no status"} to ${toStatus}`,
+      code: "INVALID_TRANSITION",
+      allowed,
+    };
+  }
+
+  if (
+    requireReason &&
+    REASON_REQUIRED.includes(toStatus) &&
+    !(typeof reason === "string" && reason.trim())
+  ) {
+    return { error: `A reason is required for ${toStatus}`, code: "REASON_REQUIRED" };
+  }
+
+  return { transition: { from: fromStatus || null, to: toStatus } };
+}
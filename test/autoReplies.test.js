@@ -0,0 +1,148 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  buildAutoReplyContext,
+  DEFAULT_AUTO_REPLY_RULES,
+  findMatchingRule,
+  renderAutoReply,
+  validateAutoReplyRule,
+} from "../services/autoReplies.js";
+
+const regexRule = (pattern, extra = {}) =>
+  validateAutoReplyRule({ name: "regex", match: "regex", pattern, reply: "ok", ...extra });
+
+// Stored rule (already validated)
+const storedRule = (name, fields) => ({
+  name,
+  audience: "all",
+  priority: 1,
+  reply: "x",
+  ...fields,
+});
+
+describe("validateAutoReplyRule", () => {
+  it("fills the defaults", () => {
+    const { rule } = validateAutoReplyRule({ name: " Hi ", keywords: ["hi"], reply: "Hello" });
+    assert.deepEqual(rule, {
+      name: "Hi",
+      match: "exact",
+      keywords: ["hi"],
+      pattern: null,
+      flags: null,
+      audience: "all",
+      priority: 100,
+      enabled: true,
+      reply: "Hello",
+    });
+  });
+
+  it("rejects incomplete rules", () => {
+    const invalid = (fields) =>
+      validateAutoReplyRule({ name: "a", keywords: ["hi"], reply: "x", ...fields }).error;
+    assert.match(invalid({ name: undefined }), /name/);
+    assert.match(invalid({ match: "fuzzy" }), /match/);
+    assert.match(invalid({ audience: "vip" }), /audience/);
+    assert.match(invalid({ reply: undefined }), /reply/);
+    assert.match(invalid({ keywords: ["?!"] }), /keywords/);
+    assert.match(invalid({ priority: "high" }), /priority/);
+  });
+
+  it("accepts ordinary regex rules", () => {
+    const safe = ["^(status|stat)\\b", "\\d{2,4}", "(ab){2}", "(?:slot)\\s*#?\\d+", "[(+*]+"];
+    for (const pattern of safe) {
+      assert.ok(regexRule(pattern).rule, pattern);
+    }
+    assert.equal(regexRule("^hi$").rule.flags, "i");
+  });
+
+  it("rejects invalid regex rules", () => {
+    assert.match(regexRule(undefined).error, /pattern is required/);
+    assert.match(regexRule("a".repeat(201)).error, /pattern is required/);
+    assert.match(regexRule("(unclosed").error, /Invalid pattern/);
+    assert.match(regexRule("hi", { flags: "q" }).error, /Invalid pattern/);
+  });
+
+  it("rejects patterns that backtrack catastrophically", () => {
+    const unsafe = [
+      "(a+)+$",
+      "(a*)*b",
+      "(a|a)*",
+      "(\\w+\\s?)*$",
+      "(?:x+y?){2,}",
+      "((ab)+c)+",
+      "(.*a){10}",
+      "(a+)+?",
+      "(\\w)\\1",
+      "(?<w>a)\\k<w>",
+    ];
+    for (const pattern of unsafe) {
+      assert.match(regexRule(pattern).error, /^Unsafe pattern/, pattern);
+    }
+  });
+});
+
+describe("findMatchingRule", () => {
+  const rules = DEFAULT_AUTO_REPLY_RULES.map((rule, i) => ({ id: `r${i}`, ...rule }));
+
+  it("matches exact keywords ignoring case and punctuation", () => {
+    assert.equal(
+      findMatchingRule(rules, "  Status?? ", { registered: true }).name,
+      "STATUS (registered)"
+    );
+    assert.equal(
+      findMatchingRule(rules, "status", { registered: false }).name,
+      "STATUS (not registered)"
+    );
+    assert.equal(findMatchingRule(rules, "what is my status", { registered: true }), null);
+  });
+
+  it("matches contains keywords as whole words", () => {
+    const contains = [storedRule("slot", { match: "contains", keywords: ["slot number"] })];
+    assert.ok(findMatchingRule(contains, "What's my SLOT number?", { registered: false }));
+    assert.equal(findMatchingRule(contains, "slot numbers", { registered: false }), null);
+  });
+
+  it("picks the lowest priority and skips disabled rules", () => {
+    const ordered = [
+      storedRule("late", { match: "exact", keywords: ["hi"], priority: 50 }),
+      storedRule("off", { match: "exact", keywords: ["hi"], enabled: false }),
+      storedRule("early", { match: "exact", keywords: ["hi"], priority: 5 }),
+    ];
+    assert.equal(findMatchingRule(ordered, "hi", { registered: false }).name, "early");
+  });
+
+  it("runs regex rules and skips unsafe ones saved before the check", () => {
+    const regexRules = [
+      storedRule("unsafe", { match: "regex", pattern: "(a+)+$", flags: "" }),
+      storedRule("slot", { match: "regex", pattern: "slot\\s*\\d+", flags: "i", priority: 2 }),
+    ];
+    assert.equal(findMatchingRule(regexRules, "aaaa", { registered: false }), null);
+    assert.equal(findMatchingRule(regexRules, "SLOT 4?", { registered: false }).name, "slot");
+  });
+});
+
+describe("renderAutoReply", () => {
+  const phone = { e164: "+919876543210" };
+  const [registeredStatus] = DEFAULT_AUTO_REPLY_RULES;
+
+  it("fills registration placeholders", () => {
+    const context = buildAutoReplyContext(
+      { teamName: "Night Owls", verificationStatus: "verified" },
+      phone
+    );
+    assert.equal(
+      renderAutoReply(registeredStatus, context),
+      "Hi Night Owls! 👋\nVerification status: Verified ✅"
+    );
+  });
+
+  it("falls back to defaults when there is no registration", () => {
+    const context = buildAutoReplyContext(null, phone);
+    assert.match(
+      renderAutoReply(registeredStatus, context),
+      /^Hi there! 👋\nVerification status: No screenshot received yet/
+    );
+    assert.equal(renderAutoReply({ reply: "Slot {registration.slotNumber} " }, context), "Slot");
+  });
+});
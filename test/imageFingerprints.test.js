@@ -0,0 +1,152 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import jpeg from "jpeg-js";
+import pngjs from "pngjs";
+
+import {
+  compareFingerprints,
+  computePhash,
+  normalizePhash,
+  PHASH_ALGORITHM,
+  PHASH_MAX_DISTANCE,
+  phashBands,
+  phashDistance,
+} from "../services/imageFingerprints.js";
+
+/**
+ * RGBA pixels of a test picture
+ * @param {number} width
+ * @param {number} height
+ * @param {function} shade - (x, y) in 0..1 → gray level 0..255
+ */
+function drawImage(width, height, shade) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const level = Math.round(shade(x / width, y / height));
+      data.set([level, level, level, 255], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+const encodeJpeg = (image, quality) => jpeg.encode(image, quality).data;
+
+function encodePng(image) {
+  const png = new pngjs.PNG({ width: image.width, height: image.height });
+  image.data.copy(png.data);
+  return pngjs.PNG.sync.write(png);
+}
+
+// A "screenshot": soft bands plus a bright block
+const screenshot = (x, y) =>
+  128 + 90 * Math.sin(x * 9) * Math.cos(y * 5) + (x > 0.6 && y < 0.3 ? 60 : 0);
+const otherScreenshot = (x, y) => 128 + 100 * Math.cos(x * 4 + y * 11);
+
+describe("computePhash", () => {
+  const original = drawImage(360, 640, screenshot);
+  const phash = computePhash(encodeJpeg(original, 90));
+
+  it("returns a 64-bit hex hash", () => {
+    assert.match(phash, /^[0-9a-f]{16}$/);
+  });
+
+  it("barely changes for re-compressed, resized or PNG copies", () => {
+    const copies = [
+      encodeJpeg(original, 30),
+      encodeJpeg(drawImage(180, 320, screenshot), 75),
+      encodePng(original),
+    ];
+    for (const copy of copies) {
+      assert.ok(phashDistance(phash, computePhash(copy)) <= PHASH_MAX_DISTANCE);
+    }
+  });
+
+  it("differs for another picture", () => {
+    const other = computePhash(encodeJpeg(drawImage(360, 640, otherScreenshot), 90));
+    assert.ok(phashDistance(phash, other) > PHASH_MAX_DISTANCE);
+  });
+
+  it("returns null for formats it can't decode", () => {
+    assert.equal(computePhash(Buffer.from("GIF89a....")), null);
+    assert.equal(computePhash(Buffer.alloc(0)), null);
+  });
+});
+
+describe("normalizePhash", () => {
+  it("accepts 64-bit hex only", () => {
+    assert.equal(normalizePhash("ABCDEF0123456789"), "abcdef0123456789");
+    assert.equal(normalizePhash("abc"), null);
+    assert.equal(normalizePhash("zzzzzzzzzzzzzzzz"), null);
+    assert.equal(normalizePhash(null), null);
+  });
+});
+
+describe("phashBands", () => {
+  it("cuts the hash into 8 indexed bands", () => {
+    assert.deepEqual(phashBands("0123456789abcdef"), [
+      "0:01",
+      "1:23",
+      "2:45",
+      "3:67",
+      "4:89",
+      "5:ab",
+      "6:cd",
+      "7:ef",
+    ]);
+  });
+
+  it("shares a band between hashes within the match distance", () => {
+    // Worst case: the differing bits are spread over as many bands as possible
+    const a = "0000000000000000";
+    const b = "1010101010101000";
+    assert.equal(phashDistance(a, b), 7);
+    assert.ok(phashBands(a).some((band) => phashBands(b).includes(band)));
+  });
+});
+
+describe("phashDistance", () => {
+  it("counts differing bits", () => {
+    assert.equal(phashDistance("0000000000000000", "0000000000000000"), 0);
+    assert.equal(phashDistance("0000000000000000", "ffffffffffffffff"), 64);
+    assert.equal(phashDistance("f000000000000000", "0000000000000001"), 5);
+  });
+});
+
+describe("compareFingerprints", () => {
+  const fingerprint = (fields) => ({ sha256: null, phash: null, phashAlgorithm: null, ...fields });
+  const dhash = (sha256, phash) => fingerprint({ sha256, phash, phashAlgorithm: PHASH_ALGORITHM });
+
+  it("reports byte-identical files as exact matches", () => {
+    const a = fingerprint({ sha256: "abc" });
+    assert.deepEqual(compareFingerprints(a, { ...a }), {
+      matchType: "exact",
+      distance: 0,
+      score: 1,
+    });
+  });
+
+  it("reports close hashes of the same algorithm as perceptual matches", () => {
+    const a = dhash("a", "0000000000000000");
+    assert.deepEqual(compareFingerprints(a, dhash("b", "0000000000000003")), {
+      matchType: "perceptual",
+      distance: 2,
+      score: 0.969,
+    });
+  });
+
+  it("ignores distant hashes and missing hashes", () => {
+    const a = dhash("a", "0000000000000000");
+    assert.equal(compareFingerprints(a, dhash("b", "00000000000000ff")), null);
+    assert.equal(compareFingerprints(a, fingerprint({ sha256: "c" })), null);
+  });
+
+  it("never compares hashes of different algorithms", () => {
+    const ours = dhash("a", "0000000000000000");
+    const legacy = fingerprint({ sha256: "b", phash: "0000000000000000" });
+    assert.equal(compareFingerprints(ours, legacy), null);
+    // Two Cloudinary hashes of older uploads still match each other
+    assert.equal(compareFingerprints(legacy, { ...legacy, sha256: "c" }).matchType, "perceptual");
+  });
+});
@@ -0,0 +1,148 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+
+const MEDIA_ENV = [
+  "MEDIA_STORAGE",
+  "MEDIA_LOCAL_DIR",
+  "MEDIA_SIGNING_SECRET",
+  "MEDIA_PUBLIC_BASE_URL",
+  "RENDER_EXTERNAL_URL",
+  "MEDIA_URL_TTL_SECONDS",
+];
+
+let loads = 0;
+
+/**
+ * Imports a fresh copy of the module - its settings are read from the env at load time
+ * @param {object} env - MEDIA_* values (everything else unset)
+ */
+async function loadMediaStorage(env) {
+  for (const name of MEDIA_ENV) delete process.env[name];
+  Object.assign(process.env, env);
+  return import(`../services/mediaStorage.js?load=${++loads}`);
+}
+
+/**
+ * Splits a signed local URL into what GET /api/media receives
+ * @param {string} url
+ */
+function parseMediaUrl(url) {
+  // Not new URL(): it would resolve "../" segments before the server sees them
+  const [, encodedKey, query] = url.match(/\/api\/media\/([^?]*)\?(.*)$/);
+  const searchParams = new URLSearchParams(query);
+  return {
+    key: encodedKey.split("/").map(decodeURIComponent).join("/"),
+    expires: searchParams.get("expires"),
+    signature: searchParams.get("signature"),
+  };
+}
+
+describe("local media storage", () => {
+  let mediaDir;
+  let media;
+
+  before(async () => {
+    mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), "media-test-"));
+    media = await loadMediaStorage({
+      MEDIA_STORAGE: "local",
+      MEDIA_LOCAL_DIR: mediaDir,
+      MEDIA_SIGNING_SECRET: "test-secret",
+      MEDIA_PUBLIC_BASE_URL: "https://example.com/",
+      MEDIA_URL_TTL_SECONDS: "60",
+    });
+    media.configureMediaStorage();
+  });
+
+  after(() => fs.rmSync(mediaDir, { recursive: true, force: true }));
+
+  async function saveFile() {
+    return media.getMediaStorage().save(Buffer.from("screenshot"), {
+      folder: "verification/team 1",
+      kind: "image",
+      mimeType: "image/jpeg",
+    });
+  }
+
+  it("stores the file under a storage id and serves it with a signed link", async () => {
+    const saved = await saveFile();
+    assert.match(saved.storageId, /^local:verification\/team 1\/[\w-]+\.jpg$/);
+    assert.equal(saved.bytes, 10);
+    assert.ok(saved.url.startsWith("https://example.com/api/media/verification/team%201/"));
+
+    const { key, expires, signature } = parseMediaUrl(saved.url);
+    assert.equal(`local:${key}`, saved.storageId);
+    const { filePath } = media.verifyMediaRequest(key, expires, signature);
+    assert.equal(fs.readFileSync(filePath, "utf8"), "screenshot");
+  });
+
+  it("rejects tampered, missing and expired signatures", async (t) => {
+    const { key, expires, signature } = parseMediaUrl((await saveFile()).url);
+    const invalid = /Missing or invalid signature/;
+
+    assert.match(media.verifyMediaRequest(`${key}x`, expires, signature).error, invalid);
+    const later = String(Number(expires) + 60);
+    assert.match(media.verifyMediaRequest(key, later, signature).error, invalid);
+    assert.match(media.verifyMediaRequest(key, expires, `${signature.slice(1)}A`).error, invalid);
+    assert.match(media.verifyMediaRequest(key, expires, undefined).error, invalid);
+    assert.match(media.verifyMediaRequest(key, "soon", signature).error, invalid);
+
+    t.mock.method(Date, "now", () => (Number(expires) + 1) * 1000);
+    assert.match(media.verifyMediaRequest(key, expires, signature).error, /expired/);
+  });
+
+  it("never serves files outside the media directory", () => {
+    // A correctly signed key is still confined to MEDIA_LOCAL_DIR
+    const url = media.resolveMediaUrl("local:../../etc/passwd");
+    const { key, expires, signature } = parseMediaUrl(url);
+    assert.deepEqual(media.verifyMediaRequest(key, expires, signature), {
+      error: "Invalid media path",
+    });
+  });
+
+  it("keeps only the storage id of local files and signs a new link when serving", async (t) => {
+    const saved = await saveFile();
+    assert.equal(media.storedMediaUrl(saved.storageId, saved.url), null);
+
+    t.mock.method(Date, "now", () => Date.UTC(2030, 0, 1));
+    const { expires } = parseMediaUrl(media.resolveMediaUrl(saved.storageId, saved.url));
+    assert.equal(Number(expires), Date.UTC(2030, 0, 1) / 1000 + 60);
+  });
+
+  it("keeps permanent URLs and records from before storage ids", () => {
+    const url = "https://res.cloudinary.com/demo/image/upload/v1/team.jpg";
+    assert.equal(media.storedMediaUrl("cloudinary:image/team", url), url);
+    assert.equal(media.resolveMediaUrl("cloudinary:image/team", url), url);
+    assert.equal(media.resolveMediaUrl(null, url), url);
+    assert.equal(media.resolveMediaUrl("unknown:key", url), url);
+  });
+});
+
+describe("configureMediaStorage", () => {
+  it("refuses the local backend without a signing secret", async () => {
+    const media = await loadMediaStorage({
+      MEDIA_STORAGE: "local",
+      MEDIA_PUBLIC_BASE_URL: "https://example.com",
+    });
+    assert.throws(() => media.configureMediaStorage(), /MEDIA_SIGNING_SECRET/);
+    assert.match(media.verifyMediaRequest("a.jpg", "1", "x").error, /not configured/);
+  });
+
+  it("refuses the local backend without an absolute base URL", async () => {
+    for (const baseUrl of [undefined, "/media", "ftp://example.com"]) {
+      const media = await loadMediaStorage({
+        MEDIA_STORAGE: "local",
+        MEDIA_SIGNING_SECRET: "test-secret",
+        ...(baseUrl ? { MEDIA_PUBLIC_BASE_URL: baseUrl } : {}),
+      });
+      assert.throws(() => media.configureMediaStorage(), /MEDIA_PUBLIC_BASE_URL/, baseUrl);
+    }
+  });
+
+  it("rejects unknown backends", async () => {
+    const media = await loadMediaStorage({ MEDIA_STORAGE: "s3" });
+    assert.throws(() => media.configureMediaStorage(), /Unknown MEDIA_STORAGE "s3"/);
+  });
+});
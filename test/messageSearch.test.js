@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  buildMessageMatcher,
+  buildSearchTokens,
+  getSearchableText,
+  parseSearchTerms,
+} from "../utils/messageSearch.js";
+
+const textMessage = { from: "user", type: "text", text: "Équipe ready for SLOT 4" };
+const documentMessage = {
+  from: "admin",
+  type: "document",
+  caption: "Schedule",
+  media: { filename: "round-2.pdf" },
+};
+
+describe("getSearchableText", () => {
+  it("joins every searchable field, folded", () => {
+    assert.equal(
+      getSearchableText({
+        text: "Hi",
+        location: { name: "Arena", address: "Main St" },
+        reply: { title: "Confirm" },
+        contacts: [{ name: "Ana" }],
+      }),
+      "hi arena main st confirm ana"
+    );
+    assert.equal(getSearchableText(documentMessage), "schedule round-2.pdf");
+  });
+});
+
+describe("buildMessageMatcher", () => {
+  it("returns no matcher when nothing is filtered", () => {
+    assert.deepEqual(buildMessageMatcher({}), { matcher: null });
+    assert.deepEqual(buildMessageMatcher(), { matcher: null });
+  });
+
+  it("rejects unknown senders and too short queries", () => {
+    assert.match(buildMessageMatcher({ from: "system" }).error, /from must be one of/);
+    assert.match(buildMessageMatcher({ q: " a " }).error, /at least 2 characters/);
+  });
+
+  it("filters by sender and type", () => {
+    const { matcher } = buildMessageMatcher({ from: "admin", type: "document" });
+    assert.equal(matcher(documentMessage), true);
+    assert.equal(matcher(textMessage), false);
+    assert.equal(matcher({ ...documentMessage, type: "image" }), false);
+  });
+
+  it("needs every query word, ignoring case and accents", () => {
+    assert.equal(buildMessageMatcher({ q: "equipe slot" }).matcher(textMessage), true);
+    assert.equal(buildMessageMatcher({ q: "ÉQUIPE" }).matcher(textMessage), true);
+    assert.equal(buildMessageMatcher({ q: "equipe lobby" }).matcher(textMessage), false);
+    assert.equal(buildMessageMatcher({ q: "round-2" }).matcher(documentMessage), true);
+  });
+});
+
+describe("buildSearchTokens", () => {
+  it("stores distinct folded words of at least 2 characters", () => {
+    const message = { ...textMessage, text: "Équipe ready, équipe SLOT 4 a" };
+    assert.deepEqual(buildSearchTokens(message), ["equipe", "ready", "slot"]);
+    assert.deepEqual(buildSearchTokens(documentMessage), ["schedule", "round", "pdf"]);
+  });
+
+  it("caps the number of tokens", () => {
+    const text = Array.from({ length: 300 }, (_, i) => `word${i}`).join(" ");
+    assert.equal(buildSearchTokens({ text }).length, 200);
+  });
+});
+
+describe("parseSearchTerms", () => {
+  it("returns the query words longest first, as they are indexed", () => {
+    assert.deepEqual(parseSearchTerms("Slot  ÉQUIPE 4 slot"), { terms: ["equipe", "slot"] });
+  });
+
+  it("finds every indexed word of a message", () => {
+    const tokens = buildSearchTokens(documentMessage);
+    const { terms } = parseSearchTerms("round-2.pdf");
+    assert.ok(terms.every((term) => tokens.includes(term)));
+  });
+
+  it("rejects queries without a usable word", () => {
+    assert.match(parseSearchTerms("a ? !").error, /at least 2 characters/);
+    assert.match(parseSearchTerms(undefined).error, /at least 2 characters/);
+  });
+});
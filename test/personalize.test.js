@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { collectPlaceholders, getTeamVariables, personalizeParams } from "../utils/personalize.js";
+
+describe("personalizeParams", () => {
+  const context = {
+    teamName: "Night Owls",
+    registration: { slotNumber: 7, captain: "" },
+  };
+
+  it("fills top-level and dotted placeholders", () => {
+    const { params, missing } = personalizeParams(
+      "Hi {teamName}, your slot is {registration.slotNumber}",
+      context
+    );
+    assert.equal(params, "Hi Night Owls, your slot is 7");
+    assert.deepEqual(missing, []);
+  });
+
+  it("walks arrays and objects and leaves other values alone", () => {
+    const { params } = personalizeParams(
+      { body: ["{teamName}", 3, null], header: { text: "{ teamName }" } },
+      context
+    );
+    assert.deepEqual(params, { body: ["Night Owls", 3, null], header: { text: "Night Owls" } });
+  });
+
+  it("uses the default for missing or empty values", () => {
+    const { params, missing } = personalizeParams(
+      "{registration.captain|Captain} / {tournament.name|TBA} / {teamName|x}",
+      context
+    );
+    assert.equal(params, "Captain / TBA / Night Owls");
+    assert.deepEqual(missing, []);
+  });
+
+  it("reports placeholders without a value or default", () => {
+    const { params, missing } = personalizeParams(
+      ["{date} {registration.group}", "{date}"],
+      context
+    );
+    assert.deepEqual(params, [" ", ""]);
+    assert.deepEqual(missing, ["date", "registration.group"]);
+  });
+
+  it("does not touch text that only looks like a placeholder", () => {
+    const { params } = personalizeParams("{} {1st} {{teamName}", context);
+    assert.equal(params, "{} {1st} {Night Owls");
+  });
+});
+
+describe("collectPlaceholders", () => {
+  it("lists every key used inside nested params", () => {
+    const keys = collectPlaceholders({
+      body: ["{teamName}", "{registration.slotNumber|TBA}"],
+      buttons: [{ text: "{teamName}" }],
+    });
+    assert.deepEqual([...keys], ["teamName", "registration.slotNumber"]);
+  });
+});
+
+describe("getTeamVariables", () => {
+  it("drops the standard fields and lets `variables` win", () => {
+    const variables = getTeamVariables({
+      teamId: "t1",
+      teamName: "Night Owls",
+      phoneNumber: "9876543210",
+      group: "A",
+      slot: 1,
+      variables: { slot: 2 },
+    });
+    assert.deepEqual(variables, { group: "A", slot: 2 });
+  });
+});
@@ -0,0 +1,87 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  isLegacyPhoneKey,
+  normalizePhone,
+  phoneLookupValues,
+  tryNormalizePhone,
+} from "../utils/phone.js";
+
+const INDIA = { defaultCountryCode: "91" };
+
+describe("normalizePhone", () => {
+  it("gives every way of writing one number the same identity", () => {
+    const inputs = [
+      "9876543210",
+      "98765 43210",
+      "+91-98765-43210",
+      "(+91) 98765.43210",
+      "919876543210",
+      "00919876543210",
+      "09876543210",
+      9876543210,
+    ];
+    for (const input of inputs) {
+      assert.deepEqual(normalizePhone(input, INDIA), {
+        e164: "+919876543210",
+        digits: "919876543210",
+        key: "+919876543210",
+        legacyKey: "9876543210",
+      });
+    }
+  });
+
+  it("keeps foreign numbers and gives them no legacy key", () => {
+    assert.deepEqual(normalizePhone("+44 7911 123456", INDIA), {
+      e164: "+447911123456",
+      digits: "447911123456",
+      key: "+447911123456",
+      legacyKey: null,
+    });
+  });
+
+  it("uses the default country code it is given", () => {
+    const phone = normalizePhone("7911123456", { defaultCountryCode: "44" });
+    assert.equal(phone.e164, "+447911123456");
+    assert.equal(phone.legacyKey, "7911123456");
+  });
+
+  it("rejects values that can't be E.164 numbers", () => {
+    assert.throws(() => normalizePhone("", INDIA), /empty/);
+    assert.throws(() => normalizePhone(null, INDIA), /empty/);
+    const invalid = ["98765abc10", "+0123456789", "1234567", "+1234567890123456", "++919876543210"];
+    for (const input of invalid) {
+      assert.throws(() => normalizePhone(input, INDIA), /Invalid phone number format/, input);
+    }
+  });
+});
+
+describe("tryNormalizePhone", () => {
+  it("returns null instead of throwing", () => {
+    assert.equal(tryNormalizePhone("not a phone"), null);
+    assert.equal(tryNormalizePhone("+447911123456").key, "+447911123456");
+  });
+});
+
+describe("phoneLookupValues", () => {
+  it("lists every stored form of the number", () => {
+    assert.deepEqual(phoneLookupValues(normalizePhone("9876543210", INDIA)), [
+      "9876543210",
+      "919876543210",
+      "+919876543210",
+    ]);
+    assert.deepEqual(phoneLookupValues(normalizePhone("+447911123456", INDIA)), [
+      "447911123456",
+      "+447911123456",
+    ]);
+  });
+});
+
+describe("isLegacyPhoneKey", () => {
+  it("only matches the old 10-digit doc ids", () => {
+    assert.equal(isLegacyPhoneKey("9876543210"), true);
+    assert.equal(isLegacyPhoneKey("+919876543210"), false);
+    assert.equal(isLegacyPhoneKey("919876543210"), false);
+  });
+});
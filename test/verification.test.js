@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  allowedVerificationTransitions,
+  validateVerificationTransition,
+  VERIFICATION_STATUSES,
+} from "../services/verification.js";
+
+describe("allowedVerificationTransitions", () => {
+  it("follows the state machine", () => {
+    assert.deepEqual(allowedVerificationTransitions(null), ["image_uploaded", "pending"]);
+    assert.deepEqual(allowedVerificationTransitions(undefined), ["image_uploaded", "pending"]);
+    assert.deepEqual(allowedVerificationTransitions("image_uploaded"), [
+      "pending",
+      "verified",
+      "not_eligible",
+    ]);
+    assert.deepEqual(allowedVerificationTransitions("pending"), ["verified", "not_eligible"]);
+    assert.deepEqual(allowedVerificationTransitions("verified"), ["not_eligible"]);
+    assert.deepEqual(allowedVerificationTransitions("not_eligible"), ["image_uploaded", "pending"]);
+  });
+
+  it("allows nothing from an unknown status", () => {
+    assert.deepEqual(allowedVerificationTransitions("approved"), []);
+  });
+
+  it("never moves a team to the status it already has", () => {
+    for (const status of VERIFICATION_STATUSES) {
+      assert.ok(!allowedVerificationTransitions(status).includes(status), status);
+    }
+  });
+});
+
+describe("validateVerificationTransition", () => {
+  it("returns the transition when it is allowed", () => {
+    assert.deepEqual(validateVerificationTransition(undefined, "image_uploaded"), {
+      transition: { from: null, to: "image_uploaded" },
+    });
+    assert.deepEqual(validateVerificationTransition("pending", "verified"), {
+      transition: { from: "pending", to: "verified" },
+    });
+  });
+
+  it("rejects unknown statuses", () => {
+    const result = validateVerificationTransition("pending", "approved");
+    assert.equal(result.code, "UNKNOWN_STATUS");
+    assert.match(result.error, /status must be one of/);
+  });
+
+  it("rejects transitions the state machine doesn't have", () => {
+    assert.deepEqual(validateVerificationTransition(null, "verified"), {
+      error: "Can't move a team from no status to verified",
+      code: "INVALID_TRANSITION",
+      allowed: ["image_uploaded", "pending"],
+    });
+    assert.equal(validateVerificationTransition("verified", "pending").code, "INVALID_TRANSITION");
+  });
+
+  it("needs a reason for not_eligible", () => {
+    for (const reason of [undefined, null, "", "   ", 42]) {
+      const result = validateVerificationTransition("pending", "not_eligible", { reason });
+      assert.equal(result.code, "REASON_REQUIRED", String(reason));
+    }
+    assert.ok(
+      validateVerificationTransition("pending", "not_eligible", { reason: "Wrong game ID" })
+        .transition
+    );
+  });
+
+  it("skips the reason check when asked to", () => {
+    const result = validateVerificationTransition("verified", "not_eligible", {
+      requireReason: false,
+    });
+    assert.deepEqual(result, { transition: { from: "verified", to: "not_eligible" } });
+  });
+});
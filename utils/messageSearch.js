@@ -0,0 +1,107 @@
+// ================================================================
+// ✅ MESSAGE FILTERS & SEARCH
+//     Filters for one conversation, applied to the stored documents:
+//       from  → "user" | "admin" | "bot"
+//       type  → "text", "image", "document", "template", "interactive_reply", ...
+//       q     → every word must appear in the text, caption, file name,
+//               location or button title (case and accent insensitive)
+//     Search across conversations uses an index instead: every stored message
+//     keeps `searchTokens` (its folded words), queried with array-contains
+// ================================================================
+export const MESSAGE_SENDERS = ["user", "admin", "bot"];
+
+const MIN_TOKEN_LENGTH = 2;
+const MAX_SEARCH_TOKENS = 200; // a 4096-character text has fewer distinct words in practice
+
+/**
+ * Lower-cases and strips accents so "Équipe" matches "equipe"
+ * @param {string} text
+ * @returns {string}
+ */
+function foldText(text) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase();
+}
+
+/**
+ * Everything searchable in a message, folded
+ * @param {object} message - Stored chat message
+ * @returns {string}
+ */
+export function getSearchableText(message) {
+  return foldText(
+    [
+      message.text,
+      message.caption,
+      message.media?.filename,
+      message.location?.name,
+      message.location?.address,
+      message.reply?.title,
+      message.templateName,
+      ...(message.contacts || []).map((contact) => contact.name),
+    ]
+      .filter(Boolean)
+      .join(" ")
+  );
+}
+
+/**
+ * Distinct words of a text, folded
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  const words = foldText(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length >= MIN_TOKEN_LENGTH);
+  return [...new Set(words)];
+}
+
+/**
+ * Index words stored on a message as `searchTokens`
+ * @param {object} message - Chat message (before it is stored)
+ * @returns {string[]}
+ */
+export function buildSearchTokens(message) {
+  return tokenize(getSearchableText(message)).slice(0, MAX_SEARCH_TOKENS);
+}
+
+/**
+ * Words of a search query, as they appear in searchTokens
+ * @param {string} q
+ * @returns {{ error: string } | { terms: string[] }} - terms sorted longest (most selective) first
+ */
+export function parseSearchTerms(q) {
+  const terms = tokenize(q).sort((a, b) => b.length - a.length);
+  if (terms.length === 0) {
+    return { error: `q must contain a word of at least ${MIN_TOKEN_LENGTH} characters` };
+  }
+  return { terms };
+}
+
+/**
+ * Builds a predicate for the from / type / q filters
+ * @param {object} filters - Query string values
+ * @returns {{ error: string } | { matcher: function|null }} - matcher is null when nothing is filtered
+ */
+export function buildMessageMatcher({ from, type, q } = {}) {
+  if (from && !MESSAGE_SENDERS.includes(from)) {
+    return { error: `from must be one of: ${MESSAGE_SENDERS.join(", ")}` };
+  }
+
+  const terms = foldText(q).split(/\s+/).filter(Boolean);
+  if (q !== undefined && terms.join("").length < 2) {
+    return { error: "q must be at least 2 characters" };
+  }
+
+  if (!from && !type && terms.length === 0) return { matcher: null };
+
+  return {
+    matcher: (message) =>
+      (!from || message.from === from) &&
+      (!type || message.type === type) &&
+      (terms.length === 0 || terms.every((term) => getSearchableText(message).includes(term))),
+  };
+}
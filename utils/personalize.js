@@ -0,0 +1,81 @@
+// ================================================================
+// ✅ PER-RECIPIENT TEMPLATE PERSONALIZATION
+//     Any string inside templateParams may contain placeholders that are
+//     filled in per recipient:
+//       {teamName}                 → field of the team entry (or its `variables`)
+//       {registration.slotNumber}  → field of the team's teamRegistrations doc
+//       {slotNumber|TBA}           → value with a default when it's missing
+// ================================================================
+const PLACEHOLDER_PATTERN = /\{\s*([A-Za-z_][\w.]*)\s*(?:\|([^{}]*))?\}/g;
+
+/**
+ * Reads a dotted path ("registration.slotNumber") from an object
+ */
+function getPath(source, path) {
+  return path
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
+
+/**
+ * Lists every placeholder key used anywhere inside params
+ * @param {*} params - templateParams (strings, arrays and objects are walked)
+ * @returns {Set<string>}
+ */
+export function collectPlaceholders(params) {
+  const keys = new Set();
+
+  const walk = (value) => {
+    if (typeof value === "string") {
+      for (const match of value.matchAll(PLACEHOLDER_PATTERN)) keys.add(match[1]);
+    } else if (Array.isArray(value)) {
+      value.forEach(walk);
+    } else if (value && typeof value === "object") {
+      Object.values(value).forEach(walk);
+    }
+  };
+
+  walk(params);
+  return keys;
+}
+
+/**
+ * Replaces placeholders in params with values from the recipient context
+ * @param {*} params - templateParams
+ * @param {object} context - { ...team fields, registration, tournament, date }
+ * @returns {{ params: *, missing: string[] }} - Personalized copy + keys with no value
+ */
+export function personalizeParams(params, context) {
+  const missing = new Set();
+
+  const fill = (value) => {
+    if (typeof value === "string") {
+      return value.replace(PLACEHOLDER_PATTERN, (match, key, fallback) => {
+        const resolved = getPath(context, key);
+        if (resolved === undefined || resolved === null || String(resolved) === "") {
+          if (fallback !== undefined) return fallback;
+          missing.add(key);
+          return "";
+        }
+        return String(resolved);
+      });
+    }
+    if (Array.isArray(value)) return value.map(fill);
+    if (value && typeof value === "object") {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fill(v)]));
+    }
+    return value;
+  };
+
+  return { params: fill(params), missing: [...missing] };
+}
+
+/**
+ * Custom values of a team entry: every field except the standard ones, plus `variables`
+ * @param {object} team - Entry of the `teams` array
+ * @returns {object}
+ */
+export function getTeamVariables(team) {
+  const { teamId, teamName, phoneNumber, variables, ...custom } = team;
+  return { ...custom, ...(variables || {}) };
+}
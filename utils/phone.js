@@ -0,0 +1,98 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+// ================================================================
+// ✅ PHONE NUMBER NORMALIZATION
+//     Every route and the webhook go through normalizePhone so a player
+//     has exactly one identity:
+//       e164   "+919876543210"  → Firestore doc id of whatsappChats / supportChats
+//       digits "919876543210"   → `to` for the Graph API (what Meta sends as `from`)
+//     Numbers without a country code get DEFAULT_COUNTRY_CODE (India).
+// ================================================================
+export const DEFAULT_COUNTRY_CODE = process.env.DEFAULT_COUNTRY_CODE || "91";
+
+// Chat docs used to be keyed by the last 10 digits only
+const LEGACY_KEY_LENGTH = 10;
+
+/**
+ * Normalizes any user/admin supplied phone number
+ * @param {string|number} rawPhone - e.g. "98765 43210", "+91-98765-43210", "0091...", "447911123456"
+ * @param {object} [options]
+ * @param {string} [options.defaultCountryCode] - Used for 10-digit / trunk-prefixed numbers
+ * @returns {{ e164: string, digits: string, key: string, legacyKey: string|null }}
+ * @throws {Error} - "Invalid phone number format: ..." when it can't be an E.164 number
+ */
+export function normalizePhone(rawPhone, { defaultCountryCode = DEFAULT_COUNTRY_CODE } = {}) {
+  const input = String(rawPhone ?? "").trim();
+
+  if (!input) {
+    throw new Error("Phone number is empty");
+  }
+
+  let digits = input.replace(/[\s\-().]/g, "");
+  const hasPlus = digits.startsWith("+");
+  if (hasPlus) digits = digits.slice(1);
+
+  if (!/^\d+$/.test(digits)) {
+    throw new Error(`Invalid phone number format: ${input}`);
+  }
+
+  if (!hasPlus) {
+    if (digits.startsWith("00")) {
+      // International dialing prefix
+      digits = digits.slice(2);
+    } else if (digits.length === 11 && digits.startsWith("0")) {
+      // National trunk prefix, e.g. 09876543210
+      digits = `${defaultCountryCode}${digits.slice(1)}`;
+    } else if (digits.length === LEGACY_KEY_LENGTH) {
+      // Bare national number (what the admin panel and registrations store)
+      digits = `${defaultCountryCode}${digits}`;
+    }
+  }
+
+  // E.164: country code (no leading 0) + subscriber number, 8 to 15 digits in total
+  if (digits.startsWith("0") || digits.length < 8 || digits.length > 15) {
+    throw new Error(`Invalid phone number format: ${input}`);
+  }
+
+  const national = digits.slice(-LEGACY_KEY_LENGTH);
+
+  return {
+    e164: `+${digits}`,
+    digits,
+    key: `+${digits}`,
+    // Only default-country numbers could have been stored under the old 10-digit id;
+    // for anyone else the last 10 digits may belong to a different player
+    legacyKey: digits === `${defaultCountryCode}${national}` ? national : null,
+  };
+}
+
+/**
+ * Like normalizePhone but returns null instead of throwing
+ * @param {string|number} rawPhone
+ */
+export function tryNormalizePhone(rawPhone) {
+  try {
+    return normalizePhone(rawPhone);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Values a phone number may be stored as on documents we don't own
+ * (teamRegistrations.phoneNumber is written by the registration form)
+ * @param {{ e164: string, digits: string, legacyKey: string }} phone - From normalizePhone
+ * @returns {string[]} - For Firestore `in` queries
+ */
+export function phoneLookupValues(phone) {
+  return [phone.legacyKey, phone.digits, phone.e164].filter(Boolean);
+}
+
+/**
+ * True for doc ids written before normalization (10-digit, no country code)
+ * @param {string} id
+ */
+export function isLegacyPhoneKey(id) {
+  return new RegExp(`^\\d{${LEGACY_KEY_LENGTH}}$`).test(id);
+}